@@ -5,9 +5,48 @@
  * Cross-runtime compatible: works with both Deno and Node.js
  */
 
-import { basename } from "node:path";
+import { basename, relative } from "node:path";
 import process from "node:process";
-import { install, uninstall } from "./mod.js";
+import * as readline from "node:readline";
+import {
+  add,
+  CancelledError,
+  type CatalogItem,
+  type CatalogOptions,
+  ContentIntegrityError,
+  defaultTransforms,
+  dev,
+  findDependencies,
+  getCatalogItem,
+  install,
+  installWorkspaces,
+  isInstalled,
+  listCatalog,
+  listSnapshots,
+  managedDirectories,
+  move,
+  NotInstalledError,
+  outdated,
+  type InstallOptions,
+  type InstallPlan,
+  type InstallResult,
+  type ItemOptions,
+  planInstall,
+  planUpgrade,
+  type ProgressEvent,
+  remove,
+  rollback,
+  type RollbackOptions,
+  searchCatalog,
+  uninstall,
+  upgrade,
+  type UpgradeOptions,
+  UsageError,
+  type UpgradePlan,
+  verify,
+  type VerifyResult,
+  type WorkspaceInstallResult,
+} from "./mod.js";
 
 // Deno global type declaration for cross-runtime compatibility
 declare const Deno: {
@@ -34,45 +73,1690 @@ const exit = (code: number): never => {
   process.exit(code);
 };
 
+const BIN = "everything-cursor";
 const commandName = basename(import.meta.url);
-const args = getArgs();
 
-// Show help if requested
-if (args[0] === "--help" || args[0] === "-h" || args[0] === "help") {
-  console.log("everything-cursor - Claude Code integration for Cursor");
+// A flag accepted by a command. "list" flags are repeatable and split on
+// commas, except inside glob braces ("*.{ts,tsx}").
+interface FlagSpec {
+  name: string;
+  alias?: string;
+  type: "string" | "boolean" | "list";
+  value?: string;
+  description: string;
+  choices?: readonly string[];
+  suggestions?: readonly string[];
+  negatable?: boolean;
+}
+
+type FlagValues = Record<string, string | boolean | string[] | undefined>;
+
+interface CommandSpec {
+  name: string;
+  aliases?: string[];
+  summary: string;
+  /** Positional argument; a variadic one joins every word with spaces */
+  argument?: {
+    name: string;
+    choices?: readonly string[];
+    required: boolean;
+    variadic?: boolean;
+  };
+  flags: FlagSpec[];
+  examples: string[];
+  run: (flags: FlagValues, argument: string | undefined) => Promise<number>;
+}
+
+const helpFlag: FlagSpec = {
+  name: "help",
+  alias: "h",
+  type: "boolean",
+  description: "Show help for this command",
+};
+
+const cwdFlag: FlagSpec = {
+  name: "cwd",
+  type: "string",
+  value: "dir",
+  description: "Run as if started in <dir> (default: current directory)",
+};
+
+const offlineFlag: FlagSpec = {
+  name: "offline",
+  type: "boolean",
+  description: "Use only content downloaded before, from the cache",
+};
+
+const registryFlag: FlagSpec = {
+  name: "registry",
+  type: "string",
+  value: "url",
+  description: "Registry to look up releases in (default: https://jsr.io/)",
+};
+
+const reportFlags: FlagSpec[] = [
+  {
+    name: "report",
+    type: "boolean",
+    description: "Write a change report (.md and .json) into the install dir",
+  },
+  {
+    name: "report-file",
+    type: "string",
+    value: "path",
+    description: "Write the change report to <path> (.json for JSON, else Markdown)",
+  },
+];
+
+// --report-file implies --report
+const reportOption = (flags: FlagValues): boolean | string | undefined =>
+  string(flags, "report-file") ?? boolean(flags, "report");
+
+const silentFlag: FlagSpec = {
+  name: "silent",
+  alias: "s",
+  type: "boolean",
+  description: "Suppress progress output",
+};
+
+const reporterFlag: FlagSpec = {
+  name: "reporter",
+  type: "string",
+  value: "r",
+  choices: ["pretty", "ndjson"],
+  description: "Progress output: pretty (default) or ndjson, one JSON event per line",
+};
+
+const locationFlag = (description: string, all: boolean): FlagSpec => ({
+  name: "location",
+  type: "string",
+  value: "l",
+  description: `${description}: local, home${all ? ", all" : ""} or a directory path`,
+  suggestions: all ? ["local", "home", "all"] : ["local", "home"],
+});
+
+const string = (flags: FlagValues, name: string): string | undefined =>
+  flags[name] as string | undefined;
+
+const list = (flags: FlagValues, name: string): string[] | undefined =>
+  flags[name] as string[] | undefined;
+
+const boolean = (flags: FlagValues, name: string): boolean | undefined =>
+  flags[name] as boolean | undefined;
+
+// Progress printed for humans or as NDJSON events, depending on --reporter
+const reporter = (flags: FlagValues, quiet = false) =>
+  string(flags, "reporter") === "ndjson"
+    ? {
+      silent: true,
+      onEvent: (event: ProgressEvent) => console.log(JSON.stringify(event)),
+    }
+    : (boolean(flags, "silent") ?? false) || quiet
+    ? { silent: true }
+    : { silent: false, onEvent: printEvent };
+
+// Flags shared by the catalog commands
+const catalogFlags = (json: string): FlagSpec[] => [
+  {
+    name: "source",
+    type: "string",
+    value: "spec",
+    description: "Content to browse: package (default), <url>, <dir>, <repo>#<ref> or <file>.tar.gz",
+  },
+  offlineFlag,
+  locationFlag("Installation to compare against (default: local first)", false),
+  { name: "json", type: "boolean", description: json },
+  cwdFlag,
+];
+
+const catalogOptions = (flags: FlagValues): CatalogOptions => ({
+  source: string(flags, "source"),
+  offline: boolean(flags, "offline"),
+  location: singleLocation(flags, "catalog commands"),
+  cwd: string(flags, "cwd"),
+});
+
+// Installed, locally modified or available
+const itemStatus = (item: CatalogItem): string =>
+  item.modified ? "⚠" : item.installed ? "✓" : " ";
+
+// Print catalog items grouped by category, one line each
+const printCatalog = (items: CatalogItem[]) => {
+  // Rules are named by their pack too, e.g. "golang/testing"
+  const label = (item: CatalogItem) =>
+    item.category === "rules" ? item.id.slice("rules/".length) : item.name;
+  const width = Math.min(32, Math.max(0, ...items.map((item) => label(item).length)));
+  for (const category of managedDirectories) {
+    const inCategory = items.filter((item) => item.category === category);
+    if (inCategory.length === 0) continue;
+    console.log(`📚 ${category} (${inCategory.length})`);
+    for (const item of inCategory) {
+      const description = (item.description ?? "").replace(/\s+/g, " ");
+      console.log(
+        `  ${itemStatus(item)} ${label(item).padEnd(width)}  ${
+          description.length > 72 ? `${description.slice(0, 71)}…` : description
+        }`.trimEnd(),
+      );
+    }
+    console.log("");
+  }
+  console.log("✓ installed  ⚠ installed, modified locally");
+};
+
+const formatSize = (bytes: number): string =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+// Ask a yes/no question on the terminal; Enter means yes
+const confirm = async (question: string): Promise<boolean> => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    // Like the location prompt, keep stdout for --json output
+    output: process.stderr,
+  });
+  const answer = await new Promise<string>((resolve) => {
+    rl.question(question, (input) => {
+      rl.close();
+      resolve(input);
+    });
+  });
+  return !/^n/i.test(answer.trim());
+};
+
+// Options shared by add and remove
+const itemOptions = (flags: FlagValues, quiet: boolean): ItemOptions => ({
+  location: singleLocation(flags, "add and remove"),
+  cwd: string(flags, "cwd"),
+  onConflict: string(flags, "on-conflict") as ItemOptions["onConflict"],
+  offline: boolean(flags, "offline"),
+  ...reporter(flags, quiet),
+});
+
+const itemFlags = (conflict: string): FlagSpec[] => [
+  locationFlag("Installation to change (default: local first)", false),
+  {
+    name: "on-conflict",
+    type: "string",
+    value: "p",
+    choices: ["keep", "overwrite", "backup", "merge"],
+    description: conflict,
+  },
+  offlineFlag,
+  { name: "json", type: "boolean", description: "Print the result as JSON" },
+  reporterFlag,
+  cwdFlag,
+  silentFlag,
+];
+
+// What is installed and how, for install and dev
+const contentFlags: FlagSpec[] = [
+  {
+    name: "include",
+    type: "list",
+    value: "glob",
+    description: "Only install matching files (repeatable)",
+  },
+  {
+    name: "exclude",
+    type: "list",
+    value: "glob",
+    description: "Skip matching files (repeatable)",
+  },
+  {
+    name: "auto",
+    type: "boolean",
+    negatable: true,
+    description: "Install only the packs for the detected stack",
+  },
+  {
+    name: "rule-format",
+    type: "string",
+    value: "f",
+    choices: ["mdc", "md"],
+    description: "Install rules as Cursor .mdc rules (default) or plain md",
+  },
+  {
+    name: "on-conflict",
+    type: "string",
+    value: "p",
+    choices: ["keep", "overwrite", "backup", "merge"],
+    description: "Locally modified files: keep (default), overwrite, backup, merge",
+  },
+  {
+    name: "on-missing-ref",
+    type: "string",
+    value: "p",
+    choices: ["warn", "fail", "ignore"],
+    description: "References to items not installed: warn (default), fail, ignore",
+  },
+  {
+    name: "transform",
+    type: "boolean",
+    negatable: true,
+    description: "Translate Claude Code constructs to Cursor (default)",
+  },
+  {
+    name: "overlay",
+    type: "list",
+    value: "spec",
+    description: "Merge a team overlay over the source (repeatable)",
+  },
+  {
+    name: "deny",
+    type: "list",
+    value: "glob",
+    description: "Suppress matching files from every layer (repeatable)",
+  },
+];
+
+// Install options set by contentFlags
+const contentOptions = (flags: FlagValues): Pick<
+  InstallOptions,
+  | "include"
+  | "exclude"
+  | "autoDetect"
+  | "transforms"
+  | "ruleFormat"
+  | "onConflict"
+  | "onMissingReference"
+  | "overlays"
+  | "deny"
+> => {
+  const transform = boolean(flags, "transform");
+  return {
+    include: list(flags, "include"),
+    exclude: list(flags, "exclude"),
+    autoDetect: boolean(flags, "auto"),
+    transforms: transform === undefined
+      ? undefined
+      : transform
+      ? defaultTransforms
+      : [],
+    ruleFormat: string(flags, "rule-format") as InstallOptions["ruleFormat"],
+    onConflict: string(flags, "on-conflict") as InstallOptions["onConflict"],
+    onMissingReference: string(flags, "on-missing-ref") as InstallOptions[
+      "onMissingReference"
+    ],
+    overlays: list(flags, "overlay"),
+    deny: list(flags, "deny"),
+  };
+};
+
+// Commands that act on a single installation cannot take "all"
+const singleLocation = (flags: FlagValues, command: string): string | undefined => {
+  const location = string(flags, "location");
+  if (location === "all") {
+    throw new UsageError(`--location all is not supported by ${command}`);
+  }
+  return location;
+};
+
+// Print an install plan for humans
+const printInstallPlan = (plan: InstallPlan, showDiff: boolean) => {
+  console.log("📋 Install plan (dry run)");
+  console.log(`  Location: ${plan.location} (${plan.installDir})`);
+  console.log(`  Version: ${plan.previousVersion ?? "none"} → ${plan.version}`);
+  for (const overlay of plan.overlays) {
+    console.log(`  Overlay: ${overlay.name} (${overlay.spec})`);
+  }
+  for (const warning of plan.warnings) console.log(`  ⚠ ${warning}`);
+  console.log("");
+
+  if (plan.upToDate) {
+    console.log("✓ Already up to date, nothing to do");
+    return;
+  }
+
+  const symbols = { add: "+", update: "~", remove: "-", skip: "!" };
+  for (const file of plan.files) {
+    if (file.action === "update" && !file.changed) continue;
+    const note = file.action === "skip"
+      ? file.detail ?? "modified locally, skipped"
+      : file.conflicts
+      ? `${file.action}, modified locally, merge with ${file.conflicts} conflict(s)`
+      : file.modified
+      ? `${file.action}, modified locally, ${file.policy}`
+      : file.action;
+    console.log(
+      `  ${symbols[file.action]} ${file.relativePath} (${note})${
+        formatLayers(file.layers)
+      }`,
+    );
+    if (showDiff && file.diff) console.log(file.diff);
+  }
+
+  const count = (action: string, changed?: boolean) =>
+    plan.files.filter((file) =>
+      file.action === action &&
+      (changed === undefined || file.changed === changed)
+    ).length;
   console.log("");
-  console.log("Usage: everything-cursor <command> [options]");
+  console.log(`  ${count("add")} to add`);
+  console.log(`  ${count("update", true)} to update`);
+  console.log(`  ${count("update", false)} unchanged`);
+  console.log(`  ${count("remove")} to remove`);
+  console.log(`  ${count("skip")} skipped (modified locally)`);
+
+  const missing = plan.references.filter((ref) => ref.status !== "installed");
+  if (missing.length > 0) {
+    console.log("");
+    console.log(`  ⚠ ${missing.length} reference(s) to items not installed:`);
+    for (const ref of missing) {
+      console.log(`    ${ref.from} → ${ref.target} (${ref.kind}, ${ref.status})`);
+    }
+  }
+};
+
+// Print the per-file changelog of an upgrade
+const printUpgradePlan = (plan: UpgradePlan) => {
+  console.log(`⬆ Upgrade ${plan.from} → ${plan.to}`);
+  console.log(`  Location: ${plan.location} (${plan.installDir})`);
+  console.log("");
+
+  const symbols = { added: "+", changed: "~", removed: "-" };
+  const width = Math.min(56, Math.max(0, ...plan.changes.map((change) => change.path.length)));
+  for (const category of managedDirectories) {
+    const changes = plan.changes.filter((change) =>
+      change.path.startsWith(`${category}/`)
+    );
+    if (changes.length === 0) continue;
+    console.log(`📚 ${category}`);
+    for (const change of changes) {
+      const lines = change.kept
+        ? `${change.change} upstream, modified locally: kept`
+        : [
+          change.linesAdded > 0 ? `+${change.linesAdded}` : "",
+          change.linesRemoved > 0 ? `-${change.linesRemoved}` : "",
+        ].filter(Boolean).join(" ");
+      console.log(
+        `  ${change.kept ? "!" : symbols[change.change]} ${
+          change.path.padEnd(width)
+        }  ${lines}`.trimEnd(),
+      );
+    }
+    console.log("");
+  }
+
+  const count = (kind: string) =>
+    plan.changes.filter((change) => change.change === kind && !change.kept).length;
+  const total = (field: "linesAdded" | "linesRemoved") =>
+    plan.changes.reduce((sum, change) => sum + change[field], 0);
+  console.log(
+    `  ${count("added")} added, ${count("changed")} changed, ${count("removed")} removed (+${
+      total("linesAdded")
+    } -${total("linesRemoved")} lines)`,
+  );
+  const kept = plan.changes.filter((change) => change.kept).length;
+  if (kept > 0) console.log(`  ${kept} modified locally, kept`);
+};
+
+// Print a verify result for humans
+const printVerifyResult = (result: VerifyResult) => {
+  console.log("🩺 Verifying everything-cursor installation...");
+  console.log(`  Location: ${result.location} (${result.installDir})`);
+  console.log(`  Version: ${result.version}`);
   console.log("");
-  console.log("Commands:");
-  console.log("  install    - Install everything-cursor settings");
-  console.log("  uninstall  - Uninstall everything-cursor settings");
+  console.log(`  ✓ ${result.intact.length} file(s) intact`);
+  for (const key of result.modified) console.log(`  ⚠ ${key} (modified)`);
+  for (const key of result.missing) console.log(`  ✗ ${key} (missing)`);
+  for (const key of result.untracked) console.log(`  ? ${key} (untracked)`);
+  for (const [key, layers] of Object.entries(result.overlayFiles)) {
+    console.log(`  ◆ ${key} (from ${layers.join(" + ")})`);
+  }
+  for (const backup of result.staleBackups) {
+    console.log(`  ⚠ ${backup} (stale backup manifest)`);
+  }
+  if (result.duplicates.length > 0) {
+    console.log(
+      `  ⚠ ${result.duplicates.length} file(s) also installed in the other scope with the same content`,
+    );
+  }
+  if (result.legacyManifest) {
+    console.log(
+      "  ⚠ Manifest was written by the legacy scripts/cursor-install.mjs; run install to replace it",
+    );
+  }
   console.log("");
-  console.log("Options:");
-  console.log("  -h, --help - Show this help message");
-  exit(0);
+  if (result.ok) {
+    console.log("✅ Installation matches its manifest");
+  } else {
+    console.log(
+      `✗ Drift detected: ${result.modified.length} modified, ${result.missing.length} missing`,
+    );
+  }
+};
+
+// Print one line per workspace and the totals
+const printWorkspaceResults = (
+  results: WorkspaceInstallResult[],
+  cwd = process.cwd(),
+) => {
+  for (const result of results) {
+    const name = relative(cwd, result.workspace);
+    console.log(
+      result.status === "failed"
+        ? `  ✗ ${name}: ${result.error}`
+        : `  ✓ ${name}: ${result.status} (${
+          result.packs?.join(", ") ?? "all packs"
+        }; ${result.fileCount} file(s))`,
+    );
+  }
+
+  const count = (status: WorkspaceInstallResult["status"]) =>
+    results.filter((result) => result.status === status).length;
+  console.log("\n" + "─".repeat(40));
+  console.log(`  ${count("installed")} installed`);
+  console.log(`  ${count("up-to-date")} up to date`);
+  if (count("failed") > 0) console.log(`  ${count("failed")} failed`);
+  console.log("─".repeat(40));
+  console.log(
+    count("failed") > 0 ? "✗ Some workspaces failed" : "✅ All workspaces installed",
+  );
+};
+
+// The overlays that contributed to a file, e.g. " [team]"
+const formatLayers = (layers: string[] | undefined): string => {
+  const overlays = (layers ?? []).filter((layer) => layer !== "upstream");
+  return overlays.length > 0 ? ` [${overlays.join(", ")}]` : "";
+};
+
+// Print the summary of an install, add, remove or upgrade
+const printInstallResult = (result: InstallResult) => {
+  if (result.status === "up-to-date") {
+    console.log("✓ Already up to date");
+    console.log(`  Version: ${result.version}`);
+    console.log(`  Location: ${result.location}`);
+    return;
+  }
+
+  const counts: Array<[string[], string]> = [
+    [result.updated, "updated"],
+    [result.unchanged, "unchanged"],
+    [result.added, "added"],
+    [result.removed, "removed"],
+    [result.merged, "merged with local edits"],
+  ];
+  console.log("\n" + "─".repeat(40));
+  for (const [paths, label] of counts) {
+    if (paths.length > 0) console.log(`  ${paths.length} file(s) ${label}`);
+  }
+  if (result.conflicts.length > 0) {
+    console.log(
+      `  ⚠ ${result.conflicts.length} file(s) with conflict markers to resolve`,
+    );
+    for (const key of result.conflicts) console.log(`    - ${key}`);
+  }
+  if (result.modified.length > 0) {
+    console.log(`  ${result.modified.length} locally modified file(s)`);
+    for (const key of result.modified) console.log(`    - ${key}`);
+  }
+  console.log("─".repeat(40));
+  console.log("✅ Installation complete!");
+  console.log(`  Version: ${result.version}`);
+  const { report } = result;
+  if (report.source.name === "package" && report.version !== result.version) {
+    console.log(`  Content: ${report.version}`);
+  }
+  console.log(`  Installed to: ${result.location}`);
+  if (report.files.length > 0) console.log(`  Report: ${report.files.join(", ")}`);
+};
+
+const fileSymbols: Record<string, string> = { removed: "✗", skipped: "⚠" };
+
+// Print a progress event for humans
+const printEvent = (event: ProgressEvent) => {
+  switch (event.type) {
+    case "start": {
+      const where = `${event.location} (${event.installDir})`;
+      console.log(
+        {
+          install: `📦 Installing everything-cursor to ${where}...`,
+          uninstall: `🗑️  Uninstalling everything-cursor from ${where}...`,
+          move: `🚚 Moving everything-cursor to ${where}...`,
+          rollback: `⟳ Rolling back everything-cursor in ${where}...`,
+        }[event.operation],
+      );
+      break;
+    }
+    case "file": {
+      const note = event.detail ??
+        (event.operation === "install" ? event.action : undefined);
+      console.log(
+        `  ${fileSymbols[event.action] ?? "✓"} ${event.path}${
+          note ? ` (${note})` : ""
+        }${formatLayers(event.layers)}`,
+      );
+      break;
+    }
+    case "info":
+      console.log(`ℹ ${event.message}`);
+      break;
+    case "warning":
+      console.log(`⚠ ${event.message}`);
+      break;
+    case "done":
+      if (event.operation === "install") {
+        printInstallResult(event.result);
+      } else if (event.operation === "uninstall") {
+        console.log("\n✅ Uninstallation complete!");
+        console.log(`  ${event.result.removed.length} file(s) removed`);
+        if (event.result.removedState.length > 0) {
+          console.log(
+            `  ${event.result.removedState.length} snapshot, report or backup entries removed`,
+          );
+        }
+      } else if (event.operation === "move") {
+        console.log("\n✅ Move complete!");
+        console.log(
+          `  ${event.result.moved.length} file(s) moved to ${event.result.to} (${event.result.installDir})`,
+        );
+      } else {
+        console.log("\n✅ Rollback complete!");
+        console.log(`  Version: ${event.result.version}`);
+      }
+      break;
+  }
+};
+
+const commands: CommandSpec[] = [
+  {
+    name: "install",
+    summary: "Install everything-cursor settings",
+    flags: [
+      locationFlag("Where to install", false),
+      {
+        name: "yes",
+        alias: "y",
+        type: "boolean",
+        description:
+          "Never prompt: reuse the current location, or install locally",
+      },
+      ...contentFlags,
+      {
+        name: "source",
+        type: "string",
+        value: "spec",
+        description: "Content source: package, <url>, <dir>, <repo>#<ref> or <file>.tar.gz",
+      },
+      offlineFlag,
+      {
+        name: "keep-snapshots",
+        type: "string",
+        value: "n",
+        description: "Snapshots to keep for rollback (default: 5)",
+      },
+      {
+        name: "workspaces",
+        type: "boolean",
+        description: "Install into every workspace of a monorepo",
+      },
+      {
+        name: "dry-run",
+        type: "boolean",
+        description: "Show what install would do without writing",
+      },
+      {
+        name: "diff",
+        type: "boolean",
+        description: "With --dry-run, print unified diffs",
+      },
+      {
+        name: "json",
+        type: "boolean",
+        description: "Print the plan (--dry-run) or the result as JSON",
+      },
+      ...reportFlags,
+      reporterFlag,
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [
+      `${BIN} install --location local --yes`,
+      `${BIN} install --include "rules/common/**" --include "rules/golang/**"`,
+      `${BIN} install --exclude "skills/swift-*/**"`,
+      `${BIN} install --location packages/api/.cursor`,
+      `${BIN} install --workspaces`,
+      `${BIN} install --dry-run --diff`,
+      `${BIN} install --location local --offline`,
+      `${BIN} install --yes --report-file docs/cursor-update.md`,
+      `${BIN} install --location local --reporter ndjson`,
+    ],
+    run: async (flags) => {
+      const keepSnapshots = string(flags, "keep-snapshots");
+      if (keepSnapshots !== undefined && !/^\d+$/.test(keepSnapshots)) {
+        throw new UsageError(
+          `Invalid --keep-snapshots: ${keepSnapshots} (expected a non-negative integer)`,
+        );
+      }
+
+      const cwd = string(flags, "cwd");
+      const json = boolean(flags, "json") ?? false;
+      const installOptions: InstallOptions = {
+        location: singleLocation(flags, "install") ??
+          (boolean(flags, "yes")
+            ? isInstalled(cwd, "all").installations[0]?.location ?? "local"
+            : "ask"),
+        cwd,
+        ...reporter(flags, json),
+        ...contentOptions(flags),
+        keepSnapshots: keepSnapshots === undefined ? undefined : Number(keepSnapshots),
+        source: string(flags, "source"),
+        offline: boolean(flags, "offline"),
+        report: reportOption(flags),
+      };
+
+      if (boolean(flags, "workspaces")) {
+        if (flags.location !== undefined || flags["dry-run"]) {
+          throw new UsageError(
+            "--workspaces cannot be combined with --location or --dry-run",
+          );
+        }
+        // Each workspace is summarized in one line rather than file by file
+        const { location: _location, ...workspaceOptions } = installOptions;
+        const pretty = !installOptions.silent;
+        if (pretty) console.log("📦 Installing everything-cursor into every workspace...\n");
+        const results = await installWorkspaces(
+          pretty ? { ...workspaceOptions, onEvent: undefined } : workspaceOptions,
+        );
+        if (json) console.log(JSON.stringify(results, null, 2));
+        if (pretty) printWorkspaceResults(results, cwd);
+        return results.some((result) => result.status === "failed") ? 1 : 0;
+      }
+
+      if (boolean(flags, "dry-run")) {
+        const plan = await planInstall(installOptions);
+        if (json) {
+          // File contents are only needed to execute the plan
+          const files = plan.files.map(({ content: _content, ...file }) => file);
+          console.log(JSON.stringify({ ...plan, files }, null, 2));
+        } else {
+          printInstallPlan(plan, boolean(flags, "diff") ?? false);
+        }
+        return 0;
+      }
+
+      const result = await install(installOptions);
+      if (json) console.log(JSON.stringify(result, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "uninstall",
+    summary: "Uninstall everything-cursor settings",
+    flags: [
+      locationFlag("Installation to remove (default: local first)", true),
+      {
+        name: "keep-history",
+        type: "boolean",
+        description: "Keep snapshots, change reports and conflict backups",
+      },
+      { name: "json", type: "boolean", description: "Print the result as JSON" },
+      reporterFlag,
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [
+      `${BIN} uninstall`,
+      `${BIN} uninstall --location all`,
+      `${BIN} uninstall --keep-history`,
+    ],
+    run: async (flags) => {
+      const json = boolean(flags, "json") ?? false;
+      const results = await uninstall({
+        location: string(flags, "location"),
+        cwd: string(flags, "cwd"),
+        keepHistory: boolean(flags, "keep-history"),
+        ...reporter(flags, json),
+      });
+      if (json) console.log(JSON.stringify(results, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "verify",
+    aliases: ["doctor"],
+    summary: "Audit the installation against its manifest",
+    flags: [
+      locationFlag("Installation to audit (default: local first)", true),
+      {
+        name: "strict",
+        type: "boolean",
+        description: "Also fail on untracked files and legacy leftovers",
+      },
+      { name: "json", type: "boolean", description: "Print the result as JSON" },
+      cwdFlag,
+    ],
+    examples: [`${BIN} verify`, `${BIN} verify --location all --json`],
+    run: async (flags) => {
+      await Promise.resolve();
+      const cwd = string(flags, "cwd");
+      const location = string(flags, "location");
+      const status = location === "all" ? isInstalled(cwd, "all") : undefined;
+      for (const warning of status?.warnings ?? []) console.error(`⚠ ${warning}`);
+      const results = status
+        ? status.installations.map((installation) =>
+          verify(cwd, installation.location)
+        )
+        : [verify(cwd, location)];
+      if (results.length === 0) throw new NotInstalledError();
+      const strict = boolean(flags, "strict") ?? false;
+      const clean = results.every((result) =>
+        result.ok &&
+        (!strict ||
+          (result.untracked.length === 0 && result.staleBackups.length === 0 &&
+            !result.legacyManifest))
+      );
+
+      if (boolean(flags, "json")) {
+        console.log(
+          JSON.stringify(location === "all" ? results : results[0], null, 2),
+        );
+      } else {
+        results.forEach((result, index) => {
+          if (index > 0) console.log("");
+          printVerifyResult(result);
+        });
+      }
+      return clean ? 0 : 1;
+    },
+  },
+  {
+    name: "rollback",
+    summary: "Restore the previous installation",
+    flags: [
+      locationFlag("Installation to roll back (default: local first)", false),
+      {
+        name: "to",
+        type: "string",
+        value: "version",
+        description: "Roll back to the newest snapshot of a version",
+      },
+      {
+        name: "on-conflict",
+        type: "string",
+        value: "p",
+        choices: ["keep", "overwrite", "backup", "merge"],
+        description: "Files modified since the install: keep (default), overwrite, backup, merge",
+      },
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [`${BIN} rollback`, `${BIN} rollback --to 0.0.7`],
+    run: async (flags) => {
+      await rollback({
+        to: string(flags, "to"),
+        location: singleLocation(flags, "rollback"),
+        onConflict: string(flags, "on-conflict") as RollbackOptions["onConflict"],
+        cwd: string(flags, "cwd"),
+        ...reporter(flags),
+      });
+      return 0;
+    },
+  },
+  {
+    name: "history",
+    summary: "List snapshots available for rollback",
+    flags: [
+      locationFlag("Installation to inspect (default: local first)", false),
+      { name: "json", type: "boolean", description: "Print the snapshots as JSON" },
+      cwdFlag,
+    ],
+    examples: [`${BIN} history`, `${BIN} history --location home --json`],
+    run: async (flags) => {
+      await Promise.resolve();
+      const snapshots = listSnapshots(
+        string(flags, "cwd"),
+        singleLocation(flags, "history"),
+      );
+      if (boolean(flags, "json")) {
+        console.log(JSON.stringify(snapshots, null, 2));
+      } else if (snapshots.length === 0) {
+        console.log("No snapshots available");
+      } else {
+        console.log("📚 Installation history (newest first):");
+        for (const snapshot of snapshots) {
+          console.log(
+            `  ${snapshot.version.padEnd(10)} ${snapshot.createdAt}  ${snapshot.fileCount} file(s)`,
+          );
+        }
+      }
+      return 0;
+    },
+  },
+  {
+    name: "move",
+    summary: "Move the installation between local and home",
+    flags: [
+      {
+        name: "to",
+        type: "string",
+        value: "location",
+        choices: ["local", "home"],
+        description: "Target scope: local or home (required)",
+      },
+      { name: "json", type: "boolean", description: "Print the result as JSON" },
+      reporterFlag,
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [`${BIN} move --to home`],
+    run: async (flags) => {
+      const to = string(flags, "to");
+      if (to === undefined) throw new UsageError("move requires --to <local|home>");
+      const json = boolean(flags, "json") ?? false;
+      const result = await move({
+        to: to as "local" | "home",
+        cwd: string(flags, "cwd"),
+        ...reporter(flags, json),
+      });
+      if (json) console.log(JSON.stringify(result, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "add",
+    summary: "Add agents, skills, commands or rules to the installation",
+    argument: { name: "item", required: true, variadic: true },
+    flags: [
+      {
+        name: "deps",
+        type: "boolean",
+        negatable: true,
+        description: "Add the items they reference without asking (--no-deps: never)",
+      },
+      {
+        name: "yes",
+        alias: "y",
+        type: "boolean",
+        description: "Never prompt: add referenced items",
+      },
+      ...itemFlags("Locally modified files: keep (default), overwrite, backup, merge"),
+    ],
+    examples: [
+      `${BIN} add agents/go-reviewer skills/golang-testing`,
+      `${BIN} add commands/go-review --deps`,
+    ],
+    run: async (flags, argument) => {
+      const ids = argument!.split(" ");
+      const json = boolean(flags, "json") ?? false;
+      const options = itemOptions(flags, json);
+
+      // Offer referenced items only when someone can answer
+      let withDependencies = boolean(flags, "deps") ??
+        (boolean(flags, "yes") ? true : undefined);
+      if (withDependencies === undefined && process.stdin.isTTY && !json) {
+        const dependencies = await findDependencies(ids, options);
+        withDependencies = dependencies.length > 0 &&
+          await confirm(
+            `🔗 ${ids.join(", ")} reference(s) ${dependencies.join(", ")}, which ${
+              dependencies.length === 1 ? "is" : "are"
+            } not installed. Add ${
+              dependencies.length === 1 ? "it" : "them"
+            } too? [Y/n] `,
+          );
+      }
+
+      const result = await add(ids, {
+        ...options,
+        withDependencies: withDependencies ?? false,
+      });
+      if (json) console.log(JSON.stringify(result, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "remove",
+    summary: "Remove agents, skills, commands or rules from the installation",
+    argument: { name: "item", required: true, variadic: true },
+    flags: itemFlags(
+      "Locally modified files: keep (default) or delete with overwrite/backup",
+    ),
+    examples: [`${BIN} remove skills/investor-outreach`],
+    run: async (flags, argument) => {
+      const json = boolean(flags, "json") ?? false;
+      const result = await remove(argument!.split(" "), itemOptions(flags, json));
+      if (json) console.log(JSON.stringify(result, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "outdated",
+    summary: "Check whether a newer release is available",
+    flags: [
+      locationFlag("Installation to check (default: all)", true),
+      registryFlag,
+      { name: "json", type: "boolean", description: "Print the result as JSON" },
+      cwdFlag,
+    ],
+    examples: [
+      `${BIN} outdated`,
+      `${BIN} outdated --registry http://localhost:8080/`,
+    ],
+    run: async (flags) => {
+      const results = await outdated({
+        location: string(flags, "location"),
+        registry: string(flags, "registry"),
+        cwd: string(flags, "cwd"),
+      });
+      if (boolean(flags, "json")) {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        for (const info of results) {
+          const source = info.source === "package" ? "" : ` from ${info.source}`;
+          console.log(
+            !info.comparable
+              ? `- ${info.location}: ${info.installed}${source} is not a release, so it is not comparable with ${info.latest} (${info.installDir})`
+              : info.outdated
+              ? `⬆ ${info.location}: ${info.installed}${source} → ${info.latest} available (${info.installDir})`
+              : `✓ ${info.location}: ${info.installed}${source} is the latest (${info.installDir})`,
+          );
+        }
+        if (results.some((info) => info.outdated)) {
+          console.log(`\nRun '${BIN} upgrade' to see what changed and upgrade`);
+        }
+      }
+      return results.some((info) => info.outdated) ? 1 : 0;
+    },
+  },
+  {
+    name: "upgrade",
+    summary: "Upgrade to the newest release, showing what changed first",
+    flags: [
+      locationFlag("Installation to upgrade (default: local first)", false),
+      {
+        name: "to",
+        type: "string",
+        value: "version",
+        description: "Release to upgrade to (default: the newest)",
+      },
+      registryFlag,
+      {
+        name: "yes",
+        alias: "y",
+        type: "boolean",
+        description: "Upgrade without asking",
+      },
+      {
+        name: "dry-run",
+        type: "boolean",
+        description: "Only show the changes",
+      },
+      {
+        name: "on-conflict",
+        type: "string",
+        value: "p",
+        choices: ["keep", "overwrite", "backup", "merge"],
+        description: "Locally modified files: keep (default), overwrite, backup, merge",
+      },
+      offlineFlag,
+      {
+        name: "json",
+        type: "boolean",
+        description: "Print the changes (--dry-run) or the result as JSON",
+      },
+      ...reportFlags,
+      reporterFlag,
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [
+      `${BIN} upgrade`,
+      `${BIN} upgrade --dry-run`,
+      `${BIN} upgrade --to 0.0.9 --yes`,
+    ],
+    run: async (flags) => {
+      const json = boolean(flags, "json") ?? false;
+      const dryRun = boolean(flags, "dry-run") ?? false;
+      const options: UpgradeOptions = {
+        location: singleLocation(flags, "upgrade"),
+        version: string(flags, "to"),
+        registry: string(flags, "registry"),
+        onConflict: string(flags, "on-conflict") as UpgradeOptions["onConflict"],
+        offline: boolean(flags, "offline"),
+        report: reportOption(flags),
+        cwd: string(flags, "cwd"),
+        ...reporter(flags, json),
+      };
+
+      const plan = await planUpgrade(options);
+      if (dryRun) {
+        if (json) console.log(JSON.stringify(plan, null, 2));
+        else printUpgradePlan(plan);
+        return 0;
+      }
+      if (!options.silent) printUpgradePlan(plan);
+      if (plan.from === plan.to && plan.changes.length === 0) {
+        if (!options.silent) console.log("\n✓ Already up to date");
+        return 0;
+      }
+
+      // Changes are applied only once someone has seen them
+      if (!boolean(flags, "yes")) {
+        if (!process.stdin.isTTY || json || options.silent) {
+          throw new UsageError(
+            "upgrade asks for confirmation; pass --yes, or --dry-run to only show the changes",
+          );
+        }
+        if (!await confirm(`\nUpgrade to ${plan.to}? [Y/n] `)) {
+          console.log("Upgrade cancelled");
+          return 1;
+        }
+      }
+
+      const result = await upgrade({ ...options, version: plan.to });
+      if (json) console.log(JSON.stringify(result, null, 2));
+      return 0;
+    },
+  },
+  {
+    name: "dev",
+    summary: "Sync content you are authoring into .cursor, optionally on every change",
+    flags: [
+      {
+        name: "source",
+        type: "string",
+        value: "dir",
+        description: "Directory with the agents/, skills/, commands/ and rules/ being edited",
+      },
+      {
+        name: "watch",
+        alias: "w",
+        type: "boolean",
+        description: "Keep syncing until interrupted",
+      },
+      locationFlag("Installation to sync into (default: local)", false),
+      {
+        name: "debounce",
+        type: "string",
+        value: "ms",
+        description: "Wait for <ms> without changes before syncing (default: 200)",
+      },
+      ...contentFlags,
+      cwdFlag,
+      silentFlag,
+    ],
+    examples: [
+      `${BIN} dev --watch --source ../everything-claude-code`,
+      `${BIN} dev --source ./my-pack --location home`,
+    ],
+    run: async (flags) => {
+      const source = string(flags, "source");
+      if (!source) throw new UsageError("dev needs --source <dir>");
+      const debounce = string(flags, "debounce");
+      if (debounce !== undefined && !/^\d+$/.test(debounce)) {
+        throw new UsageError(
+          `Invalid --debounce: ${debounce} (expected milliseconds)`,
+        );
+      }
+
+      // Syncs are shown by the files they change, not as full installs
+      const silent = boolean(flags, "silent") ?? false;
+      const symbols: Record<string, string> = {
+        added: "+",
+        updated: "~",
+        merged: "~",
+        removed: "-",
+        skipped: "!",
+      };
+      const onEvent = (event: ProgressEvent) => {
+        if (event.type === "info" || event.type === "warning") {
+          printEvent(event);
+        } else if (event.type === "file" && event.action !== "unchanged") {
+          console.log(
+            `  ${symbols[event.action] ?? "•"} ${event.path} (${
+              event.detail ?? event.action
+            })`,
+          );
+        }
+      };
+
+      const watch = boolean(flags, "watch") ?? false;
+      const session = await dev({
+        ...contentOptions(flags),
+        source,
+        watch,
+        location: singleLocation(flags, "dev"),
+        debounceMs: debounce === undefined ? undefined : Number(debounce),
+        cwd: string(flags, "cwd"),
+        onEvent: silent ? undefined : onEvent,
+        onSync: (result, changed) => {
+          if (silent || changed.length > 0) return;
+          console.log(
+            `✓ ${result.added.length} added, ${result.updated.length} updated, ${result.removed.length} removed`,
+          );
+        },
+      });
+      if (!watch) return 0;
+
+      await new Promise<void>((resolve) => {
+        process.once("SIGINT", () => resolve());
+        process.once("SIGTERM", () => resolve());
+      });
+      await session.close();
+      return 0;
+    },
+  },
+  {
+    name: "list",
+    summary: "List the agents, skills, commands and rules available",
+    argument: { name: "category", choices: managedDirectories, required: false },
+    flags: [
+      {
+        name: "installed",
+        type: "boolean",
+        description: "Only list installed items",
+      },
+      ...catalogFlags("Print the items as JSON"),
+    ],
+    examples: [`${BIN} list`, `${BIN} list skills --installed`],
+    run: async (flags, category) => {
+      const items = (await listCatalog({
+        ...catalogOptions(flags),
+        category: category as CatalogOptions["category"],
+      })).filter((item) => !flags.installed || item.installed);
+      if (boolean(flags, "json")) {
+        console.log(JSON.stringify(items, null, 2));
+      } else if (items.length === 0) {
+        console.log("No items found");
+      } else {
+        printCatalog(items);
+      }
+      return 0;
+    },
+  },
+  {
+    name: "search",
+    summary: "Search the content by name, description and text",
+    argument: { name: "query", required: true, variadic: true },
+    flags: [
+      {
+        name: "category",
+        type: "string",
+        value: "c",
+        choices: managedDirectories,
+        description: "Only search one category",
+      },
+      ...catalogFlags("Print the matching items as JSON"),
+    ],
+    examples: [`${BIN} search postgres`, `${BIN} search "code review" --category agents`],
+    run: async (flags, query) => {
+      const items = await searchCatalog(query!, {
+        ...catalogOptions(flags),
+        category: string(flags, "category") as CatalogOptions["category"],
+      });
+      if (boolean(flags, "json")) {
+        console.log(JSON.stringify(items, null, 2));
+      } else if (items.length === 0) {
+        console.log(`No items match "${query}"`);
+      } else {
+        printCatalog(items);
+      }
+      return 0;
+    },
+  },
+  {
+    name: "info",
+    summary: "Show the details of one item",
+    argument: { name: "item", required: true },
+    flags: catalogFlags("Print the item as JSON"),
+    examples: [`${BIN} info skills/postgres-patterns`, `${BIN} info planner`],
+    run: async (flags, id) => {
+      const item = await getCatalogItem(id!, catalogOptions(flags));
+      if (boolean(flags, "json")) {
+        console.log(JSON.stringify(item, null, 2));
+        return 0;
+      }
+      console.log(`📄 ${item.id}`);
+      console.log(`  Name: ${item.name}`);
+      if (item.description) console.log(`  Description: ${item.description}`);
+      if (item.tools) console.log(`  Tools: ${item.tools.join(", ")}`);
+      console.log(`  Size: ${formatSize(item.size)} in ${item.files.length} file(s)`);
+      for (const file of item.files) console.log(`    - ${file}`);
+      console.log(
+        `  Installed: ${item.installed ? `yes (${item.installedPaths.join(", ")})` : "no"}`,
+      );
+      if (item.installed) {
+        console.log(`  Modified locally: ${item.modified ? "yes" : "no"}`);
+      }
+      if (item.headings.length > 0) {
+        console.log("  Sections:");
+        for (const heading of item.headings) console.log(`    - ${heading}`);
+      }
+      return 0;
+    },
+  },
+  {
+    name: "completion",
+    summary: "Print a shell completion script",
+    argument: { name: "shell", choices: ["bash", "zsh", "fish"], required: true },
+    flags: [],
+    examples: [
+      `${BIN} completion bash > /etc/bash_completion.d/${BIN}`,
+      `${BIN} completion zsh > "\${fpath[1]}/_${BIN}"`,
+      `${BIN} completion fish > ~/.config/fish/completions/${BIN}.fish`,
+    ],
+    run: async (_flags, shell) => {
+      await Promise.resolve();
+      const generators = {
+        bash: bashCompletion,
+        zsh: zshCompletion,
+        fish: fishCompletion,
+      };
+      console.log(generators[shell as keyof typeof generators]());
+      return 0;
+    },
+  },
+  {
+    name: "help",
+    summary: "Show help for a command",
+    argument: { name: "command", required: false },
+    flags: [],
+    examples: [`${BIN} help install`],
+    run: async (_flags, name) => {
+      await Promise.resolve();
+      if (name === undefined) {
+        console.log(topLevelHelp());
+        return 0;
+      }
+      console.log(commandHelp(findCommand(name)));
+      return 0;
+    },
+  },
+];
+
+// Levenshtein distance, for "did you mean" suggestions
+const distance = (a: string, b: string): number => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The closest candidate, if it is close enough to be a likely typo
+const suggest = (input: string, candidates: string[]): string | undefined => {
+  let best: { candidate: string; score: number } | undefined;
+  for (const candidate of candidates) {
+    const score = distance(input, candidate);
+    if (!best || score < best.score) best = { candidate, score };
+  }
+  return best && best.score <= Math.max(2, Math.floor(input.length / 3))
+    ? best.candidate
+    : undefined;
+};
+
+const findCommand = (name: string): CommandSpec => {
+  const command = commands.find((candidate) =>
+    candidate.name === name || candidate.aliases?.includes(name)
+  );
+  if (command) return command;
+  const match = suggest(
+    name,
+    commands.flatMap((candidate) => [candidate.name, ...(candidate.aliases ?? [])]),
+  );
+  throw new UsageError(
+    `Unknown command: ${name}${match ? `. Did you mean ${match}?` : ""}`,
+  );
+};
+
+const flagLabel = (flag: FlagSpec): string =>
+  [
+    flag.alias ? `-${flag.alias}, ` : "    ",
+    flag.negatable ? `--[no-]${flag.name}` : `--${flag.name}`,
+    flag.value ? ` <${flag.value}>` : "",
+  ].join("");
+
+const formatRows = (rows: Array<[string, string]>): string[] => {
+  const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+  return rows.map(([label, text]) => `  ${label.padEnd(width)}${text}`);
+};
+
+const topLevelHelp = (): string =>
+  [
+    `${BIN} - Claude Code integration for Cursor`,
+    "",
+    `Usage: ${BIN} <command> [options]`,
+    "",
+    "Commands:",
+    ...formatRows(
+      commands.map((command) => [
+        command.name,
+        command.aliases
+          ? `${command.summary} (alias: ${command.aliases.join(", ")})`
+          : command.summary,
+      ]),
+    ),
+    "",
+    "Options:",
+    ...formatRows([[flagLabel(helpFlag), "Show this help message"]]),
+    "",
+    `Run '${BIN} <command> --help' for the options of a command.`,
+    "Install prompts for a location only on a terminal; pass --location, --yes",
+    "or set CURSOR_INSTALL_LOCATION in scripts and CI.",
+  ].join("\n");
+
+const commandHelp = (command: CommandSpec): string => {
+  const name = command.argument?.variadic
+    ? `${command.argument.name}...`
+    : command.argument?.name;
+  const argument = command.argument
+    ? command.argument.required ? ` <${name}>` : ` [${name}]`
+    : "";
+  return [
+    `Usage: ${BIN} ${command.name}${argument}${
+      command.flags.length > 0 ? " [options]" : ""
+    }`,
+    "",
+    command.summary,
+    ...(command.argument?.choices
+      ? ["", `Arguments:`, ...formatRows([[
+        `<${command.argument.name}>`,
+        command.argument.choices.join(", "),
+      ]])]
+      : []),
+    "",
+    "Options:",
+    ...formatRows(
+      [...command.flags, helpFlag].map((flag) => [flagLabel(flag), flag.description]),
+    ),
+    "",
+    "Examples:",
+    ...command.examples.map((example) => `  ${example}`),
+  ].join("\n");
+};
+
+// Parse the arguments after the command name against its flag specs
+const parseFlags = (
+  command: CommandSpec,
+  argv: string[],
+): { flags: FlagValues; argument?: string } => {
+  const specs = [...command.flags, helpFlag];
+  const flags: FlagValues = {};
+  let argument: string | undefined;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-") || arg === "-") {
+      if (!command.argument || (argument !== undefined && !command.argument.variadic)) {
+        throw new UsageError(`Unexpected argument for ${command.name}: ${arg}`);
+      }
+      argument = argument === undefined ? arg : `${argument} ${arg}`;
+      continue;
+    }
+
+    const [raw, inline] = arg.includes("=")
+      ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)]
+      : [arg, undefined];
+    const negated = raw.startsWith("--no-");
+    const spec = raw.startsWith("--")
+      ? specs.find((candidate) =>
+        candidate.name === raw.slice(2) ||
+        (negated && candidate.negatable && candidate.name === raw.slice(5))
+      )
+      : specs.find((candidate) => candidate.alias === raw.slice(1));
+    if (!spec) {
+      const match = suggest(
+        raw,
+        specs.flatMap((candidate) => [
+          `--${candidate.name}`,
+          ...(candidate.negatable ? [`--no-${candidate.name}`] : []),
+        ]),
+      );
+      throw new UsageError(
+        `Unknown flag for ${command.name}: ${raw}${
+          match ? `. Did you mean ${match}?` : ""
+        }`,
+      );
+    }
+
+    if (spec.type === "boolean") {
+      if (inline !== undefined) {
+        throw new UsageError(`--${spec.name} does not take a value`);
+      }
+      flags[spec.name] = !(negated && spec.name !== raw.slice(2));
+      continue;
+    }
+
+    const value = inline ?? argv[++i];
+    if (value === undefined || value === "" || (inline === undefined && value.startsWith("-"))) {
+      throw new UsageError(`--${spec.name} requires a value`);
+    }
+    if (spec.choices && !spec.choices.includes(value)) {
+      throw new UsageError(
+        `Invalid --${spec.name}: ${value} (expected ${spec.choices.join(", ")})`,
+      );
+    }
+    if (spec.type === "list") {
+      flags[spec.name] = [
+        ...(list(flags, spec.name) ?? []),
+        ...value.split(/,(?![^{]*})/).filter(Boolean),
+      ];
+    } else {
+      flags[spec.name] = value;
+    }
+  }
+
+  if (flags.help) return { flags, argument };
+  if (command.argument?.required && argument === undefined) {
+    throw new UsageError(
+      `${command.name} requires <${command.argument.name}>${
+        command.argument.choices ? ` (${command.argument.choices.join(", ")})` : ""
+      }`,
+    );
+  }
+  if (
+    argument !== undefined && command.argument?.choices &&
+    !command.argument.choices.includes(argument)
+  ) {
+    throw new UsageError(
+      `Invalid ${command.argument.name}: ${argument} (expected ${
+        command.argument.choices.join(", ")
+      })`,
+    );
+  }
+  return { flags, argument };
+};
+
+// Values offered for a flag by the completion scripts; empty means a path
+const completionValues = (flag: FlagSpec): readonly string[] =>
+  flag.choices ?? flag.suggestions ?? [];
+
+// Values offered for the argument of a command; free text has none
+const argumentValues = (command: CommandSpec): readonly string[] =>
+  command.argument?.choices ??
+    (command.name === "help" ? commands.map(({ name }) => name) : []);
+
+const bashCompletion = (): string => {
+  const cases = commands.map((command) => {
+    const words = [...command.flags, helpFlag].flatMap((flag) => [
+      `--${flag.name}`,
+      ...(flag.negatable ? [`--no-${flag.name}`] : []),
+      ...(flag.alias ? [`-${flag.alias}`] : []),
+    ]);
+    const values = command.flags
+      .filter((flag) => flag.type !== "boolean")
+      .map((flag) => {
+        const choices = completionValues(flag);
+        const reply = choices.length > 0
+          ? `COMPREPLY=($(compgen -W "${choices.join(" ")}" -- "$cur"))`
+          : `COMPREPLY=($(compgen -f -- "$cur"))`;
+        return `        --${flag.name}) ${reply}; return ;;`;
+      });
+    const argument = `      COMPREPLY=($(compgen -W "${
+      [...argumentValues(command), ...words].join(" ")
+    }" -- "$cur"))`;
+    return [
+      `    ${[command.name, ...(command.aliases ?? [])].join("|")})`,
+      ...(values.length > 0 ? ['      case "$prev" in', ...values, "      esac"] : []),
+      argument,
+      "      ;;",
+    ].join("\n");
+  });
+  const names = commands.flatMap(({ name, aliases }) => [name, ...(aliases ?? [])]);
+  return `# bash completion for ${BIN}
+_everything_cursor() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  if [ "$COMP_CWORD" -eq 1 ]; then
+    COMPREPLY=($(compgen -W "${names.join(" ")} --help" -- "$cur"))
+    return
+  fi
+  case "\${COMP_WORDS[1]}" in
+${cases.join("\n")}
+  esac
+}
+complete -F _everything_cursor ${BIN}`;
+};
+
+// Escape text for a single-quoted zsh _arguments description
+const zshEscape = (text: string): string =>
+  text.replace(/[\\[\]]/g, "\\$&").replaceAll("'", "'\\''");
+
+const zshCompletion = (): string => {
+  const described = commands.flatMap(({ name, aliases, summary }) =>
+    [name, ...(aliases ?? [])].map((entry) => `'${entry}:${zshEscape(summary).replaceAll(":", "\\:")}'`)
+  );
+  const cases = commands.map((command) => {
+    const specs = [...command.flags, helpFlag].flatMap((flag) => {
+      const description = zshEscape(flag.description);
+      const choices = completionValues(flag);
+      const action = flag.type === "boolean"
+        ? ""
+        : `:${flag.value ?? flag.name}:${
+          choices.length > 0 ? `(${choices.join(" ")})` : "_files"
+        }`;
+      const repeat = flag.type === "list" ? "*" : "";
+      return [
+        `'${repeat}--${flag.name}[${description}]${action}'`,
+        ...(flag.negatable ? [`'--no-${flag.name}[Disable --${flag.name}]'`] : []),
+        ...(flag.alias ? [`'-${flag.alias}[${description}]${action}'`] : []),
+      ];
+    });
+    if (command.argument) {
+      specs.push(
+        `'1:${command.argument.name}:(${argumentValues(command).join(" ")})'`,
+      );
+    }
+    return `    ${[command.name, ...(command.aliases ?? [])].join("|")})
+      _arguments ${specs.join(" \\\n        ")}
+      ;;`;
+  });
+  return `#compdef ${BIN}
+_everything_cursor() {
+  local -a commands
+  commands=(${described.join(" ")})
+  if (( CURRENT == 2 )); then
+    _describe 'command' commands
+    return
+  fi
+  shift words
+  (( CURRENT-- ))
+  case $words[1] in
+${cases.join("\n")}
+  esac
 }
+compdef _everything_cursor ${BIN}`;
+};
+
+const fishCompletion = (): string => {
+  const quote = (text: string) => `'${text.replace(/[\\']/g, "\\$&")}'`;
+  const lines = [`complete -c ${BIN} -f`];
+  for (const command of commands) {
+    const names = [command.name, ...(command.aliases ?? [])];
+    for (const entry of names) {
+      lines.push(
+        `complete -c ${BIN} -n __fish_use_subcommand -a ${entry} -d ${
+          quote(command.summary)
+        }`,
+      );
+    }
+    const condition = `-n '__fish_seen_subcommand_from ${names.join(" ")}'`;
+    if (argumentValues(command).length > 0) {
+      lines.push(
+        `complete -c ${BIN} ${condition} -a ${quote(argumentValues(command).join(" "))}`,
+      );
+    }
+    for (const flag of [...command.flags, helpFlag]) {
+      const choices = completionValues(flag);
+      const value = flag.type === "boolean"
+        ? ""
+        : choices.length > 0
+        ? ` -x -a ${quote(choices.join(" "))}`
+        : " -r -F";
+      const short = flag.alias ? ` -s ${flag.alias}` : "";
+      lines.push(
+        `complete -c ${BIN} ${condition} -l ${flag.name}${short}${value} -d ${
+          quote(flag.description)
+        }`,
+      );
+      if (flag.negatable) {
+        lines.push(
+          `complete -c ${BIN} ${condition} -l no-${flag.name} -d ${
+            quote(`Disable --${flag.name}`)
+          }`,
+        );
+      }
+    }
+  }
+  return lines.join("\n");
+};
+
+// Determine which command to run; the legacy bin names imply one
+const run = async (argv: string[]): Promise<number> => {
+  const legacy = commandName.includes("cursor-uninstall")
+    ? "uninstall"
+    : commandName.includes("cursor-install")
+    ? "install"
+    : undefined;
+  const [first, ...rest] = legacy ? [legacy, ...argv] : argv;
+
+  if (first === undefined) {
+    console.error(topLevelHelp());
+    return 1;
+  }
+  if (first === "--help" || first === "-h") {
+    console.log(topLevelHelp());
+    return 0;
+  }
+  if (first.startsWith("-")) {
+    throw new UsageError(`Expected a command before ${first}`);
+  }
+
+  const command = findCommand(first);
+  const { flags, argument } = parseFlags(command, rest);
+  if (flags.help) {
+    console.log(commandHelp(command));
+    return 0;
+  }
+  return await command.run(flags, argument);
+};
 
-// Determine which command to run
 try {
-  if (commandName.includes("cursor-install") || args[0] === "install") {
-    await install({ location: "ask" });
-  } else if (
-    commandName.includes("cursor-uninstall") || args[0] === "uninstall"
-  ) {
-    await uninstall();
-  } else {
-    console.error("Usage: everything-cursor <command>");
-    console.error("");
-    console.error("Commands:");
-    console.error("  install    - Install everything-cursor settings");
-    console.error("  uninstall  - Uninstall everything-cursor settings");
-    console.error("");
-    console.error("Run 'everything-cursor --help' for more information");
+  exit(await run(getArgs()));
+} catch (error) {
+  // Invalid command lines and requests are printed without the "Error:"
+  // prefix
+  if (error instanceof UsageError) {
+    console.error(error.message);
+    console.error(`Run '${BIN} --help' for usage`);
+    exit(1);
+  }
+  if (error instanceof CancelledError) {
+    console.error(error.message);
     exit(1);
   }
-} catch (error) {
   console.error(
     `Error: ${error instanceof Error ? error.message : String(error)}`,
   );
+  if (error instanceof ContentIntegrityError) {
+    console.error("Content failed verification; nothing was changed");
+  }
   exit(1);
 }
@@ -0,0 +1,8 @@
+/**
+ * SHA-256 of the content-index.json published with this version, written by
+ * scripts/pin-content-index.mjs when a release is prepared. JSR installs
+ * check the downloaded index against it; empty means unpinned, as in a
+ * checkout, where the content is read from disk.
+ * @module
+ */
+export const contentIndexSha256 = "";
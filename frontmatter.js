@@ -0,0 +1,115 @@
+// @ts-check
+/**
+ * Frontmatter parsing shared by mod.ts and scripts/generate-file-list.mjs,
+ * so the installer and the content index read every file alike. Plain
+ * JavaScript, as the script runs on Node.js without a build step.
+ * @module
+ */
+
+/**
+ * Strip matching surrounding quotes from a frontmatter value
+ * @param {string} value
+ * @returns {string}
+ */
+export function unquote(value) {
+  const trimmed = value.trim();
+  if (/^".*"$/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      return trimmed.slice(1, -1);
+    }
+  }
+  return /^'.*'$/.test(trimmed) ? trimmed.slice(1, -1) : trimmed;
+}
+
+/**
+ * Whether a frontmatter line continues the value of the key above it:
+ * indented, blank, or a "- item" written at the start of the line
+ * @param {string} line
+ * @returns {boolean}
+ */
+export function isContinuationLine(line) {
+  return /^(\s|-(\s|$)|$)/.test(line);
+}
+
+/**
+ * The value of a frontmatter key from the rest of its line and the lines
+ * that continue it: a folded (>) or literal (|) block, a "- item" list, or a
+ * plain value continued on the next lines
+ * @param {string} value
+ * @param {string[]} lines
+ * @returns {string | string[]}
+ */
+function frontmatterValue(value, lines) {
+  const block = value.match(/^([|>])([+-]?)\d?\s*(?:#.*)?$/);
+  if (block) {
+    const indent = Math.min(
+      ...lines.filter((line) => line.trim() !== "")
+        .map((line) => /^\s*/.exec(line)?.[0].length ?? 0),
+    );
+    const text = lines.map((line) =>
+      line.trim() === "" ? "" : line.slice(indent)
+    );
+    const joined = block[1] === "|"
+      ? text.join("\n")
+      : text.reduce((folded, line, index) =>
+        index === 0
+          ? line
+          : line === ""
+          ? `${folded}\n`
+          : text[index - 1] === ""
+          ? `${folded}${line}`
+          : `${folded} ${line}`, "");
+    return block[2] === "+" ? `${joined}\n` : joined.replace(/\n+$/, "");
+  }
+
+  const content = lines.filter((line) => line.trim() !== "");
+  if (value === "" && content.length > 0 && /^\s*-(\s|$)/.test(content[0])) {
+    return content.map((line) => unquote(line.replace(/^\s*-\s*/, "")));
+  }
+  return unquote([value, ...content.map((line) => line.trim())].join(" "));
+}
+
+/**
+ * Split a Markdown document into its frontmatter fields and body.
+ *
+ * Parsing never fails: lines that are not "key: value" are skipped, the
+ * first of duplicate keys wins, and unclosed frontmatter is left in the
+ * body. Each of these is listed in `problems`, for callers that validate.
+ * @param {string} content
+ * @returns {{ data: Record<string, string | string[]>, body: string, problems: string[] }}
+ */
+export function parseFrontmatter(content) {
+  /** @type {Record<string, string | string[]>} */
+  const data = {};
+  /** @type {string[]} */
+  const problems = [];
+  if (!/^---\r?\n/.test(content)) return { data, body: content, problems };
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---(\r?\n|$)/);
+  if (!match) {
+    problems.push("frontmatter is not closed with ---");
+    return { data, body: content, problems };
+  }
+
+  const lines = match[1].split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim() === "" || line.startsWith("#")) continue;
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) {
+      problems.push(`invalid frontmatter line ${index + 2}: "${line}"`);
+      continue;
+    }
+    const start = index + 1;
+    while (index + 1 < lines.length && isContinuationLine(lines[index + 1])) {
+      index++;
+    }
+    if (pair[1] in data) {
+      problems.push(`duplicate frontmatter key "${pair[1]}"`);
+      continue;
+    }
+    data[pair[1]] = frontmatterValue(pair[2], lines.slice(start, index + 1));
+  }
+  return { data, body: content.slice(match[0].length), problems };
+}
@@ -11,8 +11,13 @@ import * as path from "node:path";
 import * as os from "node:os";
 import * as crypto from "node:crypto";
 import * as readline from "node:readline";
+import * as zlib from "node:zlib";
+import { Buffer } from "node:buffer";
+import { execFileSync } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import process from "node:process";
+import { contentIndexSha256 } from "./content-pin.js";
+import { isContinuationLine, parseFrontmatter, unquote } from "./frontmatter.js";
 
 /**
  * Package metadata
@@ -42,6 +47,133 @@ export const managedExtension = ".md" as const;
  */
 const MANIFEST_FILE = ".everything-cursor-manifest.json";
 
+/**
+ * Manifest schema version written by this release; see docs/MANIFEST_SPEC.md
+ */
+const MANIFEST_SCHEMA_VERSION = 1;
+
+/**
+ * Directory inside the install dir holding snapshots of previous installations
+ */
+const SNAPSHOT_DIR = ".everything-cursor-snapshots";
+
+/**
+ * Lock file guarding an install dir against concurrent runs
+ */
+const LOCK_FILE = ".everything-cursor.lock";
+
+/**
+ * How long to wait for another process to release the lock, and the age
+ * after which a lock is considered abandoned
+ */
+const LOCK_TIMEOUT_MS = 30_000;
+const LOCK_STALE_MS = 10 * 60_000;
+
+/**
+ * Times an install is planned without the lock before it plans while holding
+ * it, when other processes keep changing the install dir in between
+ */
+const PLAN_ATTEMPTS = 3;
+
+/**
+ * Name of a copy saved by the "backup" conflict policy: `<file>.<timestamp>.bak`
+ */
+const BACKUP_PATTERN = /\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.bak$/;
+
+/**
+ * Write-ahead journal of the commit in progress, and its staged content
+ */
+const JOURNAL_FILE = ".everything-cursor-journal.json";
+const STAGING_DIR = ".everything-cursor-staging";
+
+/**
+ * Change report written into the install dir, as .md and .json
+ */
+const REPORT_FILE = ".everything-cursor-report";
+
+/**
+ * Backup manifest file name written by the legacy scripts/cursor-install.mjs
+ */
+const LEGACY_MANIFEST_BACKUP_FILE = ".everything-cursor-manifest.backup.json";
+
+/**
+ * Project stacks that have a language-specific content pack
+ */
+export type ProjectStack =
+  | "golang"
+  | "python"
+  | "swift"
+  | "typescript"
+  | "java"
+  | "cpp";
+
+/**
+ * Default Cursor globs for each rule pack under rules/.
+ * Packs without globs (common) are always applied.
+ * @internal
+ */
+const RULE_PACK_GLOBS: Record<string, string[]> = {
+  common: [],
+  golang: ["**/*.go"],
+  python: ["**/*.py"],
+  swift: ["**/*.swift"],
+  typescript: ["**/*.ts", "**/*.tsx"],
+};
+
+/**
+ * Marker files and content patterns for each language pack
+ * @internal
+ */
+const STACK_PACKS: Record<
+  ProjectStack,
+  { markers: string[]; patterns: string[] }
+> = {
+  golang: {
+    markers: ["go.mod", "go.work"],
+    patterns: [
+      "rules/golang/**",
+      "agents/go-*",
+      "commands/go-*",
+      "skills/golang-*/**",
+    ],
+  },
+  python: {
+    markers: ["pyproject.toml", "requirements.txt", "setup.py", "Pipfile"],
+    patterns: [
+      "rules/python/**",
+      "agents/python-*",
+      "commands/python-*",
+      "skills/python-*/**",
+      "skills/django-*/**",
+    ],
+  },
+  swift: {
+    markers: ["Package.swift"],
+    patterns: [
+      "rules/swift/**",
+      "skills/swift*/**",
+      "skills/liquid-glass-design/**",
+      "skills/foundation-models-on-device/**",
+    ],
+  },
+  typescript: {
+    markers: ["package.json", "tsconfig.json"],
+    patterns: ["rules/typescript/**"],
+  },
+  java: {
+    markers: ["pom.xml", "build.gradle", "build.gradle.kts"],
+    patterns: [
+      "skills/java-*/**",
+      "skills/springboot-*/**",
+      "skills/jpa-*/**",
+    ],
+  },
+  cpp: {
+    markers: ["CMakeLists.txt", "meson.build"],
+    patterns: ["skills/cpp-*/**"],
+  },
+};
+
 /**
  * Package information
  */
@@ -58,13 +190,16 @@ export interface PackageInfo {
  */
 export interface InstallOptions {
   /**
-   * Target location: "local" (.cursor/), "home" (~/.cursor/), or "ask" (prompt user)
+   * Target location: "local" (.cursor/), "home" (~/.cursor/), "ask" (prompt
+   * user), or the path of a directory to install into, relative to `cwd`.
+   * A directory is treated as a project install for the project it sits in.
    * @default "ask"
    */
-  location?: "local" | "home" | "ask";
+  location?: "local" | "home" | "ask" | (string & {});
 
   /**
-   * Whether to suppress console output
+   * Whether to suppress the note on stderr when CURSOR_INSTALL_LOCATION
+   * picks the location. Progress is only reported through `onEvent`.
    * @default false
    */
   silent?: boolean;
@@ -74,6 +209,282 @@ export interface InstallOptions {
    * @default process.cwd()
    */
   cwd?: string;
+
+  /**
+   * Glob patterns over file-list.json paths to install (e.g. "rules/common/**").
+   * When omitted, the selection recorded in the existing manifest is reused;
+   * an empty selection installs every file.
+   */
+  include?: string[];
+
+  /**
+   * Glob patterns over file-list.json paths to leave out (e.g. "agents/go-*").
+   * When omitted, the selection recorded in the existing manifest is reused.
+   */
+  exclude?: string[];
+
+  /**
+   * Items added or removed one by one with `add()` and `remove()`. They
+   * override the include/exclude patterns and stack detection.
+   * When omitted, the items recorded in the existing manifest are reused.
+   */
+  items?: ItemSelection;
+
+  /**
+   * Detect the project stack from marker files in `cwd` (local installs only)
+   * and leave out the language packs of stacks that were not found.
+   * When omitted, detection is re-applied if the existing manifest used it,
+   * otherwise the detected packs are only suggested.
+   */
+  autoDetect?: boolean;
+
+  /**
+   * Format for files under rules/: "mdc" converts them to Cursor project
+   * rules with frontmatter, "md" copies them unchanged.
+   * When omitted, the format recorded in the existing manifest is reused.
+   * @default "mdc"
+   */
+  ruleFormat?: "mdc" | "md";
+
+  /**
+   * Hook to override the frontmatter generated for a rule.
+   * Receives the source path (e.g. "rules/golang/testing.md") and the
+   * default metadata, and returns the metadata to write.
+   */
+  mapRule?: (relativePath: string, metadata: RuleMetadata) => RuleMetadata;
+
+  /**
+   * What to do with installed files that were modified locally
+   * @default "keep"
+   */
+  onConflict?: ConflictPolicy;
+
+  /**
+   * What to do when an installed file references an agent, skill, command
+   * or rule that is not installed
+   * @default "warn"
+   */
+  onMissingReference?: MissingReferencePolicy;
+
+  /**
+   * Write a change report once files were written: `true` writes
+   * .everything-cursor-report.md and .everything-cursor-report.json into the
+   * install dir; a path (relative to `cwd`) writes one report there, as JSON
+   * for a .json path and Markdown otherwise. Up-to-date installs write none.
+   * The report is part of the result either way.
+   * @default false
+   */
+  report?: boolean | string;
+
+  /**
+   * Transforms that turn Claude Code constructs into Cursor equivalents.
+   * Pass an empty list to install files as they are.
+   * @default defaultTransforms, or none if the last install used none
+   */
+  transforms?: readonly ContentTransform[];
+
+  /**
+   * Number of previous installations kept as snapshots for rollback().
+   * 0 disables snapshots.
+   * @default 5
+   */
+  keepSnapshots?: number;
+
+  /**
+   * Where the content comes from: a spec understood by
+   * `createContentSource()` ("package", "package@<version>", a directory,
+   * "<repo>#<ref>", a .tar.gz archive or an http(s) URL) or a custom
+   * ContentSource.
+   * When omitted, the source spec recorded in the existing manifest is reused.
+   * @default "package"
+   */
+  source?: string | ContentSource;
+
+  /**
+   * Install remote content from the download cache only, without network
+   * access. Fails if a file was never downloaded.
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * Registry that "package@<version>" sources are downloaded from
+   * @default $EVERYTHING_CURSOR_REGISTRY, or "https://jsr.io/"
+   */
+  registry?: string;
+
+  /**
+   * Overlay layers merged on top of the source, in order.
+   * @default the `overlays` of .everything-cursor.json in `cwd`
+   */
+  overlays?: Array<string | OverlayConfig>;
+
+  /**
+   * Glob patterns of files to suppress, from any layer.
+   * @default the `deny` list of .everything-cursor.json in `cwd`
+   */
+  deny?: string[];
+
+  /**
+   * Called for every file processed, for progress notes and warnings, and
+   * at the start and end of the operation
+   */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * Options of the content sources created by `createContentSource()`
+ */
+export interface ContentSourceOptions {
+  /**
+   * Read remote content from the download cache only, without network
+   * access
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * Directory of the download cache
+   * @default $EVERYTHING_CURSOR_CACHE_DIR, or everything-cursor in the user
+   * cache directory
+   */
+  cacheDir?: string;
+
+  /**
+   * Registry that "package@<version>" specs are downloaded from
+   * @default $EVERYTHING_CURSOR_REGISTRY, or "https://jsr.io/"
+   */
+  registry?: string;
+
+  /**
+   * Milliseconds a download may take, body included, before it is aborted
+   * and retried like a network error
+   * @default 30000
+   */
+  timeout?: number;
+}
+
+/**
+ * An overlay layer: a directory, "<repo>#<ref>", .tar.gz archive or
+ * "npm:<package>" whose files are merged on top of the upstream content
+ */
+export interface OverlayConfig {
+  /**
+   * Layer name recorded in the manifest
+   * @default the base name of the source
+   */
+  name?: string;
+  source: string;
+}
+
+/**
+ * Contents of the project config file `.everything-cursor.json`
+ */
+export interface EverythingCursorConfig {
+  overlays?: Array<string | OverlayConfig>;
+  deny?: string[];
+}
+
+/**
+ * How locally modified files are handled during install and upgrade:
+ *   - "keep": leave the local file untouched and warn
+ *   - "overwrite": replace it with the packaged content
+ *   - "backup": save it as `<file>.<timestamp>.bak`, then replace it
+ *   - "merge": three-way merge of the local edits with the new content,
+ *     marking hunks both sides changed with conflict markers
+ */
+export type ConflictPolicy = "keep" | "overwrite" | "backup" | "merge";
+
+/**
+ * How references to items that are not installed are handled:
+ *   - "warn": install anyway and print each missing reference
+ *   - "fail": abort the install before anything is written
+ *   - "ignore": install silently
+ */
+export type MissingReferencePolicy = "warn" | "fail" | "ignore";
+
+/**
+ * A reference from an installed file to another item, e.g. from
+ * "commands/tdd.md" to the agent "agents/tdd-guide"
+ */
+export interface FileReference {
+  /** Installed path of the referring file */
+  from: string;
+  /** Referenced item: "agents/<name>", "skills/<name>", "commands/<name>" or a rule path */
+  target: string;
+  /**
+   * How the reference was written: a Claude path, a relative Markdown link,
+   * or a mention of an agent, skill or slash command by name
+   */
+  kind: "path" | "link" | "agent" | "skill" | "command";
+  /**
+   * "installed" when the target is part of the install, "excluded" when it
+   * exists but was left out (selection, stack or deny), "unknown" when the
+   * content has no such item
+   */
+  status: "installed" | "excluded" | "unknown";
+}
+
+/**
+ * Provider of the content to install
+ *
+ * Built-in providers are created with `createContentSource()`; any object
+ * implementing this interface can be passed as `InstallOptions.source`.
+ */
+export interface ContentSource {
+  /** Human-readable description, e.g. "git ../fork#main" */
+  name: string;
+  /** Identifier of the content revision, recorded in the manifest */
+  getVersion(): Promise<string>;
+  /** Paths of all installable files, relative to the content root */
+  listFiles(): Promise<string[]>;
+  /** Read a file listed by listFiles() */
+  readFile(relativePath: string): Promise<string>;
+  /** Checksums and metadata of the files, when the source publishes them */
+  getIndex?(): Promise<ContentIndex | null>;
+  /** Spec recorded in the manifest so later installs reuse the source */
+  spec?: string;
+}
+
+/**
+ * Checksums and metadata of the content files, written to
+ * content-index.json by scripts/generate-file-list.mjs
+ */
+export interface ContentIndex {
+  /** Format version of the index */
+  version: number;
+  /** Package version the index was generated for */
+  packageVersion: string;
+  /** Entries keyed by content path, e.g. "agents/planner.md" */
+  files: Record<string, ContentIndexEntry>;
+}
+
+/**
+ * One file of the content index. Name, description, tools and headings are
+ * only set on the file describing an item (an agent, command, rule or the
+ * SKILL.md of a skill).
+ */
+export interface ContentIndexEntry {
+  /** SHA-256 (hex) of the file */
+  sha256: string;
+  /** Size in bytes */
+  size: number;
+  category: (typeof managedDirectories)[number];
+  /** Item the file belongs to, e.g. "skills/tdd-workflow" */
+  item: string;
+  name?: string;
+  description?: string;
+  tools?: string[];
+  headings?: string[];
+}
+
+/**
+ * Frontmatter of a Cursor project rule (.mdc)
+ */
+export interface RuleMetadata {
+  description: string;
+  globs: string[];
+  alwaysApply: boolean;
 }
 
 /**
@@ -81,8 +492,15 @@ export interface InstallOptions {
  */
 export interface UninstallOptions {
   /**
-   * Whether to suppress console output
-   * @default false
+   * Installation to remove: "local", "home", "all" for both, or the
+   * directory of an installation
+   * @default the local installation if there is one, otherwise the home one
+   */
+  location?: "local" | "home" | "all" | (string & {});
+
+  /**
+   * @deprecated Nothing is printed; progress is only reported through
+   * `onEvent`
    */
   silent?: boolean;
 
@@ -91,6 +509,67 @@ export interface UninstallOptions {
    * @default process.cwd()
    */
   cwd?: string;
+
+  /**
+   * Keep the snapshots, change reports and conflict backups, so a later
+   * install into the same directory can still be rolled back
+   * @default false
+   */
+  keepHistory?: boolean;
+
+  /**
+   * Called for every file processed, for progress notes and warnings, and
+   * at the start and end of the operation
+   */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * Rollback options
+ */
+export interface RollbackOptions {
+  /**
+   * Version to roll back to; the newest snapshot of that version is used
+   * @default the most recent snapshot
+   */
+  to?: string;
+
+  /**
+   * Installation to roll back: "local", "home" or its directory
+   * @default the local installation if there is one, otherwise the home one
+   */
+  location?: "local" | "home" | (string & {});
+
+  /**
+   * How files modified since the install are handled, as in install()
+   * @default "keep"
+   */
+  onConflict?: ConflictPolicy;
+
+  /**
+   * @deprecated Nothing is printed; progress is only reported through
+   * `onEvent`
+   */
+  silent?: boolean;
+
+  /**
+   * Working directory used to find the installation
+   * @default process.cwd()
+   */
+  cwd?: string;
+
+  /** Called for every file restored, as for `install()` */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * A stored snapshot of a previous installation
+ */
+export interface SnapshotInfo {
+  id: string;
+  version: string;
+  createdAt: string;
+  fileCount: number;
 }
 
 /**
@@ -99,6 +578,10 @@ export interface UninstallOptions {
 export interface InstalledFile {
   path: string;
   relativePath: string;
+  /** Path in file-list.json the file was generated from */
+  source: string;
+  /** Layers that produced the content: "upstream" and/or overlay names */
+  layers: string[];
   installedAt: string;
   checksum: string;
 }
@@ -108,8 +591,222 @@ export interface InstalledFile {
  * @internal
  */
 interface ManifestFileInfo {
+  source?: string;
+  layers?: string[];
+  /** Transforms that changed the content, in order */
+  transforms?: string[];
+  /** Checksum of the content before any transform */
+  sourceChecksum?: string;
   installedAt: string;
+  /** Checksum of the content written to disk */
   checksum: string;
+  /**
+   * Checksum of the packaged content when the file was merged with local
+   * edits, so the written content differs from it
+   */
+  baseChecksum?: string;
+}
+
+/**
+ * Include/exclude patterns that select a subset of file-list.json
+ */
+export interface FileSelection {
+  include: string[];
+  exclude: string[];
+}
+
+/**
+ * Items ("agents/planner", "skills/tdd-workflow") installed or left out
+ * individually, whatever the include/exclude patterns select
+ */
+export interface ItemSelection {
+  added: string[];
+  removed: string[];
+}
+
+/**
+ * Result of inspecting a project for stack marker files
+ */
+export interface StackDetection {
+  /** Stacks whose marker files were found */
+  stacks: ProjectStack[];
+  /** Marker files that were found, relative to the project root */
+  markers: string[];
+  /** Packs to install: "common" plus the detected stacks */
+  packs: string[];
+}
+
+/**
+ * Manifest file contents
+ * @internal
+ */
+interface Manifest {
+  schemaVersion: number;
+  version: string;
+  selectedLocation?: string;
+  installPath?: string;
+  installedAt?: string;
+  selection?: FileSelection;
+  items?: ItemSelection;
+  stack?: { detected: ProjectStack[]; packs: string[] };
+  ruleFormat?: "mdc" | "md";
+  transforms?: string[];
+  source?: { spec?: string; name: string; version: string };
+  overlays?: Array<{ name: string; spec: string; version: string }>;
+  deny?: string[];
+  /** Format the manifest was migrated from, until the next install */
+  migratedFrom?: {
+    format: "legacy-script" | "unversioned";
+    submoduleGitHash?: string;
+    submoduleGitTag?: string;
+  };
+  files: Record<string, ManifestFileInfo>;
+}
+
+/**
+ * A single file operation in an install plan:
+ *   - "add": the file does not exist yet
+ *   - "update": the file exists and is rewritten (see `changed`)
+ *   - "remove": the file left file-list.json or the selection
+ *   - "skip": the file was modified locally and is left untouched
+ */
+export interface PlannedFile {
+  action: "add" | "update" | "remove" | "skip";
+  /** Path relative to the install dir */
+  relativePath: string;
+  /** Path in file-list.json the file comes from */
+  source?: string;
+  /** Layers that produced the content: "upstream" and/or overlay names */
+  layers?: string[];
+  /** Transforms that changed the content, in order */
+  transforms?: string[];
+  /** Checksum of the content before any transform */
+  sourceChecksum?: string;
+  /** Whether the file is part of the selected file list */
+  listed: boolean;
+  /** Whether the operation changes the file on disk */
+  changed: boolean;
+  /** Whether the file on disk differs from the checksum in the manifest */
+  modified: boolean;
+  /** Conflict policy applied to a locally modified file */
+  policy?: ConflictPolicy;
+  /** Content that will be written for "add" and "update" */
+  content?: string;
+  /** SHA-256 of the packaged content */
+  checksum?: string;
+  /** Conflicting hunks left in a merged file, when local edits were merged */
+  conflicts?: number;
+  /** Why a locally modified file is kept, when not only the conflict policy */
+  detail?: string;
+  /** Unified diff from the file on disk to the content that will be written */
+  diff?: string;
+}
+
+/**
+ * Everything install() would do, computed without touching disk
+ */
+export interface InstallPlan {
+  version: string;
+  previousVersion?: string;
+  location: "local" | "home";
+  installDir: string;
+  manifestPath: string;
+  /** True when the installed version and settings already match */
+  upToDate: boolean;
+  selection: FileSelection;
+  items: ItemSelection;
+  stack?: { detected: ProjectStack[]; packs: string[] };
+  detection: StackDetection | null;
+  ruleFormat: "mdc" | "md";
+  /** Names of the active content transforms */
+  transforms: string[];
+  onConflict: ConflictPolicy;
+  /** Content source and the revision that would be installed */
+  source: { spec?: string; name: string; version: string };
+  /** Overlay layers merged on top of the source */
+  overlays: Array<{ name: string; spec: string; version: string }>;
+  /** Patterns of files suppressed from every layer */
+  deny: string[];
+  /** References between installed files and the items they point at */
+  references: FileReference[];
+  /** Problems that do not stop the install, such as ignored amendments */
+  warnings: string[];
+  files: PlannedFile[];
+}
+
+/**
+ * Result of auditing an installation against its manifest
+ */
+export interface VerifyResult {
+  location: "local" | "home";
+  installDir: string;
+  manifestPath: string;
+  version: string;
+  /** Tracked files whose checksum matches the manifest */
+  intact: string[];
+  /** Tracked files whose checksum differs from the manifest */
+  modified: string[];
+  /** Tracked files that no longer exist */
+  missing: string[];
+  /** Files in the managed directories that the manifest does not track */
+  untracked: string[];
+  /** Backup manifests left behind by the legacy install script */
+  staleBackups: string[];
+  /** Whether the manifest was written by the legacy install script */
+  legacyManifest: boolean;
+  /** Tracked files installed with identical content in the other scope too */
+  duplicates: string[];
+  /** Tracked files that come from or were amended by an overlay, with their layers */
+  overlayFiles: Record<string, string[]>;
+  /** True when no tracked file is modified or missing */
+  ok: boolean;
+}
+
+/**
+ * Snapshot record stored as `<SNAPSHOT_DIR>/<id>.json`.
+ * `files` maps each installed path to the sha256 of its content on disk,
+ * which is stored under `<SNAPSHOT_DIR>/objects/<sha256>`.
+ * @internal
+ */
+interface SnapshotRecord {
+  id: string;
+  version: string;
+  createdAt: string;
+  manifest: Manifest;
+  files: Record<string, string>;
+}
+
+/**
+ * A single idempotent step of a commit. `previous` names the staged copy of
+ * the content a step replaces, so a failed commit can be reverted.
+ * @internal
+ */
+type JournalOperation =
+  | {
+    type: "write";
+    path: string;
+    object: string;
+    created: boolean;
+    previous?: string;
+  }
+  | { type: "remove"; path: string; previous?: string }
+  | { type: "backup"; path: string; to: string };
+
+/**
+ * Write-ahead journal describing a commit: the operations to apply, the
+ * manifest to write afterwards, the staged copy of the manifest it replaces
+ * and the snapshot taken for rollback()
+ * @internal
+ */
+interface Journal {
+  /** Operation that started the commit; journals without one are installs */
+  operation?: "install" | "rollback";
+  startedAt: string;
+  version: string;
+  snapshotId?: string;
+  previousManifest?: string;
+  operations: JournalOperation[];
+  manifest: Manifest;
 }
 
 /**
@@ -122,414 +819,6113 @@ export interface InstallStatus {
   version?: string;
   installedAt?: string;
   fileCount?: number;
+  /** Every installation found, local first; the fields above describe the first */
+  installations: Installation[];
+  /** Files installed with identical content in both the local and home scope */
+  duplicates: string[];
+  /** Installations skipped because their manifest is corrupt */
+  warnings: string[];
+}
+
+/**
+ * An installation found in one scope
+ */
+export interface Installation {
+  location: "local" | "home";
+  installDir: string;
+  manifestPath: string;
+  version: string;
+  installedAt?: string;
+  fileCount: number;
+}
+
+/**
+ * Outcome of installing into one workspace of a monorepo
+ */
+export interface WorkspaceInstallResult {
+  /** Absolute path of the workspace root */
+  workspace: string;
+  /**
+   * "installed" when files were written, "up-to-date" when nothing had to
+   * change, "failed" when the install threw
+   */
+  status: "installed" | "up-to-date" | "failed";
+  /** Stack packs installed, when stack detection applied */
+  packs?: string[];
+  /** Number of files tracked by the workspace manifest */
+  fileCount?: number;
+  /** Error message of a failed install */
+  error?: string;
 }
 
-/**
- * Get information about the package
- */
-export function getPackageInfo(): PackageInfo {
+/**
+ * Move options
+ */
+export interface MoveOptions {
+  /** Scope to move the installation to */
+  to: "local" | "home";
+
+  /**
+   * @deprecated Nothing is printed; progress is only reported through
+   * `onEvent`
+   */
+  silent?: boolean;
+
+  /**
+   * Working directory used to find the local installation
+   * @default process.cwd()
+   */
+  cwd?: string;
+
+  /**
+   * Called for every file processed, for progress notes and warnings, and
+   * at the start and end of the operation
+   */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * Options for adding and removing individual items
+ */
+export interface ItemOptions {
+  /**
+   * Installation to change: "local", "home" or its directory
+   * @default the local installation if there is one, otherwise the home one
+   */
+  location?: "local" | "home" | (string & {});
+
+  /**
+   * Also add the agents, skills, commands and rules the added items
+   * reference, and the items those reference (`add()` only)
+   * @default false
+   */
+  withDependencies?: boolean;
+
+  /**
+   * How files of removed items that were modified locally are handled
+   * @default "keep"
+   */
+  onConflict?: ConflictPolicy;
+
+  /**
+   * Read remote content from the download cache only, as for `install()`
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * @deprecated Nothing is printed; progress is only reported through
+   * `onEvent`
+   */
+  silent?: boolean;
+
+  /**
+   * Working directory used to find the installation
+   * @default process.cwd()
+   */
+  cwd?: string;
+
+  /** Called for every file processed, as for `install()` */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * Outcome of an install; file lists hold paths relative to the install dir
+ */
+export interface InstallResult {
+  /** "up-to-date" when the version and settings already matched */
+  status: "installed" | "up-to-date";
+  location: "local" | "home";
+  installDir: string;
+  version: string;
+  /** Version of the installation that was replaced, if any */
+  previousVersion?: string;
+  added: string[];
+  updated: string[];
+  unchanged: string[];
+  removed: string[];
+  /** Locally modified files whose edits were merged with the new content */
+  merged: string[];
+  /** Merged files left with conflict markers to resolve */
+  conflicts: string[];
+  /** Locally modified files that were left untouched */
+  skipped: string[];
+  /** Locally modified files, whatever the conflict policy did with them */
+  modified: string[];
+  /** References to items that are not part of the install */
+  missingReferences: FileReference[];
+  /** Files installed with identical content in the other scope */
+  duplicates: string[];
+  /** What changed, as written by the `report` option */
+  report: InstallReport;
+}
+
+/**
+ * Record of what an install changed, for people reviewing the update
+ */
+export interface InstallReport {
+  /** ISO 8601 time of the install */
+  generatedAt: string;
+  location: "local" | "home";
+  installDir: string;
+  /** Content version before the install; undefined for a first install */
+  previousVersion?: string;
+  /** Content version installed */
+  version: string;
+  /** Content source and its revision */
+  source: { name: string; version: string };
+  added: string[];
+  /** Updated files, with a unified diff from the previous content */
+  updated: Array<{ path: string; diff: string }>;
+  removed: string[];
+  /** Files created by the user in the managed directories, left alone */
+  preservedUser: string[];
+  /** Locally modified files that were kept as they were */
+  skippedModified: string[];
+  /** Paths the report was written to */
+  files: string[];
+}
+
+/**
+ * Outcome of removing one installation
+ */
+export interface UninstallResult {
+  location: "local" | "home";
+  installDir: string;
+  /** Files deleted from the install dir */
+  removed: string[];
+  /**
+   * State of everything-cursor deleted with them: snapshots, change reports,
+   * conflict backups and an abandoned journal
+   */
+  removedState: string[];
+}
+
+/**
+ * Outcome of moving an installation between scopes
+ */
+export interface MoveResult {
+  from: "local" | "home";
+  to: "local" | "home";
+  installDir: string;
+  /** Files written to the new install dir */
+  moved: string[];
+}
+
+/**
+ * An agent, skill, command or rule of a content source
+ */
+export interface CatalogItem {
+  /** "agents/planner", "skills/tdd-workflow", "rules/common/testing" */
+  id: string;
+  category: (typeof managedDirectories)[number];
+  /** Frontmatter name, or the last segment of the id */
+  name: string;
+  description?: string;
+  /** Tools the item asks for, from the frontmatter */
+  tools?: string[];
+  /** Section headings of the main file */
+  headings: string[];
+  /** Content paths of the item; skills can span several files */
+  files: string[];
+  /** Total size of the files in bytes */
+  size: number;
+  /** Whether any file of the item is installed */
+  installed: boolean;
+  /** Installed paths, relative to the install dir */
+  installedPaths: string[];
+  /** Whether an installed file differs from its manifest checksum */
+  modified: boolean;
+}
+
+/**
+ * Options for browsing the catalog
+ */
+export interface CatalogOptions {
+  /**
+   * Content to browse, as for `InstallOptions.source`
+   * @default "package"
+   */
+  source?: string | ContentSource;
+
+  /**
+   * Read remote content from the download cache only
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * Installation used for the installed and modified status
+   * @default the local installation if there is one, otherwise the home one
+   */
+  location?: "local" | "home" | (string & {});
+
+  /**
+   * Working directory used to find the installation
+   * @default process.cwd()
+   */
+  cwd?: string;
+
+  /** Only list items of this category */
+  category?: (typeof managedDirectories)[number];
+}
+
+/**
+ * Options of `outdated()`
+ */
+export interface OutdatedOptions {
+  /**
+   * Installations to check
+   * @default "all"
+   */
+  location?: "local" | "home" | "all" | (string & {});
+
+  /**
+   * Registry serving the package versions, laid out like JSR
+   * @default $EVERYTHING_CURSOR_REGISTRY, or "https://jsr.io/"
+   */
+  registry?: string;
+
+  /**
+   * Working directory used to find the installations
+   * @default process.cwd()
+   */
+  cwd?: string;
+}
+
+/**
+ * Version of one installation compared with the newest release
+ */
+export interface OutdatedInfo {
+  location: "local" | "home";
+  installDir: string;
+  /** Version of the installed content */
+  installed: string;
+  /** Newest version in the registry */
+  latest: string;
+  /** Version of the running everything-cursor */
+  running: string;
+  /** Name of the content source the installation came from */
+  source: string;
+  /**
+   * Whether the content comes from a release, so `installed` can be compared
+   * with `latest`. Content from another source is never outdated; its
+   * `installed` is the version of that source, e.g. a commit.
+   */
+  comparable: boolean;
+  /** Whether the installed content is older than the newest release */
+  outdated: boolean;
+}
+
+/**
+ * Options of `planUpgrade()` and `upgrade()`
+ */
+export interface UpgradeOptions {
+  /**
+   * Installation to upgrade: "local", "home" or its directory
+   * @default the local installation if there is one, otherwise the home one
+   */
+  location?: "local" | "home" | (string & {});
+
+  /**
+   * Version to upgrade to
+   * @default the newest version in the registry
+   */
+  version?: string;
+
+  /**
+   * Registry serving the package versions, as for `outdated()`
+   */
+  registry?: string;
+
+  /**
+   * How locally modified files are handled, as for `install()`
+   * @default "keep"
+   */
+  onConflict?: ConflictPolicy;
+
+  /**
+   * Read remote content from the download cache only, as for `install()`
+   * @default false
+   */
+  offline?: boolean;
+
+  /**
+   * Write a change report, as for `install()`
+   * @default false
+   */
+  report?: boolean | string;
+
+  /**
+   * @deprecated Nothing is printed; progress is only reported through
+   * `onEvent`
+   */
+  silent?: boolean;
+
+  /**
+   * Working directory used to find the installation
+   * @default process.cwd()
+   */
+  cwd?: string;
+
+  /** Called for every file processed, as for `install()` */
+  onEvent?: (event: ProgressEvent) => void;
+}
+
+/**
+ * One installed file an upgrade adds, removes or changes
+ */
+export interface UpgradeChange {
+  /** Path relative to the install dir */
+  path: string;
+  /** Item the file belongs to, e.g. "skills/tdd-workflow" */
+  item: string | null;
+  change: "added" | "removed" | "changed";
+  linesAdded: number;
+  linesRemoved: number;
+  /** The file was modified locally and is kept as it is */
+  kept: boolean;
+}
+
+/**
+ * What `upgrade()` would change, computed without touching disk
+ */
+export interface UpgradePlan {
+  location: "local" | "home";
+  installDir: string;
+  /** Version of the installed content */
+  from: string;
+  /** Version that would be installed */
+  to: string;
+  /** Source spec that installs `to`: "package" or "package@<version>" */
+  source: string;
+  /** Changed files, sorted by path; unchanged files are left out */
+  changes: UpgradeChange[];
+}
+
+/**
+ * Options of `dev()`. Other install options (selection, rule format,
+ * transforms, conflict policy) apply to every sync.
+ */
+export interface DevOptions
+  extends Omit<InstallOptions, "source" | "location" | "report"> {
+  /**
+   * Directory with the content being authored: the managed directories at
+   * its root, or below everything-claude-code/
+   */
+  source: string;
+
+  /**
+   * Installation to sync into: "local", "home" or a directory
+   * @default "local"
+   */
+  location?: "local" | "home" | (string & {});
+
+  /**
+   * Keep syncing changes until the session is closed
+   * @default false
+   */
+  watch?: boolean;
+
+  /**
+   * Quiet period after the last change before a sync starts, so that bursts
+   * of events (a save, a branch switch) cause a single sync
+   * @default 200
+   */
+  debounceMs?: number;
+
+  /** Called after every sync with the content paths that changed */
+  onSync?: (result: InstallResult, changed: string[]) => void;
+
+  /** Called when a sync fails while watching; watching goes on */
+  onError?: (error: unknown) => void;
+}
+
+/**
+ * A running `dev()` session
+ */
+export interface DevSession {
+  /** Result of the first sync */
+  initial: InstallResult;
+  /** Stop watching; resolves once a sync in progress has finished */
+  close(): Promise<void>;
+}
+
+/**
+ * Progress reported through the `onEvent` option of `install()`,
+ * `uninstall()` and `move()`
+ */
+export type ProgressEvent =
+  | {
+    type: "start";
+    operation: "install" | "uninstall" | "move" | "rollback";
+    location: "local" | "home";
+    installDir: string;
+  }
+  | {
+    type: "file";
+    operation: "install" | "uninstall" | "move" | "rollback";
+    path: string;
+    action:
+      | "added"
+      | "updated"
+      | "unchanged"
+      | "removed"
+      | "merged"
+      | "skipped"
+      | "moved";
+    /** What happened to a locally modified file, when it was one */
+    detail?: string;
+    layers?: string[];
+  }
+  | {
+    /** A progress note, such as a recovered commit or a migrated manifest */
+    type: "info" | "warning";
+    operation: "install" | "uninstall" | "move" | "rollback" | "dev";
+    message: string;
+  }
+  | { type: "done"; operation: "install"; result: InstallResult }
+  | { type: "done"; operation: "uninstall"; result: UninstallResult }
+  | { type: "done"; operation: "move"; result: MoveResult }
+  | { type: "done"; operation: "rollback"; result: SnapshotInfo };
+
+/**
+ * Base class of the errors thrown by everything-cursor
+ */
+export class EverythingCursorError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "EverythingCursorError";
+  }
+}
+
+/**
+ * Thrown when an operation needs an installation and none exists
+ */
+export class NotInstalledError extends EverythingCursorError {
+  /** Location that was searched; undefined or "all" for any */
+  readonly location?: string;
+
+  constructor(location?: string) {
+    super(
+      location && location !== "all"
+        ? `everything-cursor is not installed in ${location}`
+        : "everything-cursor is not installed",
+    );
+    this.name = "NotInstalledError";
+    this.location = location;
+  }
+}
+
+/**
+ * Thrown when a manifest cannot be parsed or does not match the schema
+ */
+export class ManifestCorruptError extends EverythingCursorError {
+  readonly manifestPath: string;
+  /** First problem found */
+  readonly reason: string;
+
+  constructor(manifestPath: string, reason: string) {
+    super(
+      `Corrupt manifest ${manifestPath}: ${reason}. Fix or remove the file and run install again`,
+    );
+    this.name = "ManifestCorruptError";
+    this.manifestPath = manifestPath;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when content cannot be read from its source: a failed download,
+ * a missing directory or archive, or an unknown git ref
+ */
+export class SourceFetchError extends EverythingCursorError {
+  /** URL, path or spec of the source */
+  readonly source: string;
+  /** HTTP status of a failed download */
+  readonly status?: number;
+
+  constructor(message: string, source: string, status?: number) {
+    super(message);
+    this.name = "SourceFetchError";
+    this.source = source;
+    this.status = status;
+  }
+}
+
+/**
+ * Thrown when content fails verification: a checksum that does not match
+ * content-index.json, a path outside the managed directories or a symlink.
+ * Installs abort before writing anything.
+ */
+export class ContentIntegrityError extends EverythingCursorError {
+  /** URL, path or spec of the source */
+  readonly source: string;
+  /** Content or install path that failed verification */
+  readonly path: string;
+
+  constructor(message: string, source: string, path: string) {
+    super(message);
+    this.name = "ContentIntegrityError";
+    this.source = source;
+    this.path = path;
+  }
+}
+
+/**
+ * Thrown when another process keeps an install dir locked for longer than
+ * the lock timeout
+ */
+export class LockTimeoutError extends EverythingCursorError {
+  /** Lock file that could not be taken */
+  readonly lockPath: string;
+
+  constructor(installDir: string, lockPath: string) {
+    super(
+      `Another everything-cursor process is using ${installDir} (lock: ${lockPath})`,
+    );
+    this.name = "LockTimeoutError";
+    this.lockPath = lockPath;
+  }
+}
+
+/**
+ * Thrown by install() with `onMissingReference: "fail"` when the content
+ * refers to items that would not be installed. Nothing is written.
+ */
+export class MissingReferenceError extends EverythingCursorError {
+  readonly references: FileReference[];
+
+  constructor(references: FileReference[]) {
+    super(
+      `${references.length} reference(s) to items that are not installed:\n${
+        references.map((reference) => `  ${formatReference(reference)}`)
+          .join("\n")
+      }`,
+    );
+    this.name = "MissingReferenceError";
+    this.references = references;
+  }
+}
+
+/**
+ * Thrown by planUpgrade() and upgrade() for an installation whose content
+ * does not come from a release of this package, such as a fork, a URL or a
+ * directory: there is no newer release of it to upgrade to
+ */
+export class NotUpgradableError extends EverythingCursorError {
+  readonly location: "local" | "home";
+  /** Spec or name of the source the installation came from */
+  readonly source: string;
+
+  constructor(location: "local" | "home", source: string) {
+    super(
+      `The ${location} installation comes from ${source}, not a release of everything-cursor; ` +
+        `run install again to update it from that source, or install --source package to switch to releases`,
+    );
+    this.name = "NotUpgradableError";
+    this.location = location;
+    this.source = source;
+  }
+}
+
+/**
+ * Thrown by move() when the target scope already holds an installation
+ */
+export class AlreadyInstalledError extends EverythingCursorError {
+  readonly location: "local" | "home";
+
+  constructor(location: "local" | "home") {
+    super(
+      `everything-cursor is already installed in ${location}; uninstall it first`,
+    );
+    this.name = "AlreadyInstalledError";
+    this.location = location;
+  }
+}
+
+/**
+ * Thrown when a request cannot be carried out as given, such as an unknown
+ * item, a version without snapshots or no install location without a
+ * terminal to ask for one. Nothing is changed.
+ */
+export class UsageError extends EverythingCursorError {
+  constructor(message: string) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Thrown when the user cancels an interactive prompt
+ */
+export class CancelledError extends EverythingCursorError {
+  constructor(message: string) {
+    super(message);
+    this.name = "CancelledError";
+  }
+}
+
+/**
+ * Thrown when the project config (.everything-cursor.json) cannot be read
+ */
+export class ConfigError extends EverythingCursorError {
+  readonly configPath: string;
+
+  constructor(message: string, configPath: string) {
+    super(message);
+    this.name = "ConfigError";
+    this.configPath = configPath;
+  }
+}
+
+/**
+ * Thrown when a manifest was written by a newer release, with a schema
+ * version this release does not understand
+ */
+export class UnsupportedManifestError extends EverythingCursorError {
+  readonly manifestPath: string;
+  readonly schemaVersion: number;
+
+  constructor(manifestPath: string, schemaVersion: number) {
+    super(
+      `Manifest ${manifestPath} uses schema version ${schemaVersion}, but this release only understands up to ${MANIFEST_SCHEMA_VERSION}; upgrade everything-cursor`,
+    );
+    this.name = "UnsupportedManifestError";
+    this.manifestPath = manifestPath;
+    this.schemaVersion = schemaVersion;
+  }
+}
+
+/**
+ * Thrown by move() when files of the installation already exist in the
+ * target scope with other content. Nothing is moved.
+ */
+export class MoveConflictError extends EverythingCursorError {
+  readonly targetDir: string;
+  /** Conflicting paths, relative to the install dir */
+  readonly paths: string[];
+
+  constructor(targetDir: string, paths: string[]) {
+    super(
+      `${paths.length} file(s) already exist in ${targetDir}:\n${
+        paths.map((key) => `  ${key}`).join("\n")
+      }`,
+    );
+    this.name = "MoveConflictError";
+    this.targetDir = targetDir;
+    this.paths = paths;
+  }
+}
+
+/**
+ * Get information about the package
+ */
+export function getPackageInfo(): PackageInfo {
+  return {
+    name,
+    version,
+    description,
+    managedDirectories,
+    managedExtension,
+  };
+}
+
+/**
+ * Returns the package root URL.
+ * Handles three cases:
+ *   - JSR (https://): base URL is alongside mod.ts
+ *   - npm dist/ (file://): package root is one level up from dist/
+ *   - source (file://): package root is alongside mod.ts
+ * @internal
+ */
+function getPackageBaseUrl(): URL {
+  if (!import.meta.url.startsWith("file://")) {
+    // JSR: use the directory containing mod.ts directly
+    return new URL("./", import.meta.url);
+  }
+  const moduleDir = path.dirname(fileURLToPath(import.meta.url));
+  // npm build output: dist/mod.js → package root is parent of dist/
+  const rootDir = path.basename(moduleDir) === "dist"
+    ? path.dirname(moduleDir)
+    : moduleDir;
+  return new URL(`file://${rootDir}/`);
+}
+
+/**
+ * Attempts per download before a transient failure is reported
+ * @internal
+ */
+const FETCH_ATTEMPTS = 4;
+
+/**
+ * Delay before the first retry; doubled for every further attempt
+ * @internal
+ */
+const FETCH_RETRY_DELAY_MS = 250;
+
+/**
+ * Time a download may take before it is aborted
+ * @internal
+ */
+const FETCH_TIMEOUT_MS = 30_000;
+
+/**
+ * Number of files downloaded or read at the same time
+ * @internal
+ */
+const FETCH_CONCURRENCY = 8;
+
+/**
+ * Download a text file. Network errors, timeouts, 5xx and 429 responses are
+ * retried with exponential backoff; other errors fail at once.
+ * @internal
+ */
+async function fetchText(
+  url: URL,
+  timeout: number = FETCH_TIMEOUT_MS,
+): Promise<string> {
+  for (let attempt = 1;; attempt++) {
+    let failure: SourceFetchError;
+    try {
+      const resp = await fetch(url.href, {
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (resp.ok) return await resp.text();
+      failure = new SourceFetchError(
+        `Failed to fetch ${url.href}: ${resp.status} ${resp.statusText}`,
+        url.href,
+        resp.status,
+      );
+    } catch (error) {
+      const timedOut = error instanceof Error && error.name === "TimeoutError";
+      failure = new SourceFetchError(
+        `Failed to fetch ${url.href}: ${
+          timedOut
+            ? `timed out after ${timeout} ms`
+            : error instanceof Error
+            ? error.message
+            : String(error)
+        }`,
+        url.href,
+      );
+    }
+
+    const transient = failure.status === undefined || failure.status === 429 ||
+      failure.status >= 500;
+    if (!transient || attempt >= FETCH_ATTEMPTS) throw failure;
+    await new Promise((resolve) =>
+      setTimeout(resolve, FETCH_RETRY_DELAY_MS * 2 ** (attempt - 1))
+    );
+  }
+}
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the order
+ * @internal
+ */
+async function mapConcurrent<T, R>(
+  items: readonly T[],
+  limit: number,
+  fn: (item: T) => Promise<R>,
+): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return results;
+}
+
+/**
+ * Directory of the download cache: $EVERYTHING_CURSOR_CACHE_DIR, or
+ * everything-cursor in the platform's user cache directory
+ * @internal
+ */
+function getCacheDir(): string {
+  if (process.env.EVERYTHING_CURSOR_CACHE_DIR) {
+    return path.resolve(process.env.EVERYTHING_CURSOR_CACHE_DIR);
+  }
+  const base = process.platform === "win32"
+    ? process.env.LOCALAPPDATA ?? path.join(os.homedir(), "AppData", "Local")
+    : process.platform === "darwin"
+    ? path.join(os.homedir(), "Library", "Caches")
+    : process.env.XDG_CACHE_HOME ?? path.join(os.homedir(), ".cache");
+  return path.join(base, "everything-cursor");
+}
+
+/**
+ * Base URL of the package registry, ending in a slash
+ * @internal
+ */
+function getRegistryUrl(registry?: string): URL {
+  const base = registry ?? process.env.EVERYTHING_CURSOR_REGISTRY ??
+    "https://jsr.io/";
+  return new URL(base.endsWith("/") ? base : `${base}/`);
+}
+
+/**
+ * Compare two version strings numerically, field by field. A prerelease
+ * ("1.0.0-rc.1") sorts before its release.
+ * @internal
+ */
+function compareVersions(a: string, b: string): number {
+  const parse = (value: string) => {
+    const [release, prerelease] = value.split(/-(.*)/s);
+    return {
+      fields: release.split(".").map((field) => parseInt(field, 10) || 0),
+      prerelease,
+    };
+  };
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < Math.max(left.fields.length, right.fields.length); i++) {
+    const difference = (left.fields[i] ?? 0) - (right.fields[i] ?? 0);
+    if (difference !== 0) return Math.sign(difference);
+  }
+  if (left.prerelease === right.prerelease) return 0;
+  if (left.prerelease === undefined) return 1;
+  if (right.prerelease === undefined) return -1;
+  return left.prerelease.localeCompare(right.prerelease, undefined, {
+    numeric: true,
+  });
+}
+
+/**
+ * Find the newest release in the registry, from its meta.json: the version
+ * marked latest, or else the highest version that is not yanked
+ * @internal
+ */
+async function fetchLatestVersion(registry?: string): Promise<string> {
+  const url = new URL(`${name}/meta.json`, getRegistryUrl(registry));
+  let meta: { latest?: string; versions?: Record<string, { yanked?: boolean }> };
+  try {
+    meta = JSON.parse(await fetchText(url));
+  } catch (error) {
+    if (error instanceof SourceFetchError) throw error;
+    throw new SourceFetchError(`Invalid registry metadata at ${url.href}`, url.href);
+  }
+
+  const available = Object.entries(meta.versions ?? {})
+    .filter(([, info]) => !info?.yanked)
+    .map(([release]) => release)
+    .sort(compareVersions);
+  const latest = meta.latest ?? available[available.length - 1];
+  if (!latest) {
+    throw new SourceFetchError(`No versions of ${name} found at ${url.href}`, url.href);
+  }
+  return latest;
+}
+
+/**
+ * Content source downloading a published package over http(s). The server
+ * must lay files out like the package: file-list.json and content-index.json
+ * at the base URL, content below everything-claude-code/.
+ *
+ * The index is required, as downloads are verified against it. When the
+ * index is pinned, its own checksum must match the pin. Verified files are
+ * cached by checksum, so they are downloaded once for any number
+ * of installs and versions. file-list.json and the index are cached per
+ * package version, and reused as published versions never change; other
+ * servers are cached per URL and asked again unless offline.
+ * @internal
+ */
+function createRemoteSource(
+  baseUrl: URL,
+  options: ContentSourceOptions,
+  packageVersion?: string,
+  pinnedIndex?: string,
+): ContentSource {
+  const { offline = false, timeout } = options;
+  const cacheDir = options.cacheDir ?? getCacheDir();
+  const name = packageVersion ? "package" : `url ${baseUrl.href}`;
+  const metadataDir = path.join(
+    cacheDir,
+    packageVersion ??
+      `url-${calculateChecksumFromString(baseUrl.href).slice(0, 12)}`,
+  );
+
+  const cacheWrite = (filePath: string, content: string) => {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(filePath, content);
+    } catch {
+      // The cache only saves downloads; failing to fill it is not an error
+    }
+  };
+
+  const metadata = new Map<string, Promise<string>>();
+  const readMetadata = (file: string) => {
+    const load = async () => {
+      const cachePath = path.join(metadataDir, file);
+      // A published package version never changes, so its cache is reused
+      if (packageVersion && fs.existsSync(cachePath)) {
+        return fs.readFileSync(cachePath, "utf-8");
+      }
+      if (offline) {
+        if (!fs.existsSync(cachePath)) {
+          throw new SourceFetchError(
+            `${file} of ${name} is not in the cache (${cacheDir}); run once without --offline`,
+            baseUrl.href,
+          );
+        }
+        return fs.readFileSync(cachePath, "utf-8");
+      }
+      const content = await fetchText(new URL(file, baseUrl), timeout);
+      cacheWrite(cachePath, content);
+      return content;
+    };
+    if (!metadata.has(file)) metadata.set(file, load());
+    return metadata.get(file)!;
+  };
+
+  const loadIndex = async (): Promise<ContentIndex | null> => {
+    let raw: string;
+    try {
+      raw = await readMetadata(CONTENT_INDEX_FILE);
+    } catch (error) {
+      if (error instanceof SourceFetchError && error.status === 404) return null;
+      throw error;
+    }
+    if (pinnedIndex && calculateChecksumFromString(raw) !== pinnedIndex) {
+      throw new ContentIntegrityError(
+        `${CONTENT_INDEX_FILE} of ${name} does not match the checksum pinned for version ${packageVersion}`,
+        baseUrl.href,
+        CONTENT_INDEX_FILE,
+      );
+    }
+    const index: ContentIndex = JSON.parse(raw);
+    if (packageVersion && index.packageVersion !== packageVersion) {
+      throw new ContentIntegrityError(
+        `${CONTENT_INDEX_FILE} of ${name} is for version ${index.packageVersion}, not ${packageVersion}`,
+        baseUrl.href,
+        CONTENT_INDEX_FILE,
+      );
+    }
+    return index;
+  };
+
+  const source: ContentSource = withContentIndex({
+    name,
+    // Other servers have no fixed version, so their index stands in for one
+    getVersion: async () =>
+      packageVersion ??
+        `sha256:${
+          calculateChecksumFromString(await readMetadata(CONTENT_INDEX_FILE))
+            .slice(0, 12)
+        }`,
+    listFiles: async () =>
+      JSON.parse(await readMetadata("file-list.json")) as string[],
+    readFile: async (relativePath) => {
+      const expected = (await source.getIndex!())?.files[relativePath]?.sha256;
+      const cachePath = expected
+        ? path.join(cacheDir, "files", expected)
+        : undefined;
+      if (cachePath && fs.existsSync(cachePath)) {
+        const cached = fs.readFileSync(cachePath, "utf-8");
+        if (calculateChecksumFromString(cached) === expected) return cached;
+      }
+      if (offline) {
+        throw new SourceFetchError(
+          `${relativePath} of ${name} is not in the cache (${cacheDir}); run once without --offline`,
+          baseUrl.href,
+        );
+      }
+
+      const content = await fetchText(
+        new URL(`${CONTENT_DIR}/${relativePath}`, baseUrl),
+        timeout,
+      );
+      if (cachePath && calculateChecksumFromString(content) === expected) {
+        cacheWrite(cachePath, content);
+      }
+      return content;
+    },
+  }, loadIndex, true);
+  return source;
+}
+
+/**
+ * Content index file name, next to file-list.json
+ * @internal
+ */
+const CONTENT_INDEX_FILE = "content-index.json";
+
+/**
+ * Give a source the index it publishes, and check every path it lists and
+ * every file read from it against the checksum in that index. Unless the
+ * index is required, files missing from it are read unchecked, so sources
+ * without an index keep working. A required index must exist and list every
+ * file.
+ * @internal
+ */
+function withContentIndex(
+  source: ContentSource,
+  loadIndex: () => Promise<ContentIndex | null>,
+  required = false,
+): ContentSource {
+  let index: Promise<ContentIndex | null> | undefined;
+  const getIndex = () =>
+    (index ??= loadIndex().then((loaded) => {
+      if (required && !loaded) {
+        throw new ContentIntegrityError(
+          `${source.name} publishes no ${CONTENT_INDEX_FILE}; refusing to install unverified content`,
+          source.name,
+          CONTENT_INDEX_FILE,
+        );
+      }
+      return loaded;
+    }));
+
+  return {
+    ...source,
+    getIndex,
+    listFiles: async () => {
+      const files = await source.listFiles();
+      for (const relativePath of files) checkContentPath(relativePath, source.name);
+      return files;
+    },
+    readFile: async (relativePath) => {
+      checkContentPath(relativePath, source.name);
+      const [content, loaded] = await Promise.all([
+        source.readFile(relativePath),
+        getIndex(),
+      ]);
+      const expected = loaded?.files[relativePath]?.sha256;
+      if (!expected && required) {
+        throw new ContentIntegrityError(
+          `${relativePath} is not listed in ${CONTENT_INDEX_FILE} of ${source.name}`,
+          source.name,
+          relativePath,
+        );
+      }
+      if (expected && calculateChecksumFromString(content) !== expected) {
+        throw new ContentIntegrityError(
+          `Checksum mismatch for ${relativePath} in ${source.name}: the content does not match ${CONTENT_INDEX_FILE}`,
+          source.name,
+          relativePath,
+        );
+      }
+      return content;
+    },
+  };
+}
+
+/**
+ * Reject a content path that would not stay inside its managed directory
+ * once joined onto the install dir: absolute paths, backslashes, empty,
+ * "." or ".." segments, other directories and other extensions.
+ * @internal
+ */
+function checkContentPath(relativePath: string, sourceName: string): void {
+  const segments = relativePath.split("/");
+  if (
+    path.isAbsolute(relativePath) || relativePath.includes("\\") ||
+    relativePath.includes("\0") ||
+    segments.some((segment) => ["", ".", ".."].includes(segment)) ||
+    segments.length < 2 ||
+    !(managedDirectories as readonly string[]).includes(segments[0]) ||
+    path.posix.extname(relativePath).toLowerCase() !== managedExtension
+  ) {
+    throw new ContentIntegrityError(
+      `Unsafe path "${relativePath}" in ${sourceName}: content must be ${managedExtension} files inside ${
+        managedDirectories.join(", ")
+      }`,
+      sourceName,
+      relativePath,
+    );
+  }
+}
+
+/**
+ * First existing symlink on the way from baseDir to a relative path, if any
+ * @internal
+ */
+function findSymlink(baseDir: string, relativePath: string): string | null {
+  let current = baseDir;
+  for (const segment of relativePath.split("/")) {
+    current = path.join(current, segment);
+    const stat = fs.lstatSync(current, { throwIfNoEntry: false });
+    if (!stat) return null;
+    if (stat.isSymbolicLink()) return current;
+  }
+  return null;
+}
+
+/**
+ * Project config file name, looked up in the working directory
+ */
+const CONFIG_FILE = ".everything-cursor.json";
+
+/**
+ * Layer name of the content source itself, below any overlays
+ */
+const BASE_LAYER = "upstream";
+
+/**
+ * Suffix of overlay files that are appended to the file of the same name
+ */
+const APPEND_SUFFIX = ".append.md";
+
+/**
+ * Directory that holds the content inside the package, a checkout of this
+ * repository or its archive
+ * @internal
+ */
+const CONTENT_DIR = "everything-claude-code";
+
+/**
+ * Read-only view of a file tree that content sources are built on
+ * @internal
+ */
+interface SourceTree {
+  /** Whether a file or directory exists at a tree-relative path */
+  has(relativePath: string): boolean;
+  /** Read a file at a tree-relative path */
+  read(relativePath: string): string;
+  /** List regular .md files below a directory (tree-relative, no symlinks) */
+  list(dir: string): string[];
+}
+
+/**
+ * Build a content source over a file tree. The tree may either hold the
+ * managed directories at its root (a fork of everything-claude-code) or
+ * below everything-claude-code/ (a checkout of this package). file-list.json
+ * at the tree root is used when present, otherwise the tree is scanned.
+ * @internal
+ */
+function createTreeSource(
+  name: string,
+  tree: SourceTree,
+  getVersion: () => Promise<string>,
+): ContentSource {
+  const prefix = tree.has(CONTENT_DIR) ? `${CONTENT_DIR}/` : "";
+
+  return withContentIndex({
+    name,
+    getVersion,
+    listFiles: () => {
+      if (tree.has("file-list.json")) {
+        return Promise.resolve(
+          JSON.parse(tree.read("file-list.json")) as string[],
+        );
+      }
+      return Promise.resolve(
+        managedDirectories
+          .flatMap((dir) => tree.list(`${prefix}${dir}`))
+          .map((relativePath) => relativePath.slice(prefix.length))
+          .sort(),
+      );
+    },
+    readFile: (relativePath) =>
+      Promise.resolve(tree.read(`${prefix}${relativePath}`)),
+  }, () =>
+    Promise.resolve(
+      tree.has(CONTENT_INDEX_FILE)
+        ? JSON.parse(tree.read(CONTENT_INDEX_FILE)) as ContentIndex
+        : null,
+    ));
+}
+
+/**
+ * Content source reading the files shipped with this package: from disk
+ * for npm installs and checkouts, downloaded for JSR
+ * @internal
+ */
+function createPackageSource(options: ContentSourceOptions): ContentSource {
+  const base = getPackageBaseUrl();
+  if (base.protocol !== "file:") {
+    // The pin ships as a module, so it is covered by the integrity checks of
+    // the module graph rather than trusted like a fetched file
+    return createRemoteSource(base, options, version, contentIndexSha256);
+  }
+  return createTreeSource(
+    "package",
+    createFsTree(fileURLToPath(base)),
+    () => Promise.resolve(version),
+  );
+}
+
+/**
+ * Content source reading a local directory. A working directory, one whose
+ * files are being edited, is always scanned: its file-list.json and
+ * content-index.json are ignored.
+ * @internal
+ */
+function createDirectorySource(
+  rootDir: string,
+  working = false,
+): ContentSource {
+  if (!fs.statSync(rootDir, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new SourceFetchError(`Source directory not found: ${rootDir}`, rootDir);
+  }
+
+  // Files being edited are scanned; the generated lists would be stale
+  const fsTree = createFsTree(rootDir);
+  const generated = ["file-list.json", CONTENT_INDEX_FILE];
+  const source = createTreeSource(
+    `directory ${rootDir}`,
+    working
+      ? {
+        ...fsTree,
+        has: (relativePath) =>
+          !generated.includes(relativePath) && fsTree.has(relativePath),
+      }
+      : fsTree,
+    // A directory has no revision, so its version is a hash of its content
+    async () => {
+      const checksums = new Map<string, string>();
+      for (const relativePath of await source.listFiles()) {
+        checksums.set(
+          relativePath,
+          calculateChecksumFromString(await source.readFile(relativePath)),
+        );
+      }
+      return directoryVersion(checksums);
+    },
+  );
+  return working ? { ...source, spec: rootDir } : source;
+}
+
+/**
+ * Version of a directory source from the checksums of its files, keyed by
+ * content path; dev() keeps it current without reading every file again
+ * @internal
+ */
+function directoryVersion(checksums: ReadonlyMap<string, string>): string {
+  const hash = crypto.createHash("sha256");
+  for (const relativePath of [...checksums.keys()].sort()) {
+    hash.update(relativePath).update("\0");
+    hash.update(checksums.get(relativePath)!).update("\0");
+  }
+  return `sha256:${hash.digest("hex").slice(0, 12)}`;
+}
+
+/**
+ * File tree over a local directory
+ * @internal
+ */
+function createFsTree(rootDir: string): SourceTree {
+  return {
+    has: (relativePath) => fs.existsSync(path.join(rootDir, relativePath)),
+    read: (relativePath) => {
+      // Listed files could point anywhere on disk through a symlink
+      const link = findSymlink(rootDir, relativePath);
+      if (link) {
+        throw new ContentIntegrityError(
+          `Refusing to read ${relativePath} from ${rootDir}: ${link} is a symlink`,
+          rootDir,
+          relativePath,
+        );
+      }
+      return fs.readFileSync(path.join(rootDir, relativePath), "utf-8");
+    },
+    list: (dir) => walkFiles(rootDir, dir, [managedExtension]),
+  };
+}
+
+/**
+ * Content source reading a commit of a local git repository, without
+ * touching its working tree
+ * @internal
+ */
+function createGitSource(repoDir: string, ref: string): ContentSource {
+  const gitWith = (options: string[]) => (...gitArgs: string[]) =>
+    execFileSync("git", [...options, ...gitArgs], {
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  const git = gitWith(["-C", repoDir]);
+
+  let commit: string;
+  try {
+    commit = git("rev-parse", "--verify", `${ref}^{commit}`).trim();
+  } catch {
+    throw new SourceFetchError(
+      `Cannot resolve git ref "${ref}" in ${repoDir}`,
+      `${repoDir}#${ref}`,
+    );
+  }
+
+  // A submodule is read at the commit the superproject records, from its
+  // checkout or from the superproject's .git/modules
+  const submoduleGit = (submodulePath: string, submoduleCommit: string) => {
+    const commonDir = path.resolve(
+      repoDir,
+      git("rev-parse", "--git-common-dir").trim(),
+    );
+    const candidates = [
+      ...(fs.existsSync(path.join(repoDir, submodulePath, ".git"))
+        ? [["-C", path.join(repoDir, submodulePath)]]
+        : []),
+      ["--git-dir", path.join(commonDir, "modules", submodulePath)],
+    ];
+    for (const options of candidates) {
+      const run = gitWith(options);
+      try {
+        run("cat-file", "-e", `${submoduleCommit}^{commit}`);
+        return run;
+      } catch {
+        // Not initialized there, or the commit was never fetched
+      }
+    }
+    return null;
+  };
+
+  // Regular files only: symlinks (120000) are skipped
+  const files = new Map<string, () => string>();
+  const addTree = (run: typeof git, treeish: string, prefix: string) => {
+    for (const line of run("ls-tree", "-r", "--full-tree", treeish).split("\n")) {
+      const match = line.match(/^(\d+) (blob|commit) ([0-9a-f]+)\t(.+)$/);
+      if (!match || match[1] === "120000") continue;
+      const [, , type, hash, entryPath] = match;
+      if (type === "blob") {
+        files.set(`${prefix}${entryPath}`, () => run("cat-file", "blob", hash));
+        continue;
+      }
+
+      // Only the content submodule matters; other submodules are skipped
+      const dirs: readonly string[] = managedDirectories;
+      const isContent = entryPath === CONTENT_DIR || dirs.includes(entryPath);
+      if (prefix !== "" || !isContent) continue;
+      const submodule = submoduleGit(entryPath, hash);
+      if (!submodule) {
+        throw new SourceFetchError(
+          `Submodule ${entryPath} at ${
+            hash.slice(0, 12)
+          } is not available in ${repoDir}; run "git submodule update --init" there`,
+          `${repoDir}#${ref}`,
+        );
+      }
+      addTree(submodule, hash, `${entryPath}/`);
+    }
+  };
+  addTree(git, commit, "");
+
+  return createTreeSource(
+    `git ${repoDir}#${ref}`,
+    createMapTree(files, (read) => read(), `${repoDir}#${ref}`),
+    () => Promise.resolve(`git:${commit}`),
+  );
+}
+
+/**
+ * Content source reading a .tar.gz archive. A single top-level directory,
+ * as in GitHub archives or npm pack output, is stripped.
+ * @internal
+ */
+function createTarballSource(archivePath: string): ContentSource {
+  if (!fs.existsSync(archivePath)) {
+    throw new SourceFetchError(
+      `Source archive not found: ${archivePath}`,
+      archivePath,
+    );
+  }
+
+  const archive = fs.readFileSync(archivePath);
+  let data: Buffer;
+  try {
+    data = zlib.gunzipSync(archive);
+  } catch (error) {
+    throw new SourceFetchError(
+      `Cannot decompress source archive ${archivePath}: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+      archivePath,
+    );
+  }
+  const entries = readTarEntries(data, archivePath);
+
+  const topLevel = new Set(
+    [...entries.keys()].map((entryPath) => entryPath.split("/")[0]),
+  );
+  const [root] = topLevel;
+  const stripped = topLevel.size === 1 &&
+      [...entries.keys()].every((entryPath) => entryPath.includes("/"))
+    ? new Map(
+      [...entries].map(([entryPath, content]) => [
+        entryPath.slice(root.length + 1),
+        content,
+      ]),
+    )
+    : entries;
+
+  const digest = crypto.createHash("sha256").update(archive).digest("hex");
+  return createTreeSource(
+    `archive ${archivePath}`,
+    createMapTree(stripped, (content) => content.toString("utf-8"), archivePath),
+    () => Promise.resolve(`sha256:${digest.slice(0, 12)}`),
+  );
+}
+
+/**
+ * File tree over an in-memory map of paths to lazily read values
+ * @internal
+ */
+function createMapTree<T>(
+  files: Map<string, T>,
+  read: (value: T) => string,
+  source: string,
+): SourceTree {
+  return {
+    has: (relativePath) =>
+      files.has(relativePath) ||
+      [...files.keys()].some((key) => key.startsWith(`${relativePath}/`)),
+    read: (relativePath) => {
+      const value = files.get(relativePath);
+      if (value === undefined) {
+        throw new SourceFetchError(`File not found: ${relativePath}`, source);
+      }
+      return read(value);
+    },
+    list: (dir) =>
+      [...files.keys()].filter((key) =>
+        key.startsWith(`${dir}/`) &&
+        path.extname(key).toLowerCase() === managedExtension
+      ),
+  };
+}
+
+/**
+ * Extract the regular files of an uncompressed tar archive.
+ * Supports ustar prefixes, GNU long names and pax path records;
+ * links and other special entries are skipped.
+ * @internal
+ */
+function readTarEntries(data: Uint8Array, source: string): Map<string, Buffer> {
+  const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  const entries = new Map<string, Buffer>();
+  const text = (start: number, length: number) =>
+    buffer.toString("utf-8", start, start + length).replace(/\0.*$/s, "");
+
+  let offset = 0;
+  let longName: string | null = null;
+
+  while (offset + 512 <= buffer.length) {
+    if (buffer.subarray(offset, offset + 512).every((byte) => byte === 0)) {
+      break;
+    }
+
+    let name = text(offset, 100);
+    const prefix = text(offset + 345, 155);
+    if (prefix) name = `${prefix}/${name}`;
+    const size = parseInt(text(offset + 124, 12).trim() || "0", 8);
+    if (Number.isNaN(size) || offset + 512 + size > buffer.length) {
+      throw new SourceFetchError(
+        `Source archive ${source} is not a valid tar archive or is truncated (at ${
+          name || `offset ${offset}`
+        })`,
+        source,
+      );
+    }
+    const type = String.fromCharCode(buffer[offset + 156] || 48);
+    const body = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === "L") {
+      longName = body.toString("utf-8").replace(/\0.*$/s, "");
+    } else if (type === "x") {
+      const record = body.toString("utf-8").match(/\d+ path=([^\n]*)\n/);
+      if (record) longName = record[1];
+    } else if (type === "0" || type === "7") {
+      entries.set((longName ?? name).replace(/^\.\//, ""), body);
+      longName = null;
+    } else if (type !== "g") {
+      longName = null;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Resolve a `--source` spec into a content source:
+ *   - "package": the content shipped with this package (default)
+ *   - "package@<version>": the content of another release, downloaded from
+ *     the registry
+ *   - "https://..." or "http://...": a server laid out like the package,
+ *     such as a mirror
+ *   - "<path>.tar.gz" or "<path>.tgz": an archive
+ *   - "<path>#<ref>": a commit of a local git repository
+ *   - "<path>": a local directory
+ *
+ * @example
+ * ```ts
+ * import { createContentSource, install } from "@yoshixmk/everything-cursor";
+ *
+ * const source = createContentSource("../everything-claude-code-fork#main");
+ * console.log(await source.getVersion());
+ * await install({ location: "local", source });
+ * ```
+ */
+export function createContentSource(
+  spec: string,
+  cwd: string = process.cwd(),
+  options: ContentSourceOptions = {},
+): ContentSource {
+  if (spec === "package") return createPackageSource(options);
+  if (spec.startsWith("package@")) {
+    const release = spec.slice("package@".length);
+    if (release === version) return createPackageSource(options);
+    return createRemoteSource(
+      new URL(`${name}/${release}/`, getRegistryUrl(options.registry)),
+      options,
+      release,
+    );
+  }
+  if (/^https?:\/\//i.test(spec)) {
+    return createRemoteSource(
+      new URL(spec.endsWith("/") ? spec : `${spec}/`),
+      options,
+    );
+  }
+
+  const gitSpec = splitGitSpec(spec, cwd);
+  if (gitSpec) return createGitSource(gitSpec.repoDir, gitSpec.ref);
+
+  const resolved = path.resolve(cwd, spec);
+  if (/\.(tar\.gz|tgz)$/i.test(resolved)) return createTarballSource(resolved);
+  return createDirectorySource(resolved);
+}
+
+/**
+ * Normalize a source spec so it can be reused from any working directory
+ * @internal
+ */
+function absoluteSourceSpec(spec: string, cwd: string): string {
+  if (spec === "package" || spec.startsWith("package@")) return spec;
+  if (/^https?:\/\//i.test(spec)) return spec;
+  const gitSpec = splitGitSpec(spec, cwd);
+  return gitSpec
+    ? `${gitSpec.repoDir}#${gitSpec.ref}`
+    : path.resolve(cwd, spec);
+}
+
+/**
+ * Split a `<repo>#<ref>` spec. A path that exists as given is never split,
+ * so directories and archives with "#" in their name keep working.
+ * @internal
+ */
+function splitGitSpec(
+  spec: string,
+  cwd: string,
+): { repoDir: string; ref: string } | null {
+  const hashIndex = spec.lastIndexOf("#");
+  if (hashIndex <= 0 || fs.existsSync(path.resolve(cwd, spec))) return null;
+  return {
+    repoDir: path.resolve(cwd, spec.slice(0, hashIndex)),
+    ref: spec.slice(hashIndex + 1),
+  };
+}
+
+/**
+ * Load the project config file (.everything-cursor.json) from a directory
+ * @internal
+ */
+function loadConfig(cwd: string): EverythingCursorConfig {
+  const configPath = path.join(cwd, CONFIG_FILE);
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(
+      `Invalid ${CONFIG_FILE}: ${
+        error instanceof Error ? error.message : String(error)
+      }`,
+      configPath,
+    );
+  }
+}
+
+/**
+ * Turn overlay declarations into named content sources. Specs are resolved
+ * like `--source`; "npm:<name>" refers to an installed package.
+ * @internal
+ */
+function resolveOverlays(
+  overlays: Array<string | OverlayConfig>,
+  cwd: string,
+  sourceOptions: ContentSourceOptions,
+): Array<{ name: string; spec: string; source: ContentSource }> {
+  return overlays.map((overlay) => {
+    const config = typeof overlay === "string" ? { source: overlay } : overlay;
+    const spec = config.source.startsWith("npm:")
+      ? path.join(cwd, "node_modules", config.source.slice(4))
+      : absoluteSourceSpec(config.source, cwd);
+    return {
+      name: config.name ?? path.basename(spec.replace(/#.*$/, "")),
+      spec,
+      source: createContentSource(spec, cwd, sourceOptions),
+    };
+  });
+}
+
+/**
+ * Merge overlay layers on top of a base content source. An overlay file adds
+ * a new path or replaces the base file of the same path; a file named
+ * `<name>.append.md` is appended to `<name>.md`. Paths matching a deny
+ * pattern are dropped from the result.
+ * @internal
+ */
+async function createLayeredSource(
+  base: ContentSource,
+  overlays: Array<{ name: string; source: ContentSource }>,
+  deny: string[],
+): Promise<{
+  source: ContentSource;
+  layersOf(path: string): string[];
+  warnings: string[];
+}> {
+  const files = new Map<
+    string,
+    { layers: string[]; parts: Array<() => Promise<string>> }
+  >();
+
+  for (const relativePath of await base.listFiles()) {
+    files.set(relativePath, {
+      layers: [BASE_LAYER],
+      parts: [() => base.readFile(relativePath)],
+    });
+  }
+
+  // Amendments whose target does not exist, or is denied below
+  const appends: Array<{ overlay: string; path: string; target: string }> = [];
+  const warnings: string[] = [];
+  for (const overlay of overlays) {
+    for (const relativePath of await overlay.source.listFiles()) {
+      const read = () => overlay.source.readFile(relativePath);
+      if (relativePath.endsWith(APPEND_SUFFIX)) {
+        const target = relativePath.slice(0, -APPEND_SUFFIX.length) +
+          managedExtension;
+        appends.push({ overlay: overlay.name, path: relativePath, target });
+        const existing = files.get(target);
+        if (existing) {
+          existing.layers.push(overlay.name);
+          existing.parts.push(read);
+        }
+      } else {
+        files.set(relativePath, { layers: [overlay.name], parts: [read] });
+      }
+    }
+  }
+
+  const denied = deny.map(globToRegExp);
+  for (const relativePath of files.keys()) {
+    if (denied.some((re) => re.test(relativePath))) files.delete(relativePath);
+  }
+
+  for (const append of appends) {
+    if (files.get(append.target)?.layers.includes(append.overlay)) continue;
+    const reason = denied.some((re) => re.test(append.target))
+      ? "is denied"
+      : "does not exist in an earlier layer";
+    warnings.push(
+      `Overlay "${append.overlay}": ${append.path} is ignored, as ${append.target} ${reason}`,
+    );
+  }
+
+  return {
+    source: {
+      name: base.name,
+      getVersion: () => base.getVersion(),
+      // The index only describes files that no overlay changed
+      getIndex: async () => {
+        const index = await base.getIndex?.();
+        if (!index) return null;
+        return {
+          ...index,
+          files: Object.fromEntries(
+            Object.entries(index.files).filter(([relativePath]) =>
+              files.get(relativePath)?.layers.join() === BASE_LAYER
+            ),
+          ),
+        };
+      },
+      listFiles: () => Promise.resolve([...files.keys()].sort()),
+      readFile: async (relativePath) => {
+        const entry = files.get(relativePath);
+        if (!entry) {
+          throw new SourceFetchError(`File not found: ${relativePath}`, base.name);
+        }
+        const contents = await Promise.all(entry.parts.map((read) => read()));
+        // Appended amendments start on a new paragraph
+        return contents.reduce((merged, part) =>
+          `${merged.replace(/\n*$/, "")}\n\n${part}`
+        );
+      },
+    },
+    layersOf: (relativePath) => files.get(relativePath)?.layers ?? [BASE_LAYER],
+    warnings,
+  };
+}
+
+/**
+ * Convert a glob pattern into a regular expression.
+ * Supports `**` (any number of path segments), `*`, `?` and `{a,b}`.
+ * @internal
+ */
+function globToRegExp(pattern: string): RegExp {
+  const normalized = pattern.replace(/\\/g, "/").replace(/^\.\//, "");
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === "*") {
+      if (normalized[i + 1] === "*") {
+        i++;
+        if (normalized[i + 1] === "/") {
+          // "**/" matches zero or more directories
+          i++;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  // A trailing slash selects everything below that directory
+  if (source.endsWith("/")) source += ".*";
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Filter a file list by include/exclude glob patterns
+ * @internal
+ */
+function applySelection(
+  fileList: string[],
+  selection: FileSelection,
+): string[] {
+  const include = selection.include.map(globToRegExp);
+  const exclude = selection.exclude.map(globToRegExp);
+
+  return fileList.filter((relativePath) =>
+    (include.length === 0 || include.some((re) => re.test(relativePath))) &&
+    !exclude.some((re) => re.test(relativePath))
+  );
+}
+
+/**
+ * Check whether two selections contain the same patterns
+ * @internal
+ */
+function isSameSelection(a: FileSelection, b: FileSelection): boolean {
+  const key = (s: FileSelection) =>
+    JSON.stringify([[...s.include].sort(), [...s.exclude].sort()]);
+  return key(a) === key(b);
+}
+
+/**
+ * Detect the project stack from marker files in a directory
+ *
+ * @example
+ * ```ts
+ * import { detectStack } from "@yoshixmk/everything-cursor";
+ *
+ * const { stacks, packs } = detectStack();
+ * console.log(`Detected: ${stacks.join(", ")} → packs: ${packs.join(", ")}`);
+ * ```
+ */
+export function detectStack(cwd: string = process.cwd()): StackDetection {
+  const stacks: ProjectStack[] = [];
+  const markers: string[] = [];
+
+  for (const [stack, pack] of Object.entries(STACK_PACKS)) {
+    const found = pack.markers.filter((marker) =>
+      fs.existsSync(path.join(cwd, marker))
+    );
+    if (found.length > 0) {
+      stacks.push(stack as ProjectStack);
+      markers.push(...found);
+    }
+  }
+
+  return { stacks, markers, packs: ["common", ...stacks] };
+}
+
+/**
+ * Files that declare the workspaces of a monorepo, and how to read the
+ * workspace patterns from them
+ * @internal
+ */
+const WORKSPACE_FILES: Array<{
+  file: string;
+  read: (content: string) => string[];
+}> = [
+  {
+    file: "pnpm-workspace.yaml",
+    read: (content) => {
+      const block = content.match(/^packages:\s*\n((?:[ \t]+.*\n?|\s*\n)*)/m);
+      return [...(block?.[1] ?? "").matchAll(/^\s+-\s*(.+?)\s*$/gm)].map((
+        item,
+      ) => unquote(item[1]));
+    },
+  },
+  {
+    file: "package.json",
+    read: (content) => {
+      const workspaces = JSON.parse(content).workspaces;
+      return Array.isArray(workspaces) ? workspaces : workspaces?.packages ?? [];
+    },
+  },
+  { file: "lerna.json", read: (content) => JSON.parse(content).packages ?? [] },
+  { file: "deno.json", read: (content) => JSON.parse(content).workspace ?? [] },
+  {
+    file: "go.work",
+    read: (content) => {
+      const uses = [...content.matchAll(/^use\s+\(([\s\S]*?)\)/gm)]
+        .flatMap((block) => block[1].split("\n"));
+      const single = [...content.matchAll(/^use\s+([^\s(]+)/gm)].map((use) =>
+        use[1]
+      );
+      return [...uses, ...single]
+        .map((line) => line.replace(/\/\/.*$/, "").trim())
+        .filter((line) => line !== "");
+    },
+  },
+  {
+    file: "Cargo.toml",
+    read: (content) => {
+      const members = content.match(
+        /^\[workspace\][\s\S]*?^members\s*=\s*\[([\s\S]*?)\]/m,
+      );
+      return [...(members?.[1] ?? "").matchAll(/"([^"]+)"/g)].map((member) =>
+        member[1]
+      );
+    },
+  },
+];
+
+/**
+ * Files that make a directory matched by a workspace glob a project
+ * @internal
+ */
+const PROJECT_MARKERS = [
+  ...Object.values(STACK_PACKS).flatMap((pack) => pack.markers),
+  "Cargo.toml",
+  "deno.json",
+  "deno.jsonc",
+];
+
+/**
+ * Expand a workspace pattern into directories below root. Literal paths are
+ * taken as they are; glob matches must contain a project marker file.
+ * @internal
+ */
+function expandWorkspacePattern(root: string, pattern: string): string[] {
+  const normalized = pattern.replace(/^\.\//, "").replace(/\/+$/, "");
+  const segments = normalized.split("/");
+  const firstGlob = segments.findIndex((segment) => /[*?{]/.test(segment));
+
+  if (firstGlob === -1) {
+    const dir = path.resolve(root, normalized);
+    return fs.existsSync(dir) && fs.statSync(dir).isDirectory() ? [dir] : [];
+  }
+
+  const re = globToRegExp(normalized);
+  const maxDepth = segments.includes("**")
+    ? 8
+    : segments.length - firstGlob;
+  const found: string[] = [];
+
+  const walk = (relative: string, depth: number) => {
+    const dir = path.join(root, relative);
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith(".")) continue;
+      if (entry.name === "node_modules") continue;
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (
+        re.test(child) &&
+        PROJECT_MARKERS.some((marker) =>
+          fs.existsSync(path.join(root, child, marker))
+        )
+      ) {
+        found.push(path.join(root, child));
+      }
+      if (depth < maxDepth) walk(child, depth + 1);
+    }
+  };
+  walk(segments.slice(0, firstGlob).join("/"), 1);
+
+  return found;
+}
+
+/**
+ * Discover the workspace roots of a monorepo
+ *
+ * Reads pnpm-workspace.yaml, package.json `workspaces`, lerna.json,
+ * deno.json `workspace`, go.work and Cargo.toml `[workspace] members`.
+ * Patterns starting with "!" exclude directories.
+ *
+ * @example
+ * ```ts
+ * import { discoverWorkspaces } from "@yoshixmk/everything-cursor";
+ *
+ * for (const workspace of discoverWorkspaces()) {
+ *   console.log(workspace);
+ * }
+ * ```
+ */
+export function discoverWorkspaces(root: string = process.cwd()): string[] {
+  const include: string[] = [];
+  const exclude: string[] = [];
+
+  for (const { file, read } of WORKSPACE_FILES) {
+    const filePath = path.join(root, file);
+    if (!fs.existsSync(filePath)) continue;
+    let patterns: string[];
+    try {
+      patterns = read(fs.readFileSync(filePath, "utf-8"));
+    } catch {
+      continue;
+    }
+    for (const pattern of patterns) {
+      if (pattern.startsWith("!")) exclude.push(pattern.slice(1));
+      else include.push(pattern);
+    }
+  }
+
+  const excluded = exclude.map((pattern) =>
+    globToRegExp(pattern.replace(/\/+$/, ""))
+  );
+  const workspaces = new Set(
+    include.flatMap((pattern) => expandWorkspacePattern(root, pattern)),
+  );
+  return [...workspaces]
+    .filter((dir) => {
+      const relative = path.relative(root, dir).replace(/\\/g, "/");
+      return relative !== "" && !excluded.some((re) => re.test(relative));
+    })
+    .sort();
+}
+
+/**
+ * Drop the language packs of stacks that were not detected.
+ * Files matched by an explicit include pattern are always kept.
+ * @internal
+ */
+function applyStackFilter(
+  fileList: string[],
+  stacks: ProjectStack[],
+  include: string[],
+): string[] {
+  const excluded = (Object.keys(STACK_PACKS) as ProjectStack[])
+    .filter((stack) => !stacks.includes(stack))
+    .flatMap((stack) => STACK_PACKS[stack].patterns)
+    .map(globToRegExp);
+  const included = include.map(globToRegExp);
+
+  return fileList.filter((relativePath) =>
+    included.some((re) => re.test(relativePath)) ||
+    !excluded.some((re) => re.test(relativePath))
+  );
+}
+
+/**
+ * Remove Claude-only keys from the frontmatter of a file, together with any
+ * indented or list continuation lines. An emptied frontmatter block is dropped.
+ * @internal
+ */
+function stripFrontmatterKeys(content: string, keys: readonly string[]): string {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return content;
+
+  const kept: string[] = [];
+  let skipping = false;
+  for (const line of match[1].split(/\r?\n/)) {
+    const key = line.match(/^([\w-]+):/)?.[1];
+    if (key !== undefined) skipping = keys.includes(key);
+    else if (!isContinuationLine(line)) skipping = false;
+    if (!skipping) kept.push(line);
+  }
+
+  const body = content.slice(match[0].length);
+  if (kept.length === match[1].split(/\r?\n/).length) return content;
+  return kept.some((line) => line.trim() !== "")
+    ? `---\n${kept.join("\n")}\n---\n${body}`
+    : body.replace(/^\r?\n/, "");
+}
+
+/**
+ * Claude Code tools and the Cursor agent tools that replace them
+ * @internal
+ */
+const CURSOR_TOOL_NAMES: Record<string, string> = {
+  Task: "subagent",
+  TodoWrite: "todo list",
+  Bash: "terminal",
+  Read: "read file",
+  Write: "edit file",
+  Edit: "edit file",
+  MultiEdit: "edit file",
+  Grep: "grep",
+  Glob: "file search",
+  WebSearch: "web search",
+  WebFetch: "web search",
+};
+
+/**
+ * A content transformation applied to upstream files before they are
+ * installed, turning Claude Code constructs into their Cursor equivalents
+ */
+export interface ContentTransform {
+  /** Name recorded in the manifest for every file the transform changed */
+  name: string;
+  /** Managed directories whose files the transform applies to */
+  appliesTo: readonly string[];
+  /** Return the transformed content of a file */
+  transform(content: string, relativePath: string): string;
+}
+
+/**
+ * Transforms applied on install unless `transforms` says otherwise:
+ *   - "claude-frontmatter": drop `tools`, `allowed-tools`, `model` and `color`
+ *   - "arguments": replace the `$ARGUMENTS` placeholder of commands
+ *   - "tool-names": refer to Cursor agent tools instead of Claude Code tools
+ *   - "slash-commands": drop the plugin namespace from `/plugin:command`
+ *
+ * All but "claude-frontmatter" leave fenced code blocks and inline code as
+ * they are.
+ */
+export const defaultTransforms: readonly ContentTransform[] = [
+  {
+    name: "claude-frontmatter",
+    appliesTo: ["agents", "commands", "skills"],
+    transform: (content) =>
+      stripFrontmatterKeys(content, ["tools", "allowed-tools", "model", "color"]),
+  },
+  {
+    name: "arguments",
+    appliesTo: ["commands"],
+    // Cursor passes the text typed after a command along with the prompt
+    transform: (content) =>
+      replaceOutsideCode(content, (text) =>
+        text.replace(/\$\{?ARGUMENTS\}?/g, "the input given with the command")),
+  },
+  {
+    name: "tool-names",
+    appliesTo: managedDirectories,
+    transform: (content) =>
+      replaceOutsideCode(content, (text) =>
+        text
+          .replace(
+            /\b(Task|TodoWrite|Bash|Read|Write|Edit|MultiEdit|Grep|Glob|WebSearch|WebFetch)\b(\s+tools?\b)/g,
+            (_match, tool: string, suffix: string) =>
+              `${CURSOR_TOOL_NAMES[tool]}${suffix}`,
+          )
+          .replace(
+            /\b(TodoWrite|MultiEdit|WebSearch|WebFetch)\b/g,
+            (_match, tool: string) => CURSOR_TOOL_NAMES[tool],
+          )),
+  },
+  {
+    name: "slash-commands",
+    appliesTo: managedDirectories,
+    transform: (content) =>
+      replaceOutsideCode(content, (text) =>
+        text.replace(
+          /(?<![\w/])\/everything-claude-code:([a-z][\w-]*)/g,
+          "/$1",
+        )),
+  },
+];
+
+/**
+ * Apply a replacement to the prose of a Markdown document only: fenced code
+ * blocks and inline code spans are left as they are
+ * @internal
+ */
+function replaceOutsideCode(
+  content: string,
+  replace: (text: string) => string,
+): string {
+  // Inline code spans end at a backtick run of the same length, within a
+  // paragraph
+  const replaceProse = (text: string) => {
+    let result = "";
+    let last = 0;
+    const spans = /(?<!`)(`+)(?!`)(?:(?!\n[ \t]*\n)[\s\S])*?(?<!`)\1(?!`)/g;
+    for (const match of text.matchAll(spans)) {
+      result += replace(text.slice(last, match.index)) + match[0];
+      last = (match.index ?? 0) + match[0].length;
+    }
+    return result + replace(text.slice(last));
+  };
+
+  const output: string[] = [];
+  let prose: string[] = [];
+  let fence: string | null = null;
+  for (const line of content.split("\n")) {
+    if (fence === null) {
+      const open = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      // The info string of a backtick fence cannot contain backticks
+      if (
+        open &&
+        !(open[1][0] === "`" && line.slice(open[0].length).includes("`"))
+      ) {
+        if (prose.length > 0) output.push(replaceProse(prose.join("\n")));
+        prose = [];
+        fence = open[1];
+        output.push(line);
+      } else {
+        prose.push(line);
+      }
+      continue;
+    }
+
+    output.push(line);
+    const close = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+    if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+      fence = null;
+    }
+  }
+  if (prose.length > 0) output.push(replaceProse(prose.join("\n")));
+
+  return output.join("\n");
+}
+
+/**
+ * Run the transforms that apply to a file, in order
+ *
+ * Returns the transformed content and the names of the transforms that
+ * changed it.
+ *
+ * @example
+ * ```ts
+ * import { applyTransforms } from "@yoshixmk/everything-cursor";
+ *
+ * const { content, applied } = applyTransforms(
+ *   "commands/plan.md",
+ *   "Create a plan for: $ARGUMENTS\n",
+ * );
+ * // applied: ["arguments"]
+ * ```
+ */
+export function applyTransforms(
+  relativePath: string,
+  content: string,
+  transforms: readonly ContentTransform[] = defaultTransforms,
+): { content: string; applied: string[] } {
+  const dir = relativePath.split("/")[0];
+  const applied: string[] = [];
+  for (const { name, appliesTo, transform } of transforms) {
+    if (!appliesTo.includes(dir)) continue;
+    const next = transform(content, relativePath);
+    if (next !== content) applied.push(name);
+    content = next;
+  }
+  return { content, applied };
+}
+
+/**
+ * Convert a rule from rules/<pack>/ into a Cursor project rule (.mdc).
+ * Returns null for files that are not part of a rule pack (e.g. rules/README.md).
+ * @internal
+ */
+function convertRuleToMdc(
+  relativePath: string,
+  content: string,
+  mapRule?: InstallOptions["mapRule"],
+): { relativePath: string; content: string } | null {
+  const match = relativePath.match(/^rules\/([^/]+)\/.+\.md$/);
+  if (!match) return null;
+
+  const { data, body } = parseFrontmatter(content);
+  const heading = body.match(/^#\s+(.+)$/m)?.[1].trim();
+  const paths = Array.isArray(data.paths) ? data.paths : [];
+  const globs = RULE_PACK_GLOBS[match[1]] ?? paths;
+
+  const defaults: RuleMetadata = {
+    description: typeof data.description === "string"
+      ? data.description
+      : heading ?? path.basename(relativePath, ".md"),
+    globs,
+    alwaysApply: globs.length === 0 && match[1] === "common",
+  };
+  const metadata = mapRule ? mapRule(relativePath, defaults) : defaults;
+
+  const frontmatter = [
+    "---",
+    `description: ${yamlScalar(metadata.description)}`,
+    `globs:${metadata.globs.length > 0 ? ` ${metadata.globs.join(",")}` : ""}`,
+    `alwaysApply: ${metadata.alwaysApply}`,
+    "---",
+    "",
+  ].join("\n");
+
+  return {
+    relativePath: relativePath.replace(/\.md$/, ".mdc"),
+    content: frontmatter + body.replace(/^\r?\n/, ""),
+  };
+}
+
+/**
+ * Write a string as a YAML scalar, double-quoted whenever the plain form
+ * could be read back differently (`:`, `#`, indicators, booleans, numbers)
+ * @internal
+ */
+function yamlScalar(value: string): string {
+  const plain = value !== "" && value === value.trim() &&
+    !/[:#\r\n\t]/.test(value) &&
+    !/^[-?:,[\]{}#&*!|>'"%@`]/.test(value) &&
+    !/^(?:true|false|yes|no|on|off|null|~)$/i.test(value) &&
+    !/^[-+.]?\d/.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Name the item a content path belongs to: "agents/planner",
+ * "skills/tdd-workflow" for any file of that skill, "rules/common/testing"
+ * @internal
+ */
+function itemIdOf(relativePath: string): string | null {
+  const parts = relativePath.replace(/\/+$/, "").split("/");
+  const dirs: readonly string[] = managedDirectories;
+  if (parts.length < 2 || !dirs.includes(parts[0])) return null;
+  if (parts[0] === "skills") return `skills/${parts[1]}`;
+  return parts.join("/").replace(/\.mdc?$/, "");
+}
+
+/**
+ * Claude-specific paths into the managed directories:
+ * `~/.claude/agents/x.md`, `$HOME/.claude/skills/y/`, `.claude/rules/...`
+ * @internal
+ */
+const CLAUDE_PATH_PATTERN =
+  /(~\/|\$HOME\/|\$\{HOME\}\/|\.\/|(?<![\w./-]))\.claude\/((?:agents|skills|commands|rules)(?:\/[\w.@-]+)*\/?)/g;
+
+/**
+ * Relative Markdown links to other content files
+ * @internal
+ */
+const MARKDOWN_LINK_PATTERN = /\]\((\.{1,2}\/[^)\s#]+\.md)(#[^)\s]*)?\)/g;
+
+/**
+ * Mentions of other items by name: "the tdd-guide agent", "`tdd-workflow`
+ * skill", "/tdd". Only names that exist in the content are counted.
+ * @internal
+ */
+const NAMED_REFERENCE_PATTERNS: Array<
+  { kind: FileReference["kind"]; dir: string; pattern: RegExp }
+> = [
+  {
+    kind: "agent",
+    dir: "agents",
+    pattern: /(?<![\w/-])[`*]*([a-z0-9][\w-]*)[`*]*\s+(?:sub)?agent\b/gi,
+  },
+  {
+    kind: "skill",
+    dir: "skills",
+    pattern: /(?<![\w/-])[`*]*([a-z0-9][\w-]*)[`*]*\s+skill\b/gi,
+  },
+  {
+    kind: "command",
+    dir: "commands",
+    pattern: /(?<![\w/.~$-])\/([a-z][\w-]*)\b(?!\/)/g,
+  },
+];
+
+/**
+ * Rewrite Claude paths and relative links of an installed file so they point
+ * into the install location, and collect the references it makes to other
+ * items. `installedPaths` maps every content path to its installed path and
+ * `items` holds the ids of every item in the content.
+ * @internal
+ */
+function resolveReferences(
+  sourcePath: string,
+  relativePath: string,
+  content: string,
+  installedPaths: Map<string, string>,
+  items: Set<string>,
+  prefix: string,
+): { content: string; references: Array<Omit<FileReference, "status">> } {
+  const references: Array<Omit<FileReference, "status">> = [];
+  const self = itemIdOf(sourcePath);
+  const add = (kind: FileReference["kind"], target: string | null) => {
+    if (!target || target === self) return;
+    if (references.some((ref) => ref.kind === kind && ref.target === target)) {
+      return;
+    }
+    references.push({ from: relativePath, target, kind });
+  };
+
+  let rewritten = content.replace(
+    CLAUDE_PATH_PATTERN,
+    (_match, _home: string, target: string) => {
+      // Sentence punctuation is not part of the path
+      const trailing = target.match(/\.+$/)?.[0] ?? "";
+      const clean = target.slice(0, target.length - trailing.length);
+      add("path", itemIdOf(clean));
+      return `${prefix}${installedPaths.get(clean) ?? clean}${trailing}`;
+    },
+  );
+
+  rewritten = rewritten.replace(
+    MARKDOWN_LINK_PATTERN,
+    (match, link: string, anchor = "") => {
+      const target = path.posix.join(path.posix.dirname(sourcePath), link);
+      const id = itemIdOf(target);
+      if (!id) return match;
+      add("link", id);
+      const installed = installedPaths.get(target) ?? target;
+      let relative = path.posix.relative(
+        path.posix.dirname(relativePath),
+        installed,
+      );
+      if (!relative.startsWith(".")) relative = `./${relative}`;
+      return `](${relative}${anchor})`;
+    },
+  );
+
+  for (const { kind, dir, pattern } of NAMED_REFERENCE_PATTERNS) {
+    for (const match of rewritten.matchAll(pattern)) {
+      const id = `${dir}/${match[1].toLowerCase()}`;
+      if (items.has(id)) add(kind, id);
+    }
+  }
+
+  return { content: rewritten, references };
+}
+
+/**
+ * How installed files refer to the install location
+ * @internal
+ */
+function referencePrefix(
+  location: "local" | "home",
+  installDir = ".cursor",
+): string {
+  return location === "home" ? "~/.cursor/" : `${path.basename(installDir)}/`;
+}
+
+/**
+ * Point paths that were rewritten for one install location at the other
+ * @internal
+ */
+function relocateReferences(content: string, to: "local" | "home"): string {
+  const pattern = to === "home"
+    ? /(?<![\w./~$-])\.cursor\/(?=(?:agents|skills|commands|rules)\b)/g
+    : /~\/\.cursor\/(?=(?:agents|skills|commands|rules)\b)/g;
+  return content.replace(pattern, referencePrefix(to));
+}
+
+/**
+ * Describe a reference for log lines and errors
+ * @internal
+ */
+function formatReference(reference: FileReference): string {
+  return `${reference.from} → ${reference.target} (${reference.kind}, ${reference.status})`;
+}
+
+/**
+ * Prompt the user to select an installation location. The prompt goes to
+ * stderr so machine-readable output on stdout stays intact.
+ * @internal
+ */
+async function promptInstallLocation(
+  silent = false,
+): Promise<"local" | "home"> {
+  const envLocation = process.env.CURSOR_INSTALL_LOCATION;
+  if (envLocation === "local" || envLocation === "home") {
+    if (!silent) {
+      console.error(
+        `📍 Using ${envLocation} installation (from environment variable)`,
+      );
+    }
+    return envLocation;
+  }
+
+  // Without a terminal nobody can answer, and readline would wait forever
+  if (!process.stdin.isTTY) {
+    throw new UsageError(
+      "No install location given and stdin is not a terminal; pass --location local|home or set CURSOR_INSTALL_LOCATION",
+    );
+  }
+
+  console.error("\n📍 Select installation location:");
+  console.error("  1) local  - Project local (.cursor/)");
+  console.error("  2) home   - Home directory (~/.cursor/)");
+  console.error("  3) cancel - Cancel installation\n");
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  });
+
+  const answer = await new Promise<string>((resolve) => {
+    rl.question("Enter your choice (1-3): ", (input) => {
+      rl.close();
+      resolve(input);
+    });
+  });
+
+  switch (answer.trim()) {
+    case "1":
+      return "local";
+    case "2":
+      return "home";
+    case "3":
+      throw new CancelledError("Installation cancelled");
+    default:
+      console.error("Invalid choice, please try again");
+      return promptInstallLocation(silent);
+  }
+}
+
+/**
+ * Calculate SHA-256 checksum of a string
+ * @internal
+ */
+function calculateChecksumFromString(content: string): string {
+  return crypto.createHash("sha256").update(content, "utf-8").digest("hex");
+}
+
+/**
+ * A single line-level edit produced by diffLines()
+ * @internal
+ */
+interface DiffOp {
+  type: "equal" | "delete" | "insert";
+  line: string;
+}
+
+/**
+ * Compute a line diff turning `a` into `b` (longest common subsequence)
+ * @internal
+ */
+function diffLines(a: string[], b: string[]): DiffOp[] {
+  // Common prefix and suffix are cheap to strip before the quadratic part
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[start + i] === b[start + j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops: DiffOp[] = a.slice(0, start).map((line) => ({
+    type: "equal",
+    line,
+  }));
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[start + i] === b[start + j]) {
+      ops.push({ type: "equal", line: a[start + i] });
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      ops.push({ type: "insert", line: b[start + j] });
+      j++;
+    } else {
+      ops.push({ type: "delete", line: a[start + i] });
+      i++;
+    }
+  }
+  for (const line of a.slice(endA)) ops.push({ type: "equal", line });
+
+  return ops;
+}
+
+/**
+ * Render a unified diff (3 lines of context) between two versions of a file.
+ * Returns an empty string when both versions are identical.
+ * @internal
+ */
+function createUnifiedDiff(
+  relativePath: string,
+  oldContent: string,
+  newContent: string,
+): string {
+  const context = 3;
+  const split = (content: string) =>
+    content === "" ? [] : content.replace(/\n$/, "").split("\n");
+  const ops = diffLines(split(oldContent), split(newContent));
+
+  // Indexes of changed ops, grouped into hunks that share context
+  const changes = ops
+    .map((op, index) => (op.type === "equal" ? -1 : index))
+    .filter((index) => index >= 0);
+  if (changes.length === 0) return "";
+
+  const hunks: Array<[number, number]> = [];
+  for (const index of changes) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = end;
+    } else {
+      hunks.push([start, end]);
+    }
+  }
+
+  const lines = [`--- a/${relativePath}`, `+++ b/${relativePath}`];
+  for (const [start, end] of hunks) {
+    // Line numbers of the hunk start in the old and new file
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops.slice(0, start)) {
+      if (op.type !== "insert") oldLine++;
+      if (op.type !== "delete") newLine++;
+    }
+
+    const body = ops.slice(start, end);
+    const oldCount = body.filter((op) => op.type !== "insert").length;
+    const newCount = body.filter((op) => op.type !== "delete").length;
+    lines.push(
+      `@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${
+        newCount === 0 ? newLine - 1 : newLine
+      },${newCount} @@`,
+    );
+    for (const op of body) {
+      const prefix = op.type === "equal" ? " " : op.type === "delete" ? "-" : "+";
+      lines.push(prefix + op.line);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Map every line of `a` to the index of the same line in `b`, or -1 when the
+ * diff from `a` to `b` deletes it
+ * @internal
+ */
+function matchLines(a: string[], b: string[]): number[] {
+  const matches: number[] = [];
+  let j = 0;
+  for (const op of diffLines(a, b)) {
+    if (op.type === "equal") {
+      matches.push(j++);
+    } else if (op.type === "delete") {
+      matches.push(-1);
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Three-way merge of a locally modified file with new packaged content, using
+ * the packaged content the file was installed from as the common base. Hunks
+ * changed on one side only merge cleanly; hunks both sides changed
+ * differently are wrapped in git-style conflict markers.
+ * @internal
+ */
+function mergeThreeWay(
+  base: string,
+  local: string,
+  incoming: string,
+  incomingLabel: string,
+): { content: string; conflicts: number } {
+  const baseLines = base.split("\n");
+  const localLines = local.split("\n");
+  const incomingLines = incoming.split("\n");
+  const localMatches = matchLines(baseLines, localLines);
+  const incomingMatches = matchLines(baseLines, incomingLines);
+  const same = (a: string[], b: string[]) =>
+    a.length === b.length && a.every((line, index) => line === b[index]);
+
+  const output: string[] = [];
+  let conflicts = 0;
+  let b = 0;
+  let l = 0;
+  let r = 0;
+  for (;;) {
+    // The next base line both sides kept ends the current chunk
+    let k = b;
+    while (
+      k < baseLines.length && (localMatches[k] < 0 || incomingMatches[k] < 0)
+    ) {
+      k++;
+    }
+    const localEnd = k < baseLines.length ? localMatches[k] : localLines.length;
+    const incomingEnd = k < baseLines.length
+      ? incomingMatches[k]
+      : incomingLines.length;
+
+    const original = baseLines.slice(b, k);
+    const ours = localLines.slice(l, localEnd);
+    const theirs = incomingLines.slice(r, incomingEnd);
+    if (same(ours, original)) {
+      output.push(...theirs);
+    } else if (same(theirs, original) || same(ours, theirs)) {
+      output.push(...ours);
+    } else {
+      output.push("<<<<<<< local", ...ours, "=======", ...theirs);
+      output.push(`>>>>>>> ${incomingLabel}`);
+      conflicts++;
+    }
+
+    if (k === baseLines.length) break;
+    output.push(baseLines[k]);
+    b = k + 1;
+    l = localEnd + 1;
+    r = incomingEnd + 1;
+  }
+
+  return { content: output.join("\n"), conflicts };
+}
+
+/**
+ * Check whether a file still contains conflict markers from an earlier merge
+ * @internal
+ */
+function hasConflictMarkers(content: string): boolean {
+  return /^<<<<<<<(?: |$)/m.test(content) && /^>>>>>>>(?: |$)/m.test(content);
+}
+
+/**
+ * Checksum of the packaged content a manifest entry was installed from
+ * @internal
+ */
+function packagedChecksum(info: ManifestFileInfo): string {
+  return info.baseChecksum ?? info.checksum;
+}
+
+/**
+ * Check whether a tracked file differs from the packaged content it was
+ * installed from. Merged files keep counting as modified.
+ * @internal
+ */
+function isModifiedFile(content: string, info: ManifestFileInfo): boolean {
+  return calculateChecksumFromString(content) !== packagedChecksum(info);
+}
+
+/**
+ * Check whether an installed file differs from what the manifest recorded.
+ * Untracked files count as modified when they differ from the new content.
+ * @internal
+ */
+function isLocallyModified(
+  onDisk: string,
+  newContent: string,
+  previous: ManifestFileInfo | undefined,
+): boolean {
+  if (onDisk === newContent) return false;
+  if (!previous) return true;
+  return isModifiedFile(onDisk, previous);
+}
+
+/**
+ * Read an object from the snapshot store, or null when it is not there
+ * @internal
+ */
+function readObject(installDir: string, hash: string): string | null {
+  const objectPath = path.join(installDir, SNAPSHOT_DIR, "objects", hash);
+  return fs.existsSync(objectPath) ? fs.readFileSync(objectPath, "utf-8") : null;
+}
+
+/**
+ * Add content to the snapshot store, keyed by its checksum
+ * @internal
+ */
+function writeObject(installDir: string, content: string): string {
+  const objectsDir = path.join(installDir, SNAPSHOT_DIR, "objects");
+  fs.mkdirSync(objectsDir, { recursive: true });
+  const hash = calculateChecksumFromString(content);
+  const objectPath = path.join(objectsDir, hash);
+  if (!fs.existsSync(objectPath)) fs.writeFileSync(objectPath, content, "utf-8");
+  return hash;
+}
+
+/**
+ * Store the current state of an installation (manifest and file contents)
+ * in the content-addressed snapshot store
+ * @internal
+ */
+function createSnapshot(installDir: string, manifest: Manifest): SnapshotRecord {
+  const snapshotDir = path.join(installDir, SNAPSHOT_DIR);
+  fs.mkdirSync(snapshotDir, { recursive: true });
+
+  // Two snapshots can be taken within the same millisecond
+  const createdAt = new Date().toISOString();
+  let id = createdAt.replace(/[:.]/g, "-");
+  for (let n = 1; fs.existsSync(path.join(snapshotDir, `${id}.json`)); n++) {
+    id = `${createdAt.replace(/[:.]/g, "-")}-${n}`;
+  }
+  const record: SnapshotRecord = {
+    id,
+    version: installedContentVersion(manifest),
+    createdAt,
+    manifest,
+    files: {},
+  };
+
+  for (const key of Object.keys(manifest.files)) {
+    const filePath = path.join(installDir, key);
+    if (!fs.existsSync(filePath)) continue;
+
+    // Snapshot what is on disk, including local modifications
+    record.files[key] = writeObject(
+      installDir,
+      fs.readFileSync(filePath, "utf-8"),
+    );
+  }
+
+  fs.writeFileSync(
+    path.join(snapshotDir, `${record.id}.json`),
+    JSON.stringify(record, null, 2),
+  );
+  return record;
+}
+
+/**
+ * Read all snapshot records of an install dir, newest first
+ * @internal
+ */
+function readSnapshots(installDir: string): SnapshotRecord[] {
+  const snapshotDir = path.join(installDir, SNAPSHOT_DIR);
+  if (!fs.existsSync(snapshotDir)) return [];
+
+  return fs.readdirSync(snapshotDir)
+    .filter((entry) => entry.endsWith(".json"))
+    .map((entry) =>
+      JSON.parse(
+        fs.readFileSync(path.join(snapshotDir, entry), "utf-8"),
+      ) as SnapshotRecord
+    )
+    .sort((a, b) =>
+      b.createdAt.localeCompare(a.createdAt) ||
+      b.id.localeCompare(a.id, undefined, { numeric: true })
+    );
+}
+
+/**
+ * Delete snapshot records and drop objects that neither a remaining record
+ * nor the current manifest (merge bases) refers to
+ * @internal
+ */
+function deleteSnapshots(installDir: string, records: SnapshotRecord[]): void {
+  const snapshotDir = path.join(installDir, SNAPSHOT_DIR);
+  for (const record of records) {
+    fs.rmSync(path.join(snapshotDir, `${record.id}.json`), { force: true });
+  }
+
+  const objectsDir = path.join(snapshotDir, "objects");
+  if (!fs.existsSync(objectsDir)) return;
+  const manifest = loadManifestFromPath(path.join(installDir, MANIFEST_FILE));
+  const referenced = new Set([
+    ...readSnapshots(installDir).flatMap((record) => [
+      ...Object.values(record.files),
+      ...Object.values(record.manifest.files).map(packagedChecksum),
+    ]),
+    ...Object.values(manifest?.files ?? {}).map(packagedChecksum),
+  ]);
+  for (const hash of fs.readdirSync(objectsDir)) {
+    if (!referenced.has(hash)) fs.unlinkSync(path.join(objectsDir, hash));
+  }
+}
+
+/**
+ * Restore an installation from a snapshot. Files modified since the install
+ * are handled by the conflict policy, as install() does; files tracked by the
+ * current manifest but absent from the snapshot are removed unless kept.
+ * @internal
+ */
+function restoreSnapshot(
+  installDir: string,
+  record: SnapshotRecord,
+  onConflict: ConflictPolicy,
+  emit: (event: ProgressEvent) => void,
+): void {
+  const manifestPath = path.join(installDir, MANIFEST_FILE);
+  const current = loadManifestFromPath(manifestPath);
+  const manifest: Manifest = structuredClone(record.manifest);
+  const backupStamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const event = (
+    key: string,
+    action: "added" | "updated" | "merged" | "removed" | "skipped",
+    detail?: string,
+  ): ProgressEvent => ({
+    type: "file",
+    operation: "rollback",
+    path: key,
+    action,
+    detail,
+    layers: manifest.files[key]?.layers ?? current?.files[key]?.layers,
+  });
+
+  // Read every object first so a damaged store aborts before any change
+  const contents = Object.entries(record.files).map(([key, hash]) => {
+    const content = readObject(installDir, hash);
+    if (content === null) {
+      throw new ContentIntegrityError(
+        `Snapshot ${record.id} is missing content for ${key}`,
+        `snapshot ${record.id}`,
+        key,
+      );
+    }
+    return [key, content] as const;
+  });
+
+  // Like an install, the rollback is staged and committed through the
+  // journal, so a failure or crash never leaves it half applied
+  const { stage, stageExisting } = createStaging(installDir);
+  const journal: Journal = {
+    operation: "rollback",
+    startedAt: new Date().toISOString(),
+    version: record.version,
+    previousManifest: stageExisting(MANIFEST_FILE),
+    operations: [],
+    manifest,
+  };
+  const backup = (key: string) => {
+    const to = `${key}.${backupStamp}.bak`;
+    journal.operations.push({ type: "backup", path: key, to });
+    return `modified locally, backed up to ${path.basename(to)}`;
+  };
+  // File events are emitted as the commit applies them
+  const pending = new Map<string, ProgressEvent>();
+
+  for (const [key, info] of Object.entries(current?.files ?? {})) {
+    if (record.files[key]) continue;
+    const filePath = path.join(installDir, key);
+    if (!fs.existsSync(filePath)) continue;
+    let detail: string | undefined;
+    if (isModifiedFile(fs.readFileSync(filePath, "utf-8"), info)) {
+      if (onConflict === "keep" || onConflict === "merge") {
+        emit(event(key, "skipped", "modified locally, no longer managed, kept"));
+        continue;
+      }
+      if (onConflict === "backup") detail = backup(key);
+    }
+    journal.operations.push({
+      type: "remove",
+      path: key,
+      previous: stageExisting(key),
+    });
+    pending.set(key, event(key, "removed", detail));
+  }
+
+  for (const [key, content] of contents) {
+    const filePath = path.join(installDir, key);
+    let restored = content;
+    let action: "added" | "updated" | "merged" = "added";
+    let detail: string | undefined;
+    if (fs.existsSync(filePath)) {
+      const onDisk = fs.readFileSync(filePath, "utf-8");
+      if (onDisk === content) continue;
+      const info = current?.files[key];
+      const modified = !info || isModifiedFile(onDisk, info);
+      action = "updated";
+
+      if (modified && onConflict === "keep") {
+        emit(event(key, "skipped", "modified locally, kept"));
+        continue;
+      }
+      if (modified && onConflict === "backup") detail = backup(key);
+      if (modified && onConflict === "overwrite") {
+        detail = "modified locally, overwritten";
+      }
+      if (modified && onConflict === "merge") {
+        const base = info ? readObject(installDir, packagedChecksum(info)) : null;
+        if (hasConflictMarkers(onDisk) || base === null) {
+          emit(event(key, "skipped", "modified locally, kept"));
+          continue;
+        }
+        const merged = mergeThreeWay(base, onDisk, content, `snapshot ${record.id}`);
+        restored = merged.content;
+        const snapshotInfo = manifest.files[key];
+        if (snapshotInfo) {
+          const baseChecksum = packagedChecksum(snapshotInfo);
+          snapshotInfo.checksum = calculateChecksumFromString(restored);
+          snapshotInfo.baseChecksum = baseChecksum !== snapshotInfo.checksum
+            ? baseChecksum
+            : undefined;
+        }
+        action = "merged";
+        detail = merged.conflicts > 0
+          ? `modified locally, merged with ${merged.conflicts} conflict(s)`
+          : "modified locally, merged";
+      }
+    }
+    const previous = stageExisting(key);
+    journal.operations.push({
+      type: "write",
+      path: key,
+      object: stage(restored),
+      created: previous === undefined,
+      previous,
+    });
+    pending.set(key, event(key, action, detail));
+  }
+
+  commitJournal(installDir, journal, (operation) => {
+    const applied = operation.type !== "backup" && pending.get(operation.path);
+    if (applied) emit(applied);
+  });
+}
+
+/**
+ * Resolve the install dir for a location. Anything other than "local" and
+ * "home" is a directory path, relative to `cwd`.
+ * @internal
+ */
+function getInstallDir(location: string, cwd: string): string {
+  if (location === "local") return path.join(cwd, ".cursor");
+  if (location === "home") return path.join(os.homedir(), ".cursor");
+  return path.resolve(cwd, location);
+}
+
+/**
+ * Write a file by renaming a fully written temporary file over it, so readers
+ * never observe a partially written file
+ * @internal
+ */
+function writeFileAtomic(filePath: string, content: string): void {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content, "utf-8");
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Check whether a lock file was left behind by a process that is gone
+ * @internal
+ */
+function isStaleLock(lockPath: string): boolean {
+  try {
+    const lock = JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+    if (Date.now() - Date.parse(lock.createdAt) > LOCK_STALE_MS) return true;
+    if (lock.hostname !== os.hostname()) return false;
+    try {
+      process.kill(lock.pid, 0);
+      return false;
+    } catch (error) {
+      // EPERM means the process exists but belongs to someone else
+      return (error as { code?: string }).code === "ESRCH";
+    }
+  } catch {
+    // Unreadable lock: only stale once its writer has had time to finish
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > 60_000;
+    } catch {
+      return true;
+    }
+  }
+}
+
+/**
+ * Take the lock file of an install dir, waiting for another process to
+ * release it. Returns a function that releases the lock.
+ * @internal
+ */
+async function acquireLock(installDir: string): Promise<() => void> {
+  const lockPath = path.join(installDir, LOCK_FILE);
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(
+        lockPath,
+        JSON.stringify({
+          pid: process.pid,
+          hostname: os.hostname(),
+          createdAt: new Date().toISOString(),
+        }),
+        { flag: "wx" },
+      );
+      return () => fs.rmSync(lockPath, { force: true });
+    } catch (error) {
+      if ((error as { code?: string }).code !== "EEXIST") throw error;
+    }
+
+    if (isStaleLock(lockPath)) {
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) throw new LockTimeoutError(installDir, lockPath);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
+/**
+ * Apply the operations of a journal and write its manifest, calling
+ * `onApplied` after each operation.
+ * Every step is idempotent so an interrupted commit can simply be replayed.
+ * @internal
+ */
+function applyJournal(
+  installDir: string,
+  journal: Journal,
+  onApplied?: (operation: JournalOperation) => void,
+): void {
+  const stagingDir = path.join(installDir, STAGING_DIR);
+
+  for (const operation of journal.operations) {
+    const filePath = path.join(installDir, operation.path);
+    if (operation.type === "backup") {
+      const backupPath = path.join(installDir, operation.to);
+      if (fs.existsSync(filePath) && !fs.existsSync(backupPath)) {
+        fs.copyFileSync(filePath, backupPath);
+      }
+    } else if (operation.type === "remove") {
+      fs.rmSync(filePath, { force: true });
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      writeFileAtomic(
+        filePath,
+        fs.readFileSync(path.join(stagingDir, operation.object), "utf-8"),
+      );
+    }
+    onApplied?.(operation);
+  }
+
+  writeFileAtomic(
+    path.join(installDir, MANIFEST_FILE),
+    JSON.stringify(journal.manifest, null, 2),
+  );
+}
+
+/**
+ * Undo a partially applied journal, newest operation first: put back the
+ * staged previous content of every file it replaced or removed, drop files
+ * and backups it created, and restore the previous manifest
+ * @internal
+ */
+function revertJournal(installDir: string, journal: Journal): void {
+  const stagingDir = path.join(installDir, STAGING_DIR);
+  const restore = (relativePath: string, object: string) => {
+    const objectPath = path.join(stagingDir, object);
+    // Without its staged copy a file is left as the commit wrote it
+    if (!fs.existsSync(objectPath)) return;
+    const filePath = path.join(installDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, fs.readFileSync(objectPath, "utf-8"));
+  };
+
+  for (const operation of [...journal.operations].reverse()) {
+    if (operation.type === "backup") {
+      fs.rmSync(path.join(installDir, operation.to), { force: true });
+    } else if (operation.previous !== undefined) {
+      restore(operation.path, operation.previous);
+    } else if (operation.type === "write" && operation.created) {
+      fs.rmSync(path.join(installDir, operation.path), { force: true });
+    }
+  }
+
+  if (journal.previousManifest !== undefined) {
+    restore(MANIFEST_FILE, journal.previousManifest);
+  } else {
+    // Fresh install: nothing existed before the commit
+    fs.rmSync(path.join(installDir, MANIFEST_FILE), { force: true });
+  }
+
+  // The snapshot taken for the commit duplicates the restored state
+  const snapshot = readSnapshots(installDir).find((record) =>
+    record.id === journal.snapshotId
+  );
+  if (snapshot) deleteSnapshots(installDir, [snapshot]);
+
+  clearJournal(installDir);
+}
+
+/**
+ * Stage content for a commit in the staging dir of an install dir. `stage`
+ * returns the name of the staged object, `stageExisting` stages the current
+ * content of a file, if there is one.
+ * @internal
+ */
+function createStaging(installDir: string): {
+  stage: (content: string) => string;
+  stageExisting: (relativePath: string) => string | undefined;
+} {
+  const stagingDir = path.join(installDir, STAGING_DIR);
+  fs.mkdirSync(stagingDir, { recursive: true });
+  const stage = (content: string) => {
+    const object = calculateChecksumFromString(content);
+    fs.writeFileSync(path.join(stagingDir, object), content, "utf-8");
+    return object;
+  };
+  const stageExisting = (relativePath: string) => {
+    const filePath = path.join(installDir, relativePath);
+    return fs.existsSync(filePath)
+      ? stage(fs.readFileSync(filePath, "utf-8"))
+      : undefined;
+  };
+  return { stage, stageExisting };
+}
+
+/**
+ * Write the journal of a staged commit, apply it and clear it. A commit that
+ * fails is reverted before the error is rethrown; one cut short by a crash is
+ * finished or reverted by the next run. Must be called while holding the
+ * lock.
+ * @internal
+ */
+function commitJournal(
+  installDir: string,
+  journal: Journal,
+  onApplied?: (operation: JournalOperation) => void,
+): void {
+  writeFileAtomic(
+    path.join(installDir, JOURNAL_FILE),
+    JSON.stringify(journal, null, 2),
+  );
+  try {
+    applyJournal(installDir, journal, onApplied);
+  } catch (error) {
+    revertJournal(installDir, journal);
+    throw error;
+  }
+  clearJournal(installDir);
+}
+
+/**
+ * Remove the journal and staged content of a finished commit
+ * @internal
+ */
+function clearJournal(installDir: string): void {
+  fs.rmSync(path.join(installDir, JOURNAL_FILE), { force: true });
+  fs.rmSync(path.join(installDir, STAGING_DIR), {
+    recursive: true,
+    force: true,
+  });
+}
+
+/**
+ * Finish or revert a commit that was interrupted by a crash. The commit is
+ * replayed when all staged content is still present, otherwise reverted.
+ * Must be called while holding the lock.
+ * @internal
+ */
+function recoverInterruptedCommit(
+  installDir: string,
+  note: (message: string) => void,
+): void {
+  const journalPath = path.join(installDir, JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) {
+    // Staged content without a journal never started committing
+    fs.rmSync(path.join(installDir, STAGING_DIR), {
+      recursive: true,
+      force: true,
+    });
+    return;
+  }
+
+  let journal: Journal;
+  try {
+    journal = JSON.parse(fs.readFileSync(journalPath, "utf-8"));
+  } catch {
+    // The journal is written atomically, so this is not a crashed commit
+    note("Ignoring unreadable install journal");
+    clearJournal(installDir);
+    return;
+  }
+
+  const stagingDir = path.join(installDir, STAGING_DIR);
+  const complete = journal.operations.every((operation) =>
+    operation.type !== "write" ||
+    fs.existsSync(path.join(stagingDir, operation.object))
+  );
+
+  if (complete) {
+    note(
+      `Completing interrupted ${journal.operation ?? "install"} of ${journal.version}`,
+    );
+    applyJournal(installDir, journal);
+    clearJournal(installDir);
+  } else {
+    note(
+      `Reverting interrupted ${journal.operation ?? "install"} of ${journal.version}`,
+    );
+    revertJournal(installDir, journal);
+  }
+}
+
+/**
+ * Plan an installation without touching disk
+ *
+ * Computes which files would be added, updated, removed because they left
+ * file-list.json, or skipped because of local modifications. `install()`
+ * executes exactly this plan.
+ *
+ * @example
+ * ```ts
+ * import { planInstall } from "@yoshixmk/everything-cursor";
+ *
+ * const plan = await planInstall({ location: "home" });
+ * for (const file of plan.files) {
+ *   console.log(`${file.action} ${file.relativePath}`);
+ * }
+ * ```
+ */
+export async function planInstall(
+  options: InstallOptions = {},
+): Promise<InstallPlan> {
+  return (await createPlan(options, false)).plan;
+}
+
+/**
+ * A plan together with the packaged content of every listed file, which
+ * install() keeps as merge base for later updates, and the checksum of every
+ * install dir file it read (null for files that did not exist)
+ * @internal
+ */
+interface PlanState {
+  plan: InstallPlan;
+  packaged: Map<string, string>;
+  observed: Map<string, string | null>;
+}
+
+/**
+ * An install run by dev(): it takes and prunes no snapshots, and with
+ * `changed` only the files of those content paths are planned and written,
+ * while the other manifest entries are kept as they are
+ * @internal
+ */
+interface DevSync {
+  /** Content paths added, changed or deleted since the last sync */
+  changed?: ReadonlySet<string>;
+}
+
+/**
+ * Check that the install dir files a plan was computed from are unchanged
+ * @internal
+ */
+function isPlanCurrent(
+  installDir: string,
+  observed: Map<string, string | null>,
+): boolean {
+  for (const [relativePath, checksum] of observed) {
+    const filePath = path.join(installDir, relativePath);
+    const current = fs.existsSync(filePath)
+      ? calculateChecksumFromString(fs.readFileSync(filePath, "utf-8"))
+      : null;
+    if (current !== checksum) return false;
+  }
+  return true;
+}
+
+/**
+ * Plan an installation; with `full`, files and references are planned even
+ * when the installation is already up to date
+ * @internal
+ */
+async function createPlan(
+  options: InstallOptions,
+  full: boolean,
+  sync?: DevSync,
+): Promise<PlanState> {
+  const {
+    location = "ask",
+    silent = false,
+    cwd = process.cwd(),
+    onConflict = "keep",
+    offline = false,
+  } = options;
+  const sourceOptions = { offline, registry: options.registry };
+
+  const target = location === "ask"
+    ? await promptInstallLocation(silent)
+    : location;
+  const selectedLocation = target === "home" ? "home" : "local";
+
+  const installDir = getInstallDir(target, cwd);
+  const manifestPath = path.join(installDir, MANIFEST_FILE);
+  // An explicit directory belongs to the project it is placed in
+  const projectDir = target === "local" || target === "home"
+    ? cwd
+    : path.dirname(installDir);
+
+  // Every file read from the install dir is recorded, so install() can tell
+  // whether the plan still holds once it has the lock
+  const observed = new Map<string, string | null>();
+  const readObserved = (relativePath: string): string | null => {
+    const filePath = path.join(installDir, relativePath);
+    const content = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf-8")
+      : null;
+    observed.set(
+      relativePath,
+      content === null ? null : calculateChecksumFromString(content),
+    );
+    return content;
+  };
+
+  // Load existing manifest to check if update is needed
+  readObserved(MANIFEST_FILE);
+  const existingManifest = loadManifestFromPath(manifestPath);
+
+  // Explicit patterns win; otherwise keep the subset chosen last time
+  const selection: FileSelection = {
+    include: options.include ?? existingManifest?.selection?.include ?? [],
+    exclude: options.exclude ?? existingManifest?.selection?.exclude ?? [],
+  };
+  const ruleFormat = options.ruleFormat ?? existingManifest?.ruleFormat ??
+    "mdc";
+  const transforms = options.transforms ??
+    (existingManifest?.transforms?.length === 0 ? [] : defaultTransforms);
+  const previousSelection: FileSelection = existingManifest?.selection ?? {
+    include: [],
+    exclude: [],
+  };
+  const items: ItemSelection = {
+    added: options.items?.added ?? existingManifest?.items?.added ?? [],
+    removed: options.items?.removed ?? existingManifest?.items?.removed ?? [],
+  };
+
+  // Stack detection only makes sense for a project-local install
+  const useStack = selectedLocation === "local" &&
+    (options.autoDetect ?? existingManifest?.stack !== undefined);
+  const detection = selectedLocation === "local"
+    ? detectStack(projectDir)
+    : null;
+  const stack = useStack && detection
+    ? { detected: detection.stacks, packs: detection.packs }
+    : undefined;
+
+  // A custom provider is recorded only if it names a spec to reuse
+  const sourceSpec = typeof options.source === "string"
+    ? absoluteSourceSpec(options.source, cwd)
+    : options.source
+    ? options.source.spec
+    : existingManifest?.source?.spec ?? "package";
+  const baseSource = typeof options.source === "object"
+    ? options.source
+    : createContentSource(sourceSpec ?? "package", cwd, sourceOptions);
+  const sourceVersion = await baseSource.getVersion();
+
+  // Team overlays and the deny list come from the project config
+  const config = loadConfig(cwd);
+  const overlays = resolveOverlays(
+    options.overlays ?? config.overlays ?? [],
+    cwd,
+    sourceOptions,
+  );
+  const deny = options.deny ?? config.deny ?? [];
+  const overlayVersions = await Promise.all(
+    overlays.map(async ({ name, spec, source }) => ({
+      name,
+      spec,
+      version: await source.getVersion(),
+    })),
+  );
+  const { source, layersOf, warnings } = await createLayeredSource(
+    baseSource,
+    overlays,
+    deny,
+  );
+
+  // Releases are recorded by their own version, other sources by the
+  // version of everything-cursor that installed them
+  const contentVersion = source.name === "package" ? sourceVersion : version;
+  const plan: InstallPlan = {
+    version: contentVersion,
+    previousVersion: existingManifest
+      ? installedContentVersion(existingManifest)
+      : undefined,
+    location: selectedLocation,
+    installDir,
+    manifestPath,
+    upToDate: false,
+    selection,
+    items,
+    stack,
+    detection,
+    ruleFormat,
+    transforms: transforms.map((transform) => transform.name),
+    onConflict,
+    source: { spec: sourceSpec, name: source.name, version: sourceVersion },
+    overlays: overlayVersions,
+    deny,
+    references: [],
+    warnings,
+    files: [],
+  };
+
+  if (
+    !full && !sync?.changed &&
+    existingManifest &&
+    installedContentVersion(existingManifest) === contentVersion &&
+    sourceVersion === (existingManifest.source?.version ?? version) &&
+    isSameSelection(selection, previousSelection) &&
+    isSameSelection(
+      { include: items.added, exclude: items.removed },
+      {
+        include: existingManifest.items?.added ?? [],
+        exclude: existingManifest.items?.removed ?? [],
+      },
+    ) &&
+    JSON.stringify(stack?.packs) ===
+      JSON.stringify(existingManifest.stack?.packs) &&
+    ruleFormat === (existingManifest.ruleFormat ?? "md") &&
+    JSON.stringify(plan.transforms) ===
+      JSON.stringify(existingManifest.transforms ?? []) &&
+    JSON.stringify(overlayVersions) ===
+      JSON.stringify(existingManifest.overlays ?? []) &&
+    JSON.stringify(deny) === JSON.stringify(existingManifest.deny ?? [])
+  ) {
+    plan.upToDate = true;
+    return { plan, packaged: new Map(), observed };
+  }
+
+  // Load file list from the content source and narrow it down
+  const allFiles = await source.listFiles();
+  for (const sourcePath of allFiles) checkContentPath(sourcePath, source.name);
+  let fileList = allFiles;
+  if (stack) {
+    fileList = applyStackFilter(fileList, stack.detected, selection.include);
+  }
+  fileList = applySelection(fileList, selection);
+
+  // Items added or removed one by one win over patterns and stack packs
+  const selected = new Set(fileList);
+  fileList = allFiles.filter((sourcePath) => {
+    const id = itemIdOf(sourcePath);
+    if (id !== null && items.added.includes(id)) return true;
+    return selected.has(sourcePath) && !(id !== null && items.removed.includes(id));
+  });
+
+  // Rules become Cursor project rules (.mdc) unless disabled
+  const installedPaths = new Map(
+    allFiles.map((sourcePath) => [
+      sourcePath,
+      ruleFormat === "mdc" && /^rules\/[^/]+\/.+\.md$/.test(sourcePath)
+        ? sourcePath.replace(/\.md$/, ".mdc")
+        : sourcePath,
+    ]),
+  );
+  const contentItems = new Set(
+    allFiles.map(itemIdOf).filter((id) => id !== null),
+  );
+  const installedItems = new Set(fileList.map(itemIdOf));
+  const prefix = referencePrefix(selectedLocation, installDir);
+
+  const planned = new Set<string>();
+  const packaged = new Map<string, string>();
+
+  // A dev sync only plans what changed
+  const changed = sync?.changed;
+  const planList = changed
+    ? fileList.filter((sourcePath) => changed.has(sourcePath))
+    : fileList;
+
+  // Read everything up front, a few files at a time, as remote sources
+  // download each file
+  const sourceContents = await mapConcurrent(
+    planList,
+    FETCH_CONCURRENCY,
+    (sourcePath) => source.readFile(sourcePath),
+  );
+
+  for (const [fileIndex, sourcePath] of planList.entries()) {
+    const sourceContent = sourceContents[fileIndex];
+    const transformed = applyTransforms(sourcePath, sourceContent, transforms);
+
+    const converted = ruleFormat === "mdc"
+      ? convertRuleToMdc(sourcePath, transformed.content, options.mapRule)
+      : null;
+    const relativePath = converted?.relativePath ?? sourcePath;
+    planned.add(relativePath);
+
+    // Point Claude paths and links at the install location
+    const resolved = resolveReferences(
+      sourcePath,
+      relativePath,
+      converted?.content ?? transformed.content,
+      installedPaths,
+      contentItems,
+      prefix,
+    );
+    const content = resolved.content;
+    const applied = [
+      ...transformed.applied,
+      ...(converted ? ["rule-mdc"] : []),
+      ...(resolved.content !== (converted?.content ?? transformed.content)
+        ? ["references"]
+        : []),
+    ];
+    for (const reference of resolved.references) {
+      const target = reference.target;
+      const matches = (id: string | null) =>
+        id === target || id?.startsWith(`${target}/`);
+      plan.references.push({
+        ...reference,
+        status: [...installedItems].some(matches)
+          ? "installed"
+          : [...contentItems].some(matches)
+          ? "excluded"
+          : "unknown",
+      });
+    }
+
+    // Writing through a symlink would land outside the install dir
+    const link = findSymlink(installDir, relativePath);
+    if (link) {
+      throw new ContentIntegrityError(
+        `Refusing to write ${relativePath}: ${link} is a symlink`,
+        installDir,
+        relativePath,
+      );
+    }
+    const entry: PlannedFile = {
+      action: "add",
+      relativePath,
+      source: sourcePath,
+      layers: layersOf(sourcePath),
+      transforms: applied,
+      sourceChecksum: calculateChecksumFromString(sourceContent),
+      listed: true,
+      changed: true,
+      modified: false,
+      content,
+      checksum: calculateChecksumFromString(content),
+    };
+    packaged.set(relativePath, content);
+
+    const onDisk = readObserved(relativePath);
+    if (onDisk !== null) {
+      entry.action = "update";
+      entry.modified = isLocallyModified(
+        onDisk,
+        content,
+        existingManifest?.files[relativePath],
+      );
+
+      // Detect local edits before touching the file
+      if (entry.modified) {
+        entry.policy = onConflict;
+        if (onConflict === "keep") {
+          entry.action = "skip";
+          delete entry.content;
+        } else if (onConflict === "merge") {
+          // The packaged content the file was installed from is the base
+          const previous = existingManifest?.files[relativePath];
+          const base = previous
+            ? readObject(installDir, packagedChecksum(previous))
+            : null;
+          if (hasConflictMarkers(onDisk)) {
+            entry.detail = "modified locally, unresolved conflict markers, kept";
+          } else if (base === null) {
+            entry.detail = "modified locally, no merge base recorded, kept";
+          } else {
+            const merged = mergeThreeWay(
+              base,
+              onDisk,
+              content,
+              `everything-cursor ${version}`,
+            );
+            entry.content = merged.content;
+            entry.conflicts = merged.conflicts;
+          }
+          if (entry.detail) {
+            entry.action = "skip";
+            delete entry.content;
+          }
+        }
+      }
+
+      entry.changed = entry.content !== undefined && entry.content !== onDisk;
+      if (entry.changed) {
+        entry.diff = createUnifiedDiff(
+          relativePath,
+          onDisk,
+          entry.content ?? onDisk,
+        );
+      }
+    }
+
+    plan.files.push(entry);
+  }
+
+  // Files that were previously installed but are no longer in the file list
+  for (const [key, previous] of Object.entries(existingManifest?.files ?? {})) {
+    if (planned.has(key)) continue;
+    if (changed && !changed.has(previous.source ?? key)) continue;
+    const onDisk = readObserved(key);
+    if (onDisk === null) continue;
+
+    const modified = isModifiedFile(onDisk, previous);
+    // An edited file that leaves the list stays behind as a user file
+    const keep = modified && (onConflict === "keep" || onConflict === "merge");
+
+    plan.files.push({
+      action: keep ? "skip" : "remove",
+      relativePath: key,
+      source: previous.source,
+      layers: previous.layers,
+      listed: false,
+      changed: !keep,
+      modified,
+      policy: modified ? onConflict : undefined,
+      diff: keep ? undefined : createUnifiedDiff(key, onDisk, ""),
+    });
+  }
+
+  return { plan, packaged, observed };
+}
+
+/**
+ * Install everything-cursor settings programmatically
+ *
+ * @example
+ * ```ts
+ * import { install } from "@yoshixmk/everything-cursor";
+ *
+ * // Install with default options (prompts for location)
+ * await install();
+ *
+ * // Install to local .cursor directory
+ * await install({ location: "local" });
+ *
+ * // Install to home directory
+ * await install({ location: "home" });
+ *
+ * // Report progress and inspect the outcome
+ * const result = await install({
+ *   location: "local",
+ *   onEvent: (event) => {
+ *     if (event.type === "file") console.log(event.action, event.path);
+ *   },
+ * });
+ * console.log(`${result.added.length} added, ${result.updated.length} updated`);
+ * ```
+ */
+export async function install(
+  options: InstallOptions = {},
+): Promise<InstallResult> {
+  return await installContent(options);
+}
+
+/**
+ * Run an install, or with `sync` a dev() sync
+ * @internal
+ */
+async function installContent(
+  options: InstallOptions,
+  sync?: DevSync,
+): Promise<InstallResult> {
+  const {
+    location = "ask",
+    silent = false,
+    cwd = process.cwd(),
+    keepSnapshots = 5,
+    onMissingReference = "warn",
+    onEvent,
+  } = options;
+
+  const emit = (event: ProgressEvent) => onEvent?.(event);
+  const note = (message: string) =>
+    emit({ type: "info", operation: "install", message });
+  const warn = (message: string) =>
+    emit({ type: "warning", operation: "install", message });
+
+  const target = location === "ask"
+    ? await promptInstallLocation(silent)
+    : location;
+  const installDir = getInstallDir(target, cwd);
+
+  if (!fs.existsSync(installDir)) {
+    fs.mkdirSync(installDir, { recursive: true });
+  }
+
+  // A crashed commit is finished or reverted before anything reads the dir
+  const prepare = () => {
+    recoverInterruptedCommit(installDir, note);
+    migrateManifestFile(installDir, note);
+  };
+  let releaseLock = await acquireLock(installDir);
+  const unlock = () => {
+    releaseLock();
+    releaseLock = () => {};
+  };
+  try {
+    prepare();
+  } finally {
+    unlock();
+  }
+
+  // Content is downloaded and verified while planning, without the lock. The
+  // commit takes the lock and plans again if the install dir changed in the
+  // meantime; the last attempt plans while holding the lock.
+  let state: PlanState | undefined;
+  for (let attempt = 1; !state; attempt++) {
+    const locked = attempt === PLAN_ATTEMPTS;
+    try {
+      if (locked) {
+        releaseLock = await acquireLock(installDir);
+        prepare();
+      }
+      const planned = await createPlan(
+        { ...options, location: target },
+        false,
+        sync,
+      );
+      if (!locked) {
+        releaseLock = await acquireLock(installDir);
+        prepare();
+      }
+      if (locked || isPlanCurrent(installDir, planned.observed)) {
+        state = planned;
+      } else {
+        unlock();
+      }
+    } catch (error) {
+      unlock();
+      throw error;
+    }
+  }
+
+  // Everything from here on reads and writes the install dir exclusively
+  try {
+    const { plan, packaged } = state;
+    const { detection, stack, onConflict } = plan;
+    emit({
+      type: "start",
+      operation: "install",
+      location: plan.location,
+      installDir,
+    });
+
+    const existingManifest = loadManifestFromPath(plan.manifestPath);
+
+    const result: InstallResult = {
+      status: "installed",
+      location: plan.location,
+      installDir,
+      version: plan.version,
+      previousVersion: plan.previousVersion,
+      added: [],
+      updated: [],
+      unchanged: [],
+      removed: [],
+      merged: [],
+      conflicts: [],
+      skipped: [],
+      modified: [],
+      missingReferences: plan.references.filter((reference) =>
+        reference.status !== "installed"
+      ),
+      duplicates: [],
+      report: {
+        generatedAt: new Date().toISOString(),
+        location: plan.location,
+        installDir,
+        previousVersion: plan.previousVersion,
+        version: plan.version,
+        source: { name: plan.source.name, version: plan.source.version },
+        added: [],
+        updated: [],
+        removed: [],
+        preservedUser: [],
+        skippedModified: [],
+        files: [],
+      },
+    };
+    const { report } = result;
+
+    if (detection && !stack && detection.stacks.length > 0) {
+      note(
+        `Detected project stack: ${detection.stacks.join(", ")} (${
+          detection.markers.join(", ")
+        }); run with --auto to install only the ${
+          detection.packs.join(", ")
+        } packs`,
+      );
+    }
+
+    for (const message of plan.warnings) warn(message);
+
+    if (plan.upToDate) {
+      result.status = "up-to-date";
+      result.unchanged = plan.files.map((file) => file.relativePath);
+      emit({ type: "done", operation: "install", result });
+      return result;
+    }
+
+    // Dangling references are checked before anything is written
+    const missingReferences = result.missingReferences;
+    if (onMissingReference === "fail" && missingReferences.length > 0) {
+      throw new MissingReferenceError(missingReferences);
+    }
+
+    if (stack) note(`Using stack packs: ${stack.packs.join(", ")}`);
+    if (plan.source.name !== "package") {
+      note(`Source: ${plan.source.name} (${plan.source.version})`);
+    }
+
+    const journal: Journal = {
+      operation: "install",
+      startedAt: new Date().toISOString(),
+      version: plan.version,
+      operations: [],
+      manifest: {
+        schemaVersion: MANIFEST_SCHEMA_VERSION,
+        version: plan.version,
+        selectedLocation: plan.location,
+        installPath: installDir,
+        installedAt: new Date().toISOString(),
+        selection: plan.selection,
+        items: plan.items.added.length + plan.items.removed.length > 0
+          ? plan.items
+          : undefined,
+        stack,
+        ruleFormat: plan.ruleFormat,
+        transforms: plan.transforms,
+        source: plan.source,
+        overlays: plan.overlays,
+        deny: plan.deny,
+        // A partial sync keeps the entries of the content it did not plan
+        files: sync?.changed
+          ? Object.fromEntries(
+            Object.entries(existingManifest?.files ?? {}).filter(
+              ([key, entry]) => !sync.changed!.has(entry.source ?? key),
+            ),
+          )
+          : {},
+      },
+    };
+
+    const { modified } = result;
+
+    // Stage every new file, and the content every change replaces, before
+    // anything in the install dir changes
+    const { stage, stageExisting } = createStaging(installDir);
+    journal.previousManifest = stageExisting(MANIFEST_FILE);
+    const backupStamp = new Date().toISOString().replace(/[:.]/g, "-");
+
+    // File events are emitted as the commit applies them
+    const pending = new Map<string, ProgressEvent>();
+
+    for (const entry of plan.files) {
+      const { relativePath } = entry;
+      if (entry.modified) modified.push(relativePath);
+
+      if (entry.action === "skip") {
+        const previous = existingManifest?.files[relativePath];
+        const detail = entry.detail ?? (entry.listed
+          ? "modified locally, kept"
+          : "modified locally, no longer managed, kept");
+        if (entry.listed && previous) {
+          journal.manifest.files[relativePath] = previous;
+        }
+        result.skipped.push(relativePath);
+        emit({
+          type: "file",
+          operation: "install",
+          path: relativePath,
+          action: "skipped",
+          detail,
+          layers: entry.layers,
+        });
+        continue;
+      }
+
+      const backupPath = `${relativePath}.${backupStamp}.bak`;
+      if (entry.modified && onConflict === "backup") {
+        journal.operations.push({
+          type: "backup",
+          path: relativePath,
+          to: backupPath,
+        });
+      }
+
+      if (entry.action === "remove") {
+        journal.operations.push({
+          type: "remove",
+          path: relativePath,
+          previous: stageExisting(relativePath),
+        });
+        result.removed.push(relativePath);
+        pending.set(relativePath, {
+          type: "file",
+          operation: "install",
+          path: relativePath,
+          action: "removed",
+          layers: entry.layers,
+        });
+        continue;
+      }
+
+      let detail: string | undefined;
+      if (entry.modified && onConflict === "backup") {
+        detail = `modified locally, backed up to ${path.basename(backupPath)}`;
+      } else if (entry.modified && onConflict === "merge") {
+        detail = entry.conflicts
+          ? `modified locally, merged with ${entry.conflicts} conflict(s)`
+          : "modified locally, merged";
+      } else if (entry.modified) {
+        detail = "modified locally, overwritten";
+      }
+
+      const written = entry.changed && entry.content !== undefined;
+      if (written) {
+        const previous = stageExisting(relativePath);
+        journal.operations.push({
+          type: "write",
+          path: relativePath,
+          object: stage(entry.content ?? ""),
+          created: previous === undefined,
+          previous,
+        });
+      }
+
+      // The packaged content is kept as merge base for the next update; a
+      // merged file records both what was written and what it was based on
+      const packagedContent = packaged.get(relativePath);
+      if (packagedContent !== undefined) writeObject(installDir, packagedContent);
+      const checksum = entry.content !== undefined
+        ? calculateChecksumFromString(entry.content)
+        : entry.checksum ?? "";
+      journal.manifest.files[relativePath] = {
+        source: entry.source,
+        layers: entry.layers,
+        transforms: entry.transforms,
+        sourceChecksum: entry.sourceChecksum,
+        installedAt: new Date().toISOString(),
+        checksum,
+        baseChecksum: entry.checksum !== checksum ? entry.checksum : undefined,
+      };
+
+      const action = entry.action === "add"
+        ? "added"
+        : !entry.changed
+        ? "unchanged"
+        : entry.conflicts !== undefined
+        ? "merged"
+        : "updated";
+      result[action].push(relativePath);
+      if (entry.conflicts) result.conflicts.push(relativePath);
+      if (action === "updated" || action === "merged") {
+        report.updated.push({ path: relativePath, diff: entry.diff ?? "" });
+      }
+      const event: ProgressEvent = {
+        type: "file",
+        operation: "install",
+        path: relativePath,
+        action,
+        detail,
+        layers: entry.layers,
+      };
+      if (written) {
+        pending.set(relativePath, event);
+      } else {
+        emit(event);
+      }
+    }
+
+    // Keep the current state so it can be restored by rollback(); dev syncs
+    // would flood the history, so they take none
+    if (existingManifest && !sync) {
+      journal.snapshotId = createSnapshot(installDir, existingManifest).id;
+    }
+
+    // Commit: the journal lets the next run finish or revert a crashed commit
+    try {
+      commitJournal(installDir, journal, (operation) => {
+        const event = operation.type !== "backup" && pending.get(operation.path);
+        if (event) emit(event);
+      });
+    } catch (error) {
+      warn("Installation failed; its changes were rolled back");
+      throw error;
+    }
+
+    // Only the newest snapshots are kept
+    if (!sync) {
+      deleteSnapshots(installDir, readSnapshots(installDir).slice(keepSnapshots));
+    }
+
+    report.added = [...result.added];
+    report.removed = [...result.removed];
+    report.skippedModified = [...result.skipped];
+    report.preservedUser = listManagedFiles(installDir).filter((key) =>
+      !journal.manifest.files[key] && !result.skipped.includes(key)
+    );
+    if (options.report) {
+      // The install is committed; a report that cannot be written only warns
+      try {
+        report.files = writeInstallReport(
+          report,
+          options.report === true
+            ? undefined
+            : path.resolve(cwd, options.report),
+        );
+      } catch (error) {
+        warn(
+          `Could not write the change report: ${
+            error instanceof Error ? error.message : String(error)
+          }`,
+        );
+      }
+    }
+
+    if (onMissingReference === "warn") {
+      for (const reference of missingReferences) {
+        warn(
+          `Reference to an item that is not installed: ${
+            formatReference(reference)
+          }`,
+        );
+      }
+    }
+
+    result.duplicates = !sync?.changed && (target === "local" || target === "home")
+      ? findDuplicates(cwd, warn)
+      : [];
+    if (result.duplicates.length > 0) {
+      const other = plan.location === "local" ? "home" : "local";
+      warn(
+        `${result.duplicates.length} file(s) are also installed in ${other} with the same content, so Cursor loads them twice; keep one copy with "uninstall --location ${other}"`,
+      );
+    }
+
+    emit({ type: "done", operation: "install", result });
+    return result;
+  } finally {
+    unlock();
+  }
+}
+
+/**
+ * Render an install report as Markdown, with a diff per updated file, or as
+ * JSON
+ *
+ * @example
+ * ```ts
+ * import { formatInstallReport, install } from "@yoshixmk/everything-cursor";
+ *
+ * const { report } = await install({ location: "local", silent: true });
+ * console.log(formatInstallReport(report));
+ * ```
+ */
+export function formatInstallReport(
+  report: InstallReport,
+  format: "markdown" | "json" = "markdown",
+): string {
+  if (format === "json") return JSON.stringify(report, null, 2) + "\n";
+
+  const lines = [
+    "# everything-cursor change report",
+    "",
+    `- Date: ${report.generatedAt}`,
+    `- Location: ${report.location} (\`${report.installDir}\`)`,
+    `- Version: ${report.previousVersion ?? "none"} → ${report.version}`,
+    `- Source: ${report.source.name} (${report.source.version})`,
+    "",
+  ];
+  const section = (title: string, paths: string[]) => {
+    lines.push(`## ${title} (${paths.length})`, "");
+    lines.push(
+      ...(paths.length > 0 ? paths.map((key) => `- \`${key}\``) : ["None"]),
+      "",
+    );
+  };
+  section("Added", report.added);
+  section("Updated", report.updated.map((file) => file.path));
+  section("Removed", report.removed);
+  section("Skipped, modified locally", report.skippedModified);
+  section("Preserved user files", report.preservedUser);
+
+  if (report.updated.length > 0) {
+    lines.push("## Diffs", "");
+    for (const { path: key, diff } of report.updated) {
+      // The fence must be longer than any backtick run in the diff
+      const fence = "`".repeat(
+        Math.max(3, ...[...diff.matchAll(/`+/g)].map((run) => run[0].length + 1)),
+      );
+      lines.push(`### \`${key}\``, "", `${fence}diff`, diff.trimEnd(), fence, "");
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Write an install report to a path, or as .md and .json into the install
+ * dir; returns the paths written
+ * @internal
+ */
+function writeInstallReport(report: InstallReport, target?: string): string[] {
+  const targets = target
+    ? [target]
+    : [".md", ".json"].map((extension) =>
+      path.join(report.installDir, `${REPORT_FILE}${extension}`)
+    );
+  report.files = targets;
+  for (const reportPath of targets) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    writeFileAtomic(
+      reportPath,
+      formatInstallReport(
+        report,
+        path.extname(reportPath).toLowerCase() === ".json" ? "json" : "markdown",
+      ),
+    );
+  }
+  return targets;
+}
+
+/**
+ * Install into every workspace of a monorepo
+ *
+ * Each workspace found by `discoverWorkspaces()` gets its own `.cursor/`,
+ * installed or updated with the given options. Stack detection is on unless
+ * `autoDetect` is false, so each workspace receives the packs for its stack.
+ * A failing workspace does not stop the others.
+ *
+ * @example
+ * ```ts
+ * import { installWorkspaces } from "@yoshixmk/everything-cursor";
+ *
+ * const results = await installWorkspaces({ cwd: "/path/to/monorepo" });
+ * const failed = results.filter((result) => result.status === "failed");
+ * ```
+ */
+export async function installWorkspaces(
+  options: Omit<InstallOptions, "location"> = {},
+): Promise<WorkspaceInstallResult[]> {
+  const { cwd = process.cwd() } = options;
+
+  const workspaces = discoverWorkspaces(cwd);
+  if (workspaces.length === 0) {
+    throw new UsageError(
+      `No workspaces found in ${cwd} (looked at ${
+        WORKSPACE_FILES.map(({ file }) => file).join(", ")
+      })`,
+    );
+  }
+
+  const results: WorkspaceInstallResult[] = [];
+  for (const workspace of workspaces) {
+    const manifestPath = path.join(workspace, ".cursor", MANIFEST_FILE);
+
+    try {
+      const { status } = await install({
+        ...options,
+        location: "local",
+        cwd: workspace,
+        autoDetect: options.autoDetect ?? true,
+      });
+      const manifest = loadManifestFromPath(manifestPath);
+      const result: WorkspaceInstallResult = {
+        workspace,
+        status,
+        packs: manifest?.stack?.packs,
+        fileCount: Object.keys(manifest?.files ?? {}).length,
+      };
+      results.push(result);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      results.push({ workspace, status: "failed", error: message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Uninstall everything-cursor settings programmatically
+ *
+ * Snapshots, change reports and backups made by the "backup" conflict
+ * policy are deleted with the installed files unless `keepHistory` is set.
+ *
+ * @example
+ * ```ts
+ * import { uninstall } from "@yoshixmk/everything-cursor";
+ *
+ * // Uninstall with default options
+ * await uninstall();
+ *
+ * // Report each removed file
+ * await uninstall({ onEvent: (event) => console.log(event) });
+ *
+ * // Remove both the local and the home installation
+ * await uninstall({ location: "all" });
+ *
+ * // Keep snapshots, change reports and backups for a later reinstall
+ * await uninstall({ keepHistory: true });
+ *
+ * // Nothing to remove is an error, not an exit
+ * try {
+ *   await uninstall();
+ * } catch (error) {
+ *   if (!(error instanceof NotInstalledError)) throw error;
+ * }
+ * ```
+ */
+export async function uninstall(
+  options: UninstallOptions = {},
+): Promise<UninstallResult[]> {
+  const { cwd = process.cwd(), location, keepHistory = false, onEvent } =
+    options;
+  const emit = (event: ProgressEvent) => onEvent?.(event);
+
+  // Every installation is acted on, so each manifest must be readable
+  if (location === "all") {
+    for (const scope of ["local", "home"]) {
+      loadManifestFromPath(path.join(getInstallDir(scope, cwd), MANIFEST_FILE));
+    }
+  }
+  // Without an explicit location the local installation wins
+  const { installations } = isInstalled(cwd, location ?? "all");
+  if (installations.length === 0) throw new NotInstalledError(location);
+
+  const targets = location === "all" ? installations : installations.slice(0, 1);
+  const results: UninstallResult[] = [];
+  for (const { location: scope, installDir, manifestPath } of targets) {
+    results.push(
+      await uninstallFrom(installDir, manifestPath, scope, keepHistory, emit),
+    );
+  }
+  return results;
+}
+
+/**
+ * Remove the files of one installation, its manifest and, unless the
+ * history is kept, the state everything-cursor keeps beside them
+ * @internal
+ */
+async function uninstallFrom(
+  installDir: string,
+  manifestPath: string,
+  location: "local" | "home",
+  keepHistory: boolean,
+  emit: (event: ProgressEvent) => void,
+): Promise<UninstallResult> {
+  const note = (message: string) =>
+    emit({ type: "info", operation: "uninstall", message });
+  const releaseLock = await acquireLock(installDir);
+  try {
+    recoverInterruptedCommit(installDir, note);
+    migrateManifestFile(installDir, note);
+
+    // Another process may have uninstalled it while we waited for the lock
+    const manifest = loadManifestFromPath(manifestPath);
+    if (!manifest) throw new NotInstalledError(location);
+
+    emit({ type: "start", operation: "uninstall", location, installDir });
+
+    const result: UninstallResult = {
+      location,
+      installDir,
+      removed: [],
+      removedState: [],
+    };
+    for (const [key, info] of Object.entries(manifest.files)) {
+      const filePath = path.join(installDir, key);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        result.removed.push(key);
+        emit({
+          type: "file",
+          operation: "uninstall",
+          path: key,
+          action: "removed",
+          layers: info.layers,
+        });
+      }
+    }
+
+    if (!keepHistory) {
+      const backups = managedDirectories
+        .flatMap((dir) => walkFiles(installDir, dir, [".bak"]))
+        .filter((key) => BACKUP_PATTERN.test(key));
+      const state = [
+        SNAPSHOT_DIR,
+        `${REPORT_FILE}.md`,
+        `${REPORT_FILE}.json`,
+        JOURNAL_FILE,
+        STAGING_DIR,
+        ...backups,
+      ];
+      for (const entry of state) {
+        const entryPath = path.join(installDir, entry);
+        if (!fs.existsSync(entryPath)) continue;
+        fs.rmSync(entryPath, { recursive: true, force: true });
+        result.removedState.push(entry);
+      }
+    }
+
+    fs.unlinkSync(manifestPath);
+    emit({ type: "done", operation: "uninstall", result });
+    return result;
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Move an installation between the local and home scope
+ *
+ * Installed files are carried over as they are on disk, so local edits and
+ * the manifest (including snapshots for rollback) survive the move. Paths
+ * that were rewritten to point at the install location follow it.
+ *
+ * @example
+ * ```ts
+ * import { move } from "@yoshixmk/everything-cursor";
+ *
+ * // Share a project installation across all projects
+ * const { moved } = await move({ to: "home" });
+ * ```
+ */
+export async function move(options: MoveOptions): Promise<MoveResult> {
+  const { to, cwd = process.cwd(), onEvent } = options;
+  const from = to === "home" ? "local" : "home";
+
+  const emit = (event: ProgressEvent) => onEvent?.(event);
+  const note = (message: string) =>
+    emit({ type: "info", operation: "move", message });
+
+  const sourceDir = getInstallDir(from, cwd);
+  const targetDir = getInstallDir(to, cwd);
+  const sourceManifestPath = path.join(sourceDir, MANIFEST_FILE);
+  const targetManifestPath = path.join(targetDir, MANIFEST_FILE);
+
+  if (sourceDir === targetDir) {
+    throw new UsageError("The local and home installation are the same directory");
+  }
+  if (!fs.existsSync(sourceManifestPath)) {
+    throw new NotInstalledError(from);
+  }
+  if (fs.existsSync(targetManifestPath)) throw new AlreadyInstalledError(to);
+
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  // Locks are always taken local first, so concurrent moves cannot deadlock
+  const releaseLocal = await acquireLock(getInstallDir("local", cwd));
+  try {
+    const releaseHome = await acquireLock(getInstallDir("home", cwd));
+    try {
+      recoverInterruptedCommit(sourceDir, note);
+      migrateManifestFile(sourceDir, note);
+
+      const manifest = loadManifestFromPath(sourceManifestPath);
+      if (!manifest) throw new NotInstalledError(from);
+
+      emit({ type: "start", operation: "move", location: to, installDir: targetDir });
+
+      // Paths rewritten for the old location are pointed at the new one, in
+      // the files and in the stored content (snapshots and merge bases) alike
+      const relocate = (info: ManifestFileInfo | undefined, content: string) =>
+        info?.transforms?.includes("references")
+          ? relocateReferences(content, to)
+          : content;
+      const relocateEntry = (info: ManifestFileInfo, content: string | null) => {
+        if (!info.transforms?.includes("references")) return;
+        const packaged = readObject(sourceDir, packagedChecksum(info));
+        const packagedHash = packaged === null
+          ? null
+          : writeObject(targetDir, relocate(info, packaged));
+        // Untouched files keep matching their manifest entry after the move
+        if (
+          content !== null &&
+          calculateChecksumFromString(content) === info.checksum
+        ) {
+          info.checksum = calculateChecksumFromString(relocate(info, content));
+        } else if (!info.baseChecksum && packagedHash) {
+          info.checksum = packagedHash;
+        }
+        if (info.baseChecksum && packagedHash) info.baseChecksum = packagedHash;
+      };
+
+      // Backups made by the backup conflict policy move along
+      const backups = managedDirectories
+        .flatMap((dir) => walkFiles(sourceDir, dir, [".bak"]))
+        .filter((key) => BACKUP_PATTERN.test(key));
+
+      const contents = new Map<string, string>();
+      const originals = new Map<string, string>();
+      const conflicts: string[] = [];
+      for (const key of [...Object.keys(manifest.files), ...backups]) {
+        const sourcePath = path.join(sourceDir, key);
+        if (!fs.existsSync(sourcePath)) continue;
+
+        const onDisk = fs.readFileSync(sourcePath, "utf-8");
+        const content = relocate(manifest.files[key], onDisk);
+        originals.set(key, onDisk);
+        contents.set(key, content);
+
+        const targetPath = path.join(targetDir, key);
+        if (
+          fs.existsSync(targetPath) &&
+          fs.readFileSync(targetPath, "utf-8") !== content
+        ) {
+          conflicts.push(key);
+        }
+      }
+
+      if (conflicts.length > 0) {
+        throw new MoveConflictError(targetDir, conflicts);
+      }
+
+      for (const [key, content] of contents) {
+        const targetPath = path.join(targetDir, key);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        writeFileAtomic(targetPath, content);
+        emit({
+          type: "file",
+          operation: "move",
+          path: key,
+          action: "moved",
+          layers: manifest.files[key]?.layers,
+        });
+      }
+
+      // Snapshots restore into the new location
+      const snapshotDir = path.join(sourceDir, SNAPSHOT_DIR);
+      if (fs.existsSync(snapshotDir)) {
+        fs.cpSync(snapshotDir, path.join(targetDir, SNAPSHOT_DIR), {
+          recursive: true,
+        });
+      }
+      for (const record of readSnapshots(targetDir)) {
+        record.manifest.selectedLocation = to;
+        record.manifest.installPath = targetDir;
+        if (to === "home") delete record.manifest.stack;
+        for (const [key, hash] of Object.entries(record.files)) {
+          const info = record.manifest.files[key];
+          const content = readObject(sourceDir, hash);
+          if (!info || content === null) continue;
+          relocateEntry(info, content);
+          record.files[key] = writeObject(targetDir, relocate(info, content));
+        }
+        fs.writeFileSync(
+          path.join(targetDir, SNAPSHOT_DIR, `${record.id}.json`),
+          JSON.stringify(record, null, 2),
+        );
+      }
+      for (const [key, info] of Object.entries(manifest.files)) {
+        relocateEntry(info, originals.get(key) ?? null);
+      }
+
+      // Stack packs are only applied to project-local installs
+      if (to === "home" && manifest.stack) {
+        emit({
+          type: "warning",
+          operation: "move",
+          message: "Stack detection does not apply to a home install; dropped",
+        });
+        delete manifest.stack;
+      }
+      manifest.selectedLocation = to;
+      manifest.installPath = targetDir;
+      writeFileAtomic(targetManifestPath, JSON.stringify(manifest, null, 2));
+      // Objects only the old location's paths referred to are dropped
+      deleteSnapshots(targetDir, []);
+
+      // The new installation is complete; only now remove the old one
+      for (const key of contents.keys()) {
+        fs.unlinkSync(path.join(sourceDir, key));
+      }
+      fs.rmSync(snapshotDir, { recursive: true, force: true });
+      fs.unlinkSync(sourceManifestPath);
+
+      const result: MoveResult = {
+        from,
+        to,
+        installDir: targetDir,
+        moved: [...contents.keys()],
+      };
+      emit({ type: "done", operation: "move", result });
+      return result;
+    } finally {
+      releaseHome();
+    }
+  } finally {
+    releaseLocal();
+  }
+}
+
+/**
+ * Find the installation that items are added to or removed from, and
+ * normalize the requested ids ("skills/x/", "agents/y.md") to item ids
+ * @internal
+ */
+function resolveItemTarget(
+  ids: string[],
+  options: ItemOptions,
+): { target: string; manifest: Manifest; ids: string[] } {
+  const { cwd = process.cwd(), location } = options;
+  const installation = isInstalled(cwd, location ?? "all").installations[0];
+  const manifest = installation &&
+    loadManifestFromPath(installation.manifestPath);
+  if (!installation || !manifest) throw new NotInstalledError(location);
+  if (ids.length === 0) throw new UsageError("No items given");
+
+  const normalized = ids.map((id) => {
+    const itemId = itemIdOf(id.replace(/\/+$/, ""));
+    if (!itemId) {
+      throw new UsageError(
+        `Not an item: "${id}" (expected e.g. agents/planner, skills/tdd-workflow or rules/common/testing)`,
+      );
+    }
+    return itemId;
+  });
+
+  return {
+    target: location ?? installation.location,
+    manifest,
+    ids: [...new Set(normalized)],
+  };
+}
+
+/**
+ * Work out the item selection that adds the given items, and the items they
+ * reference that would still be missing. With `withDependencies`, referenced
+ * items are added until nothing is missing.
+ * @internal
+ */
+async function planAddition(
+  ids: string[],
+  options: ItemOptions,
+): Promise<{ target: string; items: ItemSelection; dependencies: string[] }> {
+  const { cwd = process.cwd(), withDependencies = false } = options;
+  const resolved = resolveItemTarget(ids, options);
+  const previous = resolved.manifest.items ?? { added: [], removed: [] };
+  const wanted = [...resolved.ids];
+
+  for (;;) {
+    const items: ItemSelection = {
+      added: [...new Set([...previous.added, ...wanted])],
+      removed: previous.removed.filter((id) => !wanted.includes(id)),
+    };
+    // Planned in full, as items added before still have dependencies
+    const { plan } = await createPlan(
+      {
+        location: resolved.target,
+        cwd,
+        items,
+        offline: options.offline,
+      },
+      true,
+    );
+    const listed = new Set(
+      plan.files
+        .filter((file) => file.listed)
+        .map((file) => itemIdOf(file.source ?? file.relativePath)),
+    );
+    const unknown = resolved.ids.filter((id) => !listed.has(id));
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown item(s): ${unknown.join(", ")}`);
+    }
+
+    // Items referenced from the wanted items that the plan leaves out
+    const missing = [
+      ...new Set(
+        plan.references
+          .filter((reference) =>
+            reference.status === "excluded" &&
+            wanted.includes(itemIdOf(reference.from) ?? "") &&
+            itemIdOf(reference.target) === reference.target
+          )
+          .map((reference) => reference.target),
+      ),
+    ].filter((id) => !wanted.includes(id));
+
+    if (missing.length === 0 || !withDependencies) {
+      return {
+        target: resolved.target,
+        items,
+        dependencies: [
+          ...wanted.filter((id) => !resolved.ids.includes(id)),
+          ...missing,
+        ],
+      };
+    }
+    wanted.push(...missing);
+  }
+}
+
+/**
+ * List the items that adding the given items would pull in: everything they
+ * reference, directly or through other referenced items, that is not
+ * installed yet
+ *
+ * @example
+ * ```ts
+ * import { add, findDependencies } from "@yoshixmk/everything-cursor";
+ *
+ * const dependencies = await findDependencies(["commands/go-review"]);
+ * console.log(`Also needed: ${dependencies.join(", ")}`);
+ * await add(["commands/go-review"], { withDependencies: true });
+ * ```
+ */
+export async function findDependencies(
+  ids: string[],
+  options: Omit<ItemOptions, "withDependencies"> = {},
+): Promise<string[]> {
+  const { dependencies } = await planAddition(ids, {
+    ...options,
+    withDependencies: true,
+  });
+  return dependencies;
+}
+
+/**
+ * Add individual items to an existing installation
+ *
+ * Items are named by id: "agents/go-reviewer", "commands/tdd",
+ * "rules/golang/testing", or "skills/frontend-slides" for every file of a
+ * skill. The additions are recorded in the manifest, so later installs keep
+ * them whatever their include/exclude patterns and stack packs select.
+ *
+ * @example
+ * ```ts
+ * import { add } from "@yoshixmk/everything-cursor";
+ *
+ * const result = await add(["agents/go-reviewer", "skills/golang-testing"]);
+ * console.log(`${result.added.length} file(s) added`);
+ * ```
+ */
+export async function add(
+  ids: string[],
+  options: ItemOptions = {},
+): Promise<InstallResult> {
+  const { cwd = process.cwd() } = options;
+  const { target, items, dependencies } = await planAddition(ids, options);
+
+  if (dependencies.length > 0) {
+    options.onEvent?.(
+      options.withDependencies
+        ? {
+          type: "info",
+          operation: "install",
+          message: `Also adding referenced item(s): ${dependencies.join(", ")}`,
+        }
+        : {
+          type: "warning",
+          operation: "install",
+          message: `Referenced item(s) not added: ${
+            dependencies.join(", ")
+          } (add them too, or pass withDependencies)`,
+        },
+    );
+  }
+
+  return await install({
+    location: target,
+    cwd,
+    items,
+    onConflict: options.onConflict,
+    offline: options.offline,
+    onEvent: options.onEvent,
+  });
+}
+
+/**
+ * Remove individual items from an existing installation
+ *
+ * The removals are recorded in the manifest, so later installs leave the
+ * items out. Locally modified files are kept unless `onConflict` says
+ * otherwise.
+ *
+ * @example
+ * ```ts
+ * import { remove } from "@yoshixmk/everything-cursor";
+ *
+ * await remove(["skills/investor-outreach"]);
+ * ```
+ */
+export async function remove(
+  ids: string[],
+  options: Omit<ItemOptions, "withDependencies"> = {},
+): Promise<InstallResult> {
+  const { cwd = process.cwd() } = options;
+  const resolved = resolveItemTarget(ids, options);
+
+  const installed = new Set(
+    Object.entries(resolved.manifest.files).map(([key, info]) =>
+      itemIdOf(info.source ?? key)
+    ),
+  );
+  const missing = resolved.ids.filter((id) => !installed.has(id));
+  if (missing.length > 0) {
+    throw new UsageError(`Not installed: ${missing.join(", ")}`);
+  }
+
+  const previous = resolved.manifest.items ?? { added: [], removed: [] };
+  return await install({
+    location: resolved.target,
+    cwd,
+    items: {
+      added: previous.added.filter((id) => !resolved.ids.includes(id)),
+      removed: [...new Set([...previous.removed, ...resolved.ids])],
+    },
+    onConflict: options.onConflict,
+    offline: options.offline,
+    onEvent: options.onEvent,
+  });
+}
+
+/**
+ * Whether the content of an installation comes from a release of this
+ * package, the only content outdated() and upgrade() can compare and replace
+ * @internal
+ */
+function isReleaseContent(manifest: Manifest): boolean {
+  return !manifest.source || manifest.source.name === "package";
+}
+
+/**
+ * Version of the content of an installation: the release it came from, or
+ * for other sources the version of everything-cursor that installed it.
+ * Manifests of releases installed by older versions record the running
+ * version, so the source version is read first.
+ * @internal
+ */
+function installedContentVersion(manifest: Manifest): string {
+  return manifest.source?.name === "package"
+    ? manifest.source.version
+    : manifest.version;
+}
+
+/**
+ * Compare installed versions with the newest release in the registry.
+ * Installations from another source, such as a fork, are not comparable
+ * and never outdated.
+ *
+ * @example
+ * ```ts
+ * import { outdated } from "@yoshixmk/everything-cursor";
+ *
+ * for (const info of await outdated()) {
+ *   if (info.outdated) console.log(`${info.location}: ${info.installed} → ${info.latest}`);
+ * }
+ * ```
+ */
+export async function outdated(
+  options: OutdatedOptions = {},
+): Promise<OutdatedInfo[]> {
+  const { cwd = process.cwd(), location = "all" } = options;
+  const { installations } = isInstalled(cwd, location);
+  if (installations.length === 0) throw new NotInstalledError(location);
+
+  const latest = await fetchLatestVersion(options.registry);
+  return installations.map((installation) => {
+    const manifest = loadManifestFromPath(installation.manifestPath)!;
+    const comparable = isReleaseContent(manifest);
+    const installed = comparable
+      ? installedContentVersion(manifest)
+      : manifest.source!.version;
+    return {
+      location: installation.location,
+      installDir: installation.installDir,
+      installed,
+      latest,
+      running: version,
+      source: manifest.source?.name ?? "package",
+      comparable,
+      outdated: comparable && compareVersions(installed, latest) < 0,
+    };
+  });
+}
+
+/**
+ * Resolve the installation an upgrade applies to and the release it
+ * upgrades to
+ * @internal
+ */
+async function resolveUpgrade(
+  options: UpgradeOptions,
+): Promise<{ target: string; manifest: Manifest; to: string; source: string }> {
+  const { cwd = process.cwd(), location } = options;
+  const installation = isInstalled(cwd, location ?? "all").installations[0];
+  const manifest = installation &&
+    loadManifestFromPath(installation.manifestPath);
+  if (!installation || !manifest) throw new NotInstalledError(location);
+  // Only releases are upgraded; replacing a fork or mirror with the
+  // registry's content would silently drop the source the user chose
+  if (!isReleaseContent(manifest)) {
+    throw new NotUpgradableError(
+      installation.location,
+      manifest.source!.spec ?? manifest.source!.name,
+    );
+  }
+
+  const to = options.version ?? await fetchLatestVersion(options.registry);
+  return {
+    target: location ?? installation.location,
+    manifest,
+    to,
+    // The running release ships its own content; others are downloaded
+    source: to === version ? "package" : `package@${to}`,
+  };
+}
+
+/**
+ * Work out what upgrading an installation would change, file by file, with
+ * the number of lines added and removed
+ *
+ * Other settings of the installation (selection, items, stack, rule format)
+ * are kept, so the changes are exactly what `upgrade()` would write.
+ *
+ * @example
+ * ```ts
+ * import { planUpgrade } from "@yoshixmk/everything-cursor";
+ *
+ * const plan = await planUpgrade({ location: "local" });
+ * console.log(`${plan.from} → ${plan.to}`);
+ * for (const change of plan.changes) {
+ *   console.log(`${change.change} ${change.path} +${change.linesAdded} -${change.linesRemoved}`);
+ * }
+ * ```
+ */
+export async function planUpgrade(
+  options: UpgradeOptions = {},
+): Promise<UpgradePlan> {
+  const { cwd = process.cwd() } = options;
+  const { target, manifest, to, source } = await resolveUpgrade(options);
+  const { plan } = await createPlan(
+    {
+      location: target,
+      cwd,
+      source,
+      registry: options.registry,
+      offline: options.offline,
+      onConflict: options.onConflict,
+    },
+    true,
+  );
+
+  const countLines = (content: string) =>
+    content === "" ? 0 : content.replace(/\n$/, "").split("\n").length;
+  const changes: UpgradeChange[] = [];
+  for (const file of plan.files) {
+    const change = {
+      path: file.relativePath,
+      item: itemIdOf(file.source ?? file.relativePath),
+      linesAdded: 0,
+      linesRemoved: 0,
+      kept: false,
+    };
+    if (file.action === "add") {
+      changes.push({
+        ...change,
+        change: "added",
+        linesAdded: countLines(file.content ?? ""),
+      });
+    } else if (file.action === "update" && file.changed) {
+      // Skip the ---/+++ header; hunk headers start with @@
+      const lines = (file.diff ?? "").split("\n").slice(2);
+      changes.push({
+        ...change,
+        change: "changed",
+        linesAdded: lines.filter((line) => line.startsWith("+")).length,
+        linesRemoved: lines.filter((line) => line.startsWith("-")).length,
+      });
+    } else if (file.action === "remove") {
+      const onDisk = fs.readFileSync(
+        path.join(plan.installDir, file.relativePath),
+        "utf-8",
+      );
+      changes.push({
+        ...change,
+        change: "removed",
+        linesRemoved: countLines(onDisk),
+      });
+    } else if (file.action === "skip") {
+      // Locally modified files stay; report them only if upstream changed
+      if (!file.listed) {
+        changes.push({ ...change, change: "removed", kept: true });
+      } else {
+        const previous = manifest.files[file.relativePath];
+        if (!previous || file.checksum !== packagedChecksum(previous)) {
+          changes.push({ ...change, change: "changed", kept: true });
+        }
+      }
+    }
+  }
+
+  return {
+    location: plan.location,
+    installDir: plan.installDir,
+    from: installedContentVersion(manifest),
+    to,
+    source,
+    changes: changes.sort((a, b) => a.path.localeCompare(b.path)),
+  };
+}
+
+/**
+ * Upgrade an installation to the newest release, or to `version`, keeping
+ * its other settings
+ *
+ * Releases other than the running one are downloaded from the registry and
+ * recorded as the "package@<version>" source, so later installs stay on
+ * them until `install --source package` or another upgrade. Installations
+ * from another source throw `NotUpgradableError`.
+ *
+ * @example
+ * ```ts
+ * import { planUpgrade, upgrade } from "@yoshixmk/everything-cursor";
+ *
+ * const plan = await planUpgrade();
+ * if (plan.changes.length > 0) await upgrade({ version: plan.to });
+ * ```
+ */
+export async function upgrade(
+  options: UpgradeOptions = {},
+): Promise<InstallResult> {
+  const { cwd = process.cwd() } = options;
+  const { target, manifest, to, source } = await resolveUpgrade(options);
+  options.onEvent?.({
+    type: "info",
+    operation: "install",
+    message: `Upgrading everything-cursor content ${
+      installedContentVersion(manifest)
+    } → ${to}`,
+  });
+  return await install({
+    location: target,
+    cwd,
+    source,
+    registry: options.registry,
+    offline: options.offline,
+    onConflict: options.onConflict,
+    report: options.report,
+    onEvent: options.onEvent,
+  });
+}
+
+/**
+ * Whether a change below the content root can affect the installation.
+ * Like the directory scan, symlinked entries and files other than .md are
+ * ignored; deleted and new directories count, as they may hold .md files.
+ * @internal
+ */
+function isContentChange(contentRoot: string, relativePath: string): boolean {
+  const segments = relativePath.split(/[\\/]/).filter(Boolean);
+  if (!(managedDirectories as readonly string[]).includes(segments[0])) {
+    return false;
+  }
+  if (findSymlink(contentRoot, segments.join("/"))) return false;
+
+  const extension = path.extname(relativePath).toLowerCase();
+  const stat = fs.statSync(path.join(contentRoot, relativePath), {
+    throwIfNoEntry: false,
+  });
+  if (!stat) return extension === "" || extension === managedExtension;
+  return stat.isDirectory() ||
+    (stat.isFile() && extension === managedExtension);
+}
+
+/**
+ * Watch the managed directories below a content root, including ones that
+ * are created later. Where recursive watching is unavailable (Node.js 18 on
+ * Linux), every directory gets its own watcher. Returns a function that
+ * stops watching.
+ * @internal
+ */
+function watchContent(
+  contentRoot: string,
+  onChange: (relativePath: string) => void,
+): () => void {
+  const watchers = new Map<string, fs.FSWatcher>();
+  let recursive = true;
+
+  // Start watching a directory, or stop if it was deleted
+  const refresh = (relativeDir: string) => {
+    const dirPath = path.join(contentRoot, relativeDir);
+    const stat = fs.lstatSync(dirPath, { throwIfNoEntry: false });
+    const existing = watchers.get(relativeDir);
+    if (!stat?.isDirectory()) {
+      existing?.close();
+      watchers.delete(relativeDir);
+      return;
+    }
+    if (existing) return;
+
+    const nested = relativeDir !== "" && !recursive;
+    let watcher: fs.FSWatcher;
+    try {
+      watcher = fs.watch(
+        dirPath,
+        { recursive: relativeDir !== "" && recursive },
+        (_event, filename) => {
+          if (!filename) return;
+          const relativePath = path.posix.join(
+            relativeDir,
+            String(filename).split(path.sep).join("/"),
+          );
+          // New managed directories, and without recursive watching any
+          // new directory, need a watcher of their own
+          const watchNew = relativeDir === ""
+            ? (managedDirectories as readonly string[]).includes(relativePath)
+            : nested;
+          if (watchNew) refresh(relativePath);
+          onChange(relativePath);
+        },
+      );
+    } catch (error) {
+      if (
+        recursive &&
+        (error as { code?: string }).code === "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM"
+      ) {
+        recursive = false;
+        refresh(relativeDir);
+        return;
+      }
+      throw error;
+    }
+    watcher.on("error", () => {
+      watcher.close();
+      watchers.delete(relativeDir);
+    });
+    watchers.set(relativeDir, watcher);
+
+    if (!recursive && relativeDir !== "") {
+      for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        if (entry.isDirectory()) refresh(path.posix.join(relativeDir, entry.name));
+      }
+    }
+  };
+
+  refresh("");
+  for (const dir of managedDirectories) refresh(dir);
+
+  return () => {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+  };
+}
+
+/**
+ * Sync content being authored into an installation, and with `watch`, keep
+ * it in sync as files change
+ *
+ * The first sync installs the directory. Later syncs only transform and
+ * write the files that changed, remove deleted ones and update their
+ * manifest entries; the rest of the tree is neither read nor hashed again.
+ * New files are picked up without regenerating file-list.json. Syncs take
+ * no snapshots, so the rollback history is left as it was. Changes are
+ * collected for `debounceMs` before a sync starts, and syncs never overlap.
+ *
+ * @example
+ * ```ts
+ * import { dev } from "@yoshixmk/everything-cursor";
+ *
+ * const session = await dev({ source: "../everything-claude-code", watch: true });
+ * // ... edit agents/*.md ...
+ * await session.close();
+ * ```
+ */
+export async function dev(options: DevOptions): Promise<DevSession> {
+  const {
+    source: sourceDir,
+    location = "local",
+    cwd = process.cwd(),
+    watch = false,
+    debounceMs = 200,
+    onSync,
+    onError,
+    onEvent,
+    ...installOptions
+  } = options;
+
+  const note = (message: string) =>
+    onEvent?.({ type: "info", operation: "dev", message });
+
+  const rootDir = path.resolve(cwd, sourceDir);
+  const directory = createDirectorySource(rootDir, true);
+  const contentRoot = fs.existsSync(path.join(rootDir, CONTENT_DIR))
+    ? path.join(rootDir, CONTENT_DIR)
+    : rootDir;
+
+  // The file list and checksums follow the changes, so a sync lists and
+  // reads only what changed
+  const files = new Set(await directory.listFiles());
+  const checksums = new Map<string, string>();
+  const hashFile = async (relativePath: string) => {
+    checksums.set(
+      relativePath,
+      calculateChecksumFromString(await directory.readFile(relativePath)),
+    );
+  };
+  for (const relativePath of files) await hashFile(relativePath);
+  const source: ContentSource = {
+    ...directory,
+    getVersion: () => Promise.resolve(directoryVersion(checksums)),
+    listFiles: () => Promise.resolve([...files].sort()),
+  };
+
+  // Changed paths may be files or whole directories; returns the content
+  // files they add, change or delete
+  const update = async (changed: string[]) => {
+    const affected = new Set<string>();
+    for (const changedPath of changed) {
+      for (const relativePath of files) {
+        if (
+          relativePath === changedPath ||
+          relativePath.startsWith(`${changedPath}/`)
+        ) {
+          files.delete(relativePath);
+          checksums.delete(relativePath);
+          affected.add(relativePath);
+        }
+      }
+      const stat = fs.statSync(path.join(contentRoot, changedPath), {
+        throwIfNoEntry: false,
+      });
+      const found = stat?.isDirectory()
+        ? walkFiles(contentRoot, changedPath, [managedExtension])
+        : stat?.isFile() &&
+            path.extname(changedPath).toLowerCase() === managedExtension
+        ? [changedPath]
+        : [];
+      for (const relativePath of found) {
+        await hashFile(relativePath);
+        files.add(relativePath);
+        affected.add(relativePath);
+      }
+    }
+    return affected;
+  };
+
+  // Syncs write only the affected files and take no snapshots; the first
+  // one installs everything
+  const sync = async (changed: string[], contentPaths?: Set<string>) => {
+    const result = await installContent(
+      { ...installOptions, location, cwd, source, onEvent },
+      { changed: contentPaths },
+    );
+    onSync?.(result, changed);
+    return result;
+  };
+
+  note(`Syncing ${contentRoot} into ${location}`);
+  const initial = await sync([]);
+  if (!watch) return { initial, close: () => Promise.resolve() };
+
+  const pending = new Set<string>();
+  // Content paths of failed syncs are tried again with the next one
+  const unsynced = new Set<string>();
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let running = Promise.resolve();
+  let closed = false;
+
+  const flush = () => {
+    timer = undefined;
+    const changed = [...pending].sort();
+    pending.clear();
+    running = running.then(async () => {
+      if (closed) return;
+      note(`Changed: ${changed.join(", ")}`);
+      try {
+        for (const relativePath of await update(changed)) {
+          unsynced.add(relativePath);
+        }
+        if (unsynced.size === 0) return;
+        await sync(changed, new Set(unsynced));
+        unsynced.clear();
+      } catch (error) {
+        onEvent?.({
+          type: "warning",
+          operation: "dev",
+          message: `Sync failed: ${
+            error instanceof Error ? error.message : String(error)
+          }`,
+        });
+        onError?.(error);
+      }
+    });
+  };
+
+  const stop = watchContent(contentRoot, (relativePath) => {
+    if (closed || !isContentChange(contentRoot, relativePath)) return;
+    pending.add(relativePath);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  });
+  note(`Watching ${contentRoot} for changes`);
+
+  return {
+    initial,
+    close: async () => {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      stop();
+      await running;
+    },
+  };
+}
+
+/**
+ * Check if everything-cursor is currently installed
+ *
+ * @example
+ * ```ts
+ * import { isInstalled } from "@yoshixmk/everything-cursor";
+ *
+ * const status = isInstalled();
+ * if (status.isInstalled) {
+ *   console.log(`Installed at: ${status.location}`);
+ *   console.log(`Version: ${status.version}`);
+ * }
+ *
+ * // Check an installation in an explicit directory
+ * isInstalled(process.cwd(), "packages/api/.cursor");
+ * ```
+ */
+export function isInstalled(
+  cwd: string = process.cwd(),
+  location: "local" | "home" | "all" | (string & {}) = "all",
+): InstallStatus {
+  const installations: Installation[] = [];
+  const warnings: string[] = [];
+  const candidates = location === "all" ? ["local", "home"] : [location];
+  for (const candidate of candidates) {
+    const manifestPath = path.join(
+      getInstallDir(candidate, cwd),
+      MANIFEST_FILE,
+    );
+    // In the home directory both scopes are the same installation
+    if (installations.some((found) => found.manifestPath === manifestPath)) {
+      continue;
+    }
+    try {
+      const installation = parseManifestStatus(
+        manifestPath,
+        candidate === "home" ? "home" : "local",
+      );
+      if (installation) installations.push(installation);
+    } catch (error) {
+      // Only the installation commands act on, the first found, must be
+      // readable; a corrupt one in the other scope is skipped
+      const unreadable = error instanceof ManifestCorruptError ||
+        error instanceof UnsupportedManifestError;
+      if (!unreadable || installations.length === 0) throw error;
+      warnings.push(`Skipped the ${candidate} installation: ${error.message}`);
+    }
+  }
+
+  const [first] = installations;
+  return {
+    isInstalled: first !== undefined,
+    location: first?.location,
+    manifestPath: first?.manifestPath,
+    version: first?.version,
+    installedAt: first?.installedAt,
+    fileCount: first?.fileCount,
+    installations,
+    duplicates: findDuplicates(cwd),
+    warnings,
+  };
+}
+
+/**
+ * Parse manifest file and return the installation it describes
+ * @internal
+ */
+function parseManifestStatus(
+  manifestPath: string,
+  location: "local" | "home",
+): Installation | null {
+  const manifest = loadManifestFromPath(manifestPath);
+  if (!manifest) return null;
+  return {
+    location,
+    installDir: path.dirname(manifestPath),
+    manifestPath,
+    version: installedContentVersion(manifest),
+    installedAt: manifest.installedAt,
+    fileCount: Object.keys(manifest.files).length,
+  };
+}
+
+/**
+ * List files that the local and home installations both hold with the same
+ * content; Cursor loads those twice. The check is skipped when either
+ * manifest is corrupt, and `warn` is told why.
+ * @internal
+ */
+function findDuplicates(
+  cwd: string,
+  warn: (message: string) => void = () => {},
+): string[] {
+  const localDir = getInstallDir("local", cwd);
+  const homeDir = getInstallDir("home", cwd);
+  if (localDir === homeDir) return [];
+
+  const read = (installDir: string) => {
+    try {
+      return loadManifestFromPath(path.join(installDir, MANIFEST_FILE));
+    } catch (error) {
+      if (
+        !(error instanceof ManifestCorruptError ||
+          error instanceof UnsupportedManifestError)
+      ) {
+        throw error;
+      }
+      warn(`Skipped the duplicate check: ${error.message}`);
+      return null;
+    }
+  };
+  const local = read(localDir);
+  const home = read(homeDir);
+  if (!local || !home) return [];
+
+  return Object.entries(local.files)
+    .filter(([key, info]) => home.files[key]?.checksum === info.checksum)
+    .map(([key]) => key)
+    .sort();
+}
+
+/**
+ * Load and validate manifest from a specific path, migrating older formats
+ * in memory. Returns null when there is no manifest.
+ * @internal
+ */
+function loadManifestFromPath(manifestPath: string): Manifest | null {
+  return readManifest(manifestPath)?.manifest ?? null;
+}
+
+/**
+ * Bring a manifest written by an older release or by the legacy
+ * scripts/cursor-install.mjs into the current schema. Returns the input
+ * unchanged when it already declares a schema version.
+ * @internal
+ */
+function migrateManifest(
+  raw: Record<string, unknown>,
+): { value: Record<string, unknown>; migrated: boolean } {
+  if (raw.schemaVersion !== undefined) return { value: raw, migrated: false };
+
+  // Installs on Windows recorded paths with backslashes
+  const toPosix = (value: string) => value.replaceAll("\\", "/");
+  const files = Object.fromEntries(
+    Object.entries(
+      typeof raw.files === "object" && raw.files !== null
+        ? raw.files as Record<string, Record<string, unknown>>
+        : {},
+    ).map(([key, info]) => [
+      toPosix(key),
+      typeof info?.source === "string"
+        ? { ...info, source: toPosix(info.source) }
+        : info,
+    ]),
+  );
+  const legacyScript = raw.submoduleGitHash !== undefined ||
+    Object.values(files).some((info) =>
+      typeof info?.source === "string" &&
+      info.source.startsWith(`${CONTENT_DIR}/`)
+    );
+
+  if (!legacyScript) {
+    return {
+      value: {
+        ...raw,
+        schemaVersion: MANIFEST_SCHEMA_VERSION,
+        migratedFrom: { format: "unversioned" },
+        ...(typeof raw.files === "object" && raw.files !== null
+          ? { files }
+          : {}),
+      },
+      migrated: true,
+    };
+  }
+
+  // The legacy script recorded sources relative to the package root and
+  // versioned the installation by the submodule commit
+  const { submoduleGitHash, submoduleGitTag, ...rest } = raw;
   return {
-    name,
-    version,
-    description,
-    managedDirectories,
-    managedExtension,
+    value: {
+      ...rest,
+      schemaVersion: MANIFEST_SCHEMA_VERSION,
+      version: "legacy",
+      migratedFrom: {
+        format: "legacy-script",
+        submoduleGitHash,
+        submoduleGitTag,
+      },
+      files: Object.fromEntries(
+        Object.entries(files).map(([key, info]) => [
+          key,
+          typeof info?.source === "string"
+            ? { ...info, source: info.source.replace(`${CONTENT_DIR}/`, "") }
+            : info,
+        ]),
+      ),
+    },
+    migrated: true,
   };
 }
 
 /**
- * Returns the package root URL.
- * Handles three cases:
- *   - JSR (https://): base URL is alongside mod.ts
- *   - npm dist/ (file://): package root is one level up from dist/
- *   - source (file://): package root is alongside mod.ts
+ * Check a manifest against the current schema and return it typed.
+ * Throws an error naming the manifest and the first problem found.
  * @internal
  */
-function getPackageBaseUrl(): URL {
-  if (!import.meta.url.startsWith("file://")) {
-    // JSR: use the directory containing mod.ts directly
-    return new URL("./", import.meta.url);
+function validateManifest(value: unknown, manifestPath: string): Manifest {
+  const fail = (reason: string): never => {
+    throw new ManifestCorruptError(manifestPath, reason);
+  };
+  const isObject = (v: unknown): v is Record<string, unknown> =>
+    typeof v === "object" && v !== null && !Array.isArray(v);
+  const isStringArray = (v: unknown): v is string[] =>
+    Array.isArray(v) && v.every((item) => typeof item === "string");
+  const optional = (
+    v: unknown,
+    check: (v: unknown) => boolean,
+    field: string,
+  ) => {
+    if (v !== undefined && !check(v)) fail(`invalid "${field}"`);
+  };
+  const isString = (v: unknown) => typeof v === "string";
+  const isChecksum = (v: unknown) =>
+    typeof v === "string" && /^[a-f0-9]{64}$/.test(v);
+
+  if (!isObject(value)) return fail("not a JSON object");
+  const m = value;
+
+  if (typeof m.schemaVersion !== "number" || !Number.isInteger(m.schemaVersion)) {
+    fail('missing or invalid "schemaVersion"');
   }
-  const moduleDir = path.dirname(fileURLToPath(import.meta.url));
-  // npm build output: dist/mod.js → package root is parent of dist/
-  const rootDir = path.basename(moduleDir) === "dist"
-    ? path.dirname(moduleDir)
-    : moduleDir;
-  return new URL(`file://${rootDir}/`);
+  if ((m.schemaVersion as number) > MANIFEST_SCHEMA_VERSION) {
+    throw new UnsupportedManifestError(manifestPath, m.schemaVersion as number);
+  }
+  if (typeof m.version !== "string" || m.version === "") {
+    fail('missing or invalid "version"');
+  }
+  optional(m.selectedLocation, isString, "selectedLocation");
+  optional(m.installPath, isString, "installPath");
+  optional(m.installedAt, isString, "installedAt");
+  optional(
+    m.selection,
+    (v) => isObject(v) && isStringArray(v.include) && isStringArray(v.exclude),
+    "selection",
+  );
+  optional(
+    m.stack,
+    (v) => isObject(v) && isStringArray(v.detected) && isStringArray(v.packs),
+    "stack",
+  );
+  optional(m.ruleFormat, (v) => v === "mdc" || v === "md", "ruleFormat");
+  optional(m.transforms, isStringArray, "transforms");
+  optional(
+    m.source,
+    (v) =>
+      isObject(v) && isString(v.name) && isString(v.version) &&
+      (v.spec === undefined || isString(v.spec)),
+    "source",
+  );
+  optional(
+    m.overlays,
+    (v) =>
+      Array.isArray(v) &&
+      v.every((overlay) =>
+        isObject(overlay) && isString(overlay.name) &&
+        isString(overlay.spec) && isString(overlay.version)
+      ),
+    "overlays",
+  );
+  optional(m.deny, isStringArray, "deny");
+  optional(
+    m.items,
+    (v) => isObject(v) && isStringArray(v.added) && isStringArray(v.removed),
+    "items",
+  );
+
+  if (!isObject(m.files)) return fail('missing or invalid "files"');
+  for (const [key, info] of Object.entries(m.files)) {
+    // Keys are joined onto the install dir, so they must stay inside it
+    if (
+      path.isAbsolute(key) || key.includes("\\") ||
+      key.split("/").some((segment) => segment === ".." || segment === "") ||
+      !/\.mdc?$/.test(key)
+    ) {
+      fail(`invalid file path "${key}"`);
+    }
+    if (!isObject(info)) return fail(`invalid entry for "${key}"`);
+    if (!isChecksum(info.checksum)) fail(`invalid checksum for "${key}"`);
+    if (!isString(info.installedAt)) fail(`invalid installedAt for "${key}"`);
+    optional(info.source, isString, `files.${key}.source`);
+    optional(info.layers, isStringArray, `files.${key}.layers`);
+    optional(info.transforms, isStringArray, `files.${key}.transforms`);
+    optional(info.sourceChecksum, isChecksum, `files.${key}.sourceChecksum`);
+    optional(info.baseChecksum, isChecksum, `files.${key}.baseChecksum`);
+  }
+
+  return m as unknown as Manifest;
 }
 
 /**
- * Read a source file from the package, working for both local (file://) and JSR (https://)
+ * Read, migrate and validate a manifest. Returns null when there is no
+ * manifest; throws when it cannot be read or does not match the schema.
  * @internal
  */
-async function readSourceFile(relativePath: string): Promise<string> {
-  const base = getPackageBaseUrl();
-  const url = new URL(relativePath, base);
+function readManifest(
+  manifestPath: string,
+): { manifest: Manifest; migrated: boolean } | null {
+  if (!fs.existsSync(manifestPath)) return null;
 
-  if (url.protocol === "file:") {
-    return fs.readFileSync(fileURLToPath(url), "utf-8");
-  }
-  const resp = await fetch(url.href);
-  if (!resp.ok) {
-    throw new Error(
-      `Failed to fetch ${url.href}: ${resp.status} ${resp.statusText}`,
+  let raw: unknown;
+  try {
+    raw = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch (error) {
+    throw new ManifestCorruptError(
+      manifestPath,
+      error instanceof Error ? error.message : String(error),
     );
   }
-  return await resp.text();
+
+  const { value, migrated } = typeof raw === "object" && raw !== null &&
+      !Array.isArray(raw)
+    ? migrateManifest(raw as Record<string, unknown>)
+    : { value: raw, migrated: false };
+  return { manifest: validateManifest(value, manifestPath), migrated };
 }
 
 /**
- * Load the published file list from file-list.json
+ * Rewrite a manifest in an older format in the current schema.
+ * Must be called while holding the lock.
  * @internal
  */
-async function loadFileList(): Promise<string[]> {
-  const raw = await readSourceFile("file-list.json");
-  return JSON.parse(raw) as string[];
+function migrateManifestFile(
+  installDir: string,
+  note: (message: string) => void,
+): void {
+  const manifestPath = path.join(installDir, MANIFEST_FILE);
+  const result = readManifest(manifestPath);
+  if (!result?.migrated) return;
+
+  writeFileAtomic(manifestPath, JSON.stringify(result.manifest, null, 2));
+  note(
+    `Migrated manifest from the ${
+      result.manifest.migratedFrom?.format
+    } format to schema version ${MANIFEST_SCHEMA_VERSION}`,
+  );
 }
 
 /**
- * Prompt the user to select an installation location
- * @internal
+ * Get paths of all installed files
+ *
+ * @example
+ * ```ts
+ * import { getInstalledPaths } from "@yoshixmk/everything-cursor";
+ *
+ * const files = getInstalledPaths();
+ * for (const file of files) {
+ *   console.log(`${file.relativePath} (installed at ${file.installedAt})`);
+ * }
+ * ```
  */
-async function promptInstallLocation(): Promise<"local" | "home"> {
-  const envLocation = process.env.CURSOR_INSTALL_LOCATION;
-  if (envLocation === "local" || envLocation === "home") {
-    console.log(`📍 Using ${envLocation} installation (from environment variable)`);
-    return envLocation;
+export function getInstalledPaths(
+  cwd: string = process.cwd(),
+  location?: "local" | "home" | (string & {}),
+): InstalledFile[] {
+  const status = isInstalled(cwd, location);
+
+  if (!status.isInstalled || !status.manifestPath || !status.location) {
+    return [];
   }
 
-  console.log("\n📍 Select installation location:");
-  console.log("  1) local  - Project local (.cursor/)");
-  console.log("  2) home   - Home directory (~/.cursor/)");
-  console.log("  3) cancel - Cancel installation\n");
+  const manifest = loadManifestFromPath(status.manifestPath);
+  const cursorDir = path.dirname(status.manifestPath);
 
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
+  return Object.entries(manifest?.files ?? {}).map(([key, fileInfo]) => ({
+    path: path.join(cursorDir, key),
+    relativePath: key,
+    source: fileInfo.source ?? key,
+    layers: fileInfo.layers ?? [BASE_LAYER],
+    installedAt: fileInfo.installedAt,
+    checksum: fileInfo.checksum,
+  }));
+}
 
-  const answer = await new Promise<string>((resolve) => {
-    rl.question("Enter your choice (1-3): ", (input) => {
-      rl.close();
-      resolve(input);
-    });
-  });
+/**
+ * Recursively list files with one of the given extensions below a directory,
+ * as paths relative to the base dir. Symlinks are ignored.
+ * @internal
+ */
+function walkFiles(
+  baseDir: string,
+  dir: string,
+  extensions: string[],
+): string[] {
+  const files: string[] = [];
 
-  switch (answer.trim()) {
-    case "1":
-      return "local";
-    case "2":
-      return "home";
-    case "3":
-      console.log("Installation cancelled");
-      process.exit(0);
-      break;
-    default:
-      console.log("Invalid choice, please try again");
-      return promptInstallLocation();
-  }
+  const walk = (current: string) => {
+    if (!fs.existsSync(current)) return;
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isSymbolicLink()) continue;
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (
+        entry.isFile() &&
+        extensions.includes(path.extname(entry.name).toLowerCase())
+      ) {
+        files.push(path.relative(baseDir, fullPath).replace(/\\/g, "/"));
+      }
+    }
+  };
+
+  walk(path.join(baseDir, dir));
+  return files;
 }
 
 /**
- * Calculate SHA-256 checksum of a string
+ * List installed-looking files (.md, and .mdc for rules) in the managed
+ * directories of an install dir
  * @internal
  */
-function calculateChecksumFromString(content: string): string {
-  return crypto.createHash("sha256").update(content, "utf-8").digest("hex");
+function listManagedFiles(installDir: string): string[] {
+  return managedDirectories
+    .flatMap((dir) => walkFiles(installDir, dir, [managedExtension, ".mdc"]))
+    .sort();
 }
 
 /**
- * Install everything-cursor settings programmatically
+ * Audit an installation against its manifest
+ *
+ * Every tracked file is classified as intact, modified or missing. Untracked
+ * files in the managed directories, stale backup manifests and manifests
+ * written by the legacy install script are reported as well.
  *
  * @example
  * ```ts
- * import { install } from "@yoshixmk/everything-cursor";
- *
- * // Install with default options (prompts for location)
- * await install();
+ * import { verify } from "@yoshixmk/everything-cursor";
  *
- * // Install to local .cursor directory
- * await install({ location: "local" });
- *
- * // Install silently to home directory
- * await install({ location: "home", silent: true });
+ * const result = verify();
+ * if (!result.ok) {
+ *   console.log(`Modified: ${result.modified.join(", ")}`);
+ *   console.log(`Missing: ${result.missing.join(", ")}`);
+ * }
  * ```
  */
-export async function install(options: InstallOptions = {}): Promise<void> {
-  const { location = "ask", silent = false, cwd = process.cwd() } = options;
-
-  const log = (...args: unknown[]) => {
-    if (!silent) console.log(...args);
-  };
-
-  log("📦 Installing everything-cursor...");
-
-  const selectedLocation: "local" | "home" = location === "ask"
-    ? await promptInstallLocation()
-    : location;
-
-  const installDir = selectedLocation === "local"
-    ? path.join(cwd, ".cursor")
-    : path.join(os.homedir(), ".cursor");
-
-  const manifestPath = path.join(installDir, MANIFEST_FILE);
-
-  // Load file list (from file system or JSR fetch)
-  const fileList = await loadFileList();
-
-  // Load existing manifest to check if update is needed
-  const existingManifest = loadManifestFromPath(manifestPath);
-  if (existingManifest?.version === version) {
-    log("✓ Already up to date");
-    log(`  Version: ${version}`);
-    log(`  Location: ${selectedLocation}`);
-    return;
+export function verify(
+  cwd: string = process.cwd(),
+  location?: "local" | "home" | (string & {}),
+): VerifyResult {
+  const status = isInstalled(cwd, location);
+  if (!status.isInstalled || !status.manifestPath || !status.location) {
+    throw new NotInstalledError(location);
   }
 
-  log(`📍 Installing to: ${selectedLocation} (${installDir})\n`);
-
-  if (!fs.existsSync(installDir)) {
-    fs.mkdirSync(installDir, { recursive: true });
-  }
+  const installDir = path.dirname(status.manifestPath);
+  const manifest = loadManifestFromPath(status.manifestPath);
+  const files = manifest?.files ?? {};
 
-  const newManifest: {
-    version: string;
-    selectedLocation: string;
-    installPath: string;
-    installedAt: string;
-    files: Record<string, ManifestFileInfo>;
-  } = {
-    version,
-    selectedLocation,
-    installPath: installDir,
-    installedAt: new Date().toISOString(),
-    files: {},
+  const result: VerifyResult = {
+    location: status.location,
+    installDir,
+    manifestPath: status.manifestPath,
+    version: manifest?.version ?? "",
+    intact: [],
+    modified: [],
+    missing: [],
+    untracked: [],
+    staleBackups: [],
+    legacyManifest: manifest?.migratedFrom?.format === "legacy-script",
+    duplicates: status.duplicates,
+    overlayFiles: {},
+    ok: true,
   };
 
-  let added = 0;
-  let updated = 0;
-
-  log("Processing .md files:");
-
-  for (const relativePath of fileList) {
-    const destPath = path.join(installDir, relativePath);
-    const existed = fs.existsSync(destPath);
-
-    const content = await readSourceFile(`./everything-claude-code/${relativePath}`);
-
-    fs.mkdirSync(path.dirname(destPath), { recursive: true });
-    fs.writeFileSync(destPath, content, "utf-8");
-
-    newManifest.files[relativePath] = {
-      installedAt: new Date().toISOString(),
-      checksum: calculateChecksumFromString(content),
-    };
-
-    if (existed) {
-      log(`  ✓ ${relativePath} (updated)`);
-      updated++;
+  for (const [key, info] of Object.entries(files)) {
+    if (info.layers?.some((layer) => layer !== BASE_LAYER)) {
+      result.overlayFiles[key] = info.layers;
+    }
+    const filePath = path.join(installDir, key);
+    if (!fs.existsSync(filePath)) {
+      result.missing.push(key);
+    } else if (isModifiedFile(fs.readFileSync(filePath, "utf-8"), info)) {
+      result.modified.push(key);
     } else {
-      log(`  ✓ ${relativePath} (added)`);
-      added++;
+      result.intact.push(key);
     }
   }
 
-  // Remove files that were previously installed but are no longer in the file list
-  if (existingManifest?.files) {
-    for (const key of Object.keys(existingManifest.files)) {
-      if (!newManifest.files[key]) {
-        const filePath = path.join(installDir, key);
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          log(`  ✗ ${key} (removed)`);
-        }
-      }
-    }
-  }
+  result.untracked = listManagedFiles(installDir).filter((key) =>
+    !files[key]
+  );
 
-  fs.writeFileSync(manifestPath, JSON.stringify(newManifest, null, 2));
+  const backupPath = path.join(installDir, LEGACY_MANIFEST_BACKUP_FILE);
+  if (fs.existsSync(backupPath)) result.staleBackups.push(backupPath);
 
-  log("\n" + "─".repeat(40));
-  if (updated > 0) log(`  ${updated} file(s) updated`);
-  if (added > 0) log(`  ${added} file(s) added`);
-  log("─".repeat(40));
-  log("✅ Installation complete!");
-  log(`  Version: ${version}`);
-  log(`  Installed to: ${selectedLocation}`);
+  result.ok = result.modified.length === 0 && result.missing.length === 0;
+  return result;
 }
 
 /**
- * Uninstall everything-cursor settings programmatically
+ * Find the install dir of the current installation
+ * @internal
+ */
+function findInstallDir(
+  cwd: string,
+  location: "local" | "home" | "all" | (string & {}) = "all",
+): string {
+  const status = isInstalled(cwd, location);
+  if (!status.isInstalled || !status.manifestPath) {
+    throw new NotInstalledError(location);
+  }
+  return path.dirname(status.manifestPath);
+}
+
+/**
+ * List the snapshots of previous installations, newest first
  *
  * @example
  * ```ts
- * import { uninstall } from "@yoshixmk/everything-cursor";
+ * import { listSnapshots } from "@yoshixmk/everything-cursor";
  *
- * // Uninstall with default options
- * await uninstall();
+ * for (const snapshot of listSnapshots()) {
+ *   console.log(`${snapshot.version} (${snapshot.createdAt})`);
+ * }
+ * ```
+ */
+export function listSnapshots(
+  cwd: string = process.cwd(),
+  location?: "local" | "home" | (string & {}),
+): SnapshotInfo[] {
+  return readSnapshots(findInstallDir(cwd, location)).map((record) => ({
+    id: record.id,
+    version: record.version,
+    createdAt: record.createdAt,
+    fileCount: Object.keys(record.files).length,
+  }));
+}
+
+/**
+ * Roll back to a previous installation
+ *
+ * Restores the file contents and manifest of the most recent snapshot, or of
+ * the newest snapshot of the requested version. The restored snapshot and any
+ * newer ones are removed from the store, so repeated rollbacks walk further
+ * back in history.
+ *
+ * @example
+ * ```ts
+ * import { rollback } from "@yoshixmk/everything-cursor";
  *
- * // Uninstall silently
- * await uninstall({ silent: true });
+ * // Undo the last install or upgrade
+ * await rollback();
+ *
+ * // Go back to a specific version
+ * await rollback({ to: "0.0.7" });
  * ```
  */
-export async function uninstall(options: UninstallOptions = {}): Promise<void> {
-  await Promise.resolve();
+export async function rollback(
+  options: RollbackOptions = {},
+): Promise<SnapshotInfo> {
+  const {
+    to,
+    cwd = process.cwd(),
+    location,
+    onConflict = "keep",
+    onEvent,
+  } = options;
 
-  const { silent = false, cwd = process.cwd() } = options;
+  const emit = (event: ProgressEvent) => onEvent?.(event);
+  const note = (message: string) =>
+    emit({ type: "info", operation: "rollback", message });
 
-  const log = (...args: unknown[]) => {
-    if (!silent) console.log(...args);
-  };
+  const installation = isInstalled(cwd, location ?? "all").installations[0];
+  if (!installation) throw new NotInstalledError(location);
+  const { installDir } = installation;
+  const releaseLock = await acquireLock(installDir);
+  try {
+    recoverInterruptedCommit(installDir, note);
+    migrateManifestFile(installDir, note);
+    emit({
+      type: "start",
+      operation: "rollback",
+      location: installation.location,
+      installDir,
+    });
+    const result = restoreFromSnapshots(installDir, to, onConflict, emit);
+    emit({ type: "done", operation: "rollback", result });
+    return result;
+  } finally {
+    releaseLock();
+  }
+}
+
+/**
+ * Restore the newest snapshot (of a version, if given) and drop it and any
+ * newer snapshots from the store
+ * @internal
+ */
+function restoreFromSnapshots(
+  installDir: string,
+  to: string | undefined,
+  onConflict: ConflictPolicy,
+  emit: (event: ProgressEvent) => void,
+): SnapshotInfo {
+  const snapshots = readSnapshots(installDir);
+  const index = to === undefined
+    ? 0
+    : snapshots.findIndex((record) => record.version === to);
+  const target = snapshots[index];
+
+  if (!target) {
+    throw new UsageError(
+      to === undefined
+        ? "No snapshot found to roll back to"
+        : `No snapshot found for version ${to}`,
+    );
+  }
 
-  // Check local first, then home
-  const localManifestPath = path.join(cwd, ".cursor", MANIFEST_FILE);
-  const homeManifestPath = path.join(os.homedir(), ".cursor", MANIFEST_FILE);
+  const current = loadManifestFromPath(path.join(installDir, MANIFEST_FILE));
+  emit({
+    type: "info",
+    operation: "rollback",
+    message: `Rolling back from ${current ? installedContentVersion(current) : "unknown"} to ${target.version} (${target.createdAt})`,
+  });
 
-  let manifestPath: string;
-  let installDir: string;
+  restoreSnapshot(installDir, target, onConflict, emit);
+  deleteSnapshots(installDir, snapshots.slice(0, index + 1));
 
-  if (fs.existsSync(localManifestPath)) {
-    manifestPath = localManifestPath;
-    installDir = path.join(cwd, ".cursor");
-  } else if (fs.existsSync(homeManifestPath)) {
-    manifestPath = homeManifestPath;
-    installDir = path.join(os.homedir(), ".cursor");
-  } else {
-    console.error("✗ everything-cursor is not installed");
-    process.exit(1);
+  return {
+    id: target.id,
+    version: target.version,
+    createdAt: target.createdAt,
+    fileCount: Object.keys(target.files).length,
+  };
+}
+
+/**
+ * Read every item of a content source, with its status in the installation
+ * and, when withText is set, its full text for searching. Items fully
+ * described by the source's content index are built without reading them.
+ * @internal
+ */
+async function buildCatalog(
+  options: CatalogOptions,
+  withText = false,
+): Promise<Array<{ item: CatalogItem; text: string }>> {
+  const { cwd = process.cwd(), location } = options;
+  const source = typeof options.source === "object"
+    ? options.source
+    : createContentSource(options.source ?? "package", cwd, {
+      offline: options.offline,
+    });
+
+  // Installed files that still exist, keyed by the content path they came from
+  const installed = new Map<string, { key: string; modified: boolean }>();
+  const installation = isInstalled(cwd, location ?? "all").installations[0];
+  if (installation) {
+    const manifest = loadManifestFromPath(installation.manifestPath);
+    for (const [key, info] of Object.entries(manifest?.files ?? {})) {
+      const filePath = path.join(installation.installDir, key);
+      if (!fs.existsSync(filePath)) continue;
+      installed.set(info.source ?? key, {
+        key,
+        modified: isModifiedFile(fs.readFileSync(filePath, "utf-8"), info),
+      });
+    }
   }
 
-  const manifest = loadManifestFromPath(manifestPath);
-  if (!manifest?.files) {
-    console.error("✗ Invalid or missing manifest");
-    process.exit(1);
+  const grouped = new Map<string, string[]>();
+  for (const relativePath of await source.listFiles()) {
+    const id = itemIdOf(relativePath);
+    if (id) grouped.set(id, [...(grouped.get(id) ?? []), relativePath]);
   }
 
-  log("🗑️  Uninstalling everything-cursor...");
+  const index = withText ? null : await source.getIndex?.();
 
-  let removed = 0;
-  for (const key of Object.keys(manifest.files)) {
-    const filePath = path.join(installDir, key);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      log(`  ✗ ${key}`);
-      removed++;
+  const catalog = await mapConcurrent([...grouped], FETCH_CONCURRENCY, async (
+    [id, files],
+  ): Promise<{ item: CatalogItem; text: string }> => {
+    // A skill is described by its SKILL.md; other items are a single file
+    const mainIndex = Math.max(
+      0,
+      files.findIndex((file) => path.posix.basename(file) === "SKILL.md"),
+    );
+    const entries = files.map((file) => index?.files[file]);
+    let details: Pick<CatalogItem, "name" | "description" | "tools" | "headings" | "size">;
+    let text = "";
+
+    if (entries.every((entry) => entry !== undefined)) {
+      const main = entries[mainIndex];
+      details = {
+        name: main.name ?? id.split("/").pop()!,
+        description: main.description,
+        tools: main.tools,
+        headings: main.headings ?? [],
+        size: entries.reduce((total, entry) => total + entry.size, 0),
+      };
+    } else {
+      const contents = await Promise.all(
+        files.map((file) => source.readFile(file)),
+      );
+      const { data, body } = parseFrontmatter(contents[mainIndex]);
+      details = {
+        name: typeof data.name === "string" ? data.name : id.split("/").pop()!,
+        description: typeof data.description === "string"
+          ? data.description
+          : undefined,
+        tools: typeof data.tools === "string"
+          ? data.tools.split(",").map((tool) => tool.trim()).filter(Boolean)
+          : data.tools,
+        headings: [
+          ...body.replace(/^```[\s\S]*?^```/gm, "").matchAll(/^#{1,3}\s+(.+?)\s*$/gm),
+        ].map((match) => match[1]),
+        size: contents.reduce(
+          (total, content) => total + Buffer.byteLength(content, "utf-8"),
+          0,
+        ),
+      };
+      text = contents.join("\n").toLowerCase();
     }
-  }
 
-  fs.unlinkSync(manifestPath);
+    const installedFiles = files
+      .map((file) => installed.get(file))
+      .filter((entry) => entry !== undefined);
+
+    return {
+      item: {
+        id,
+        category: id.split("/")[0] as CatalogItem["category"],
+        ...details,
+        files,
+        installed: installedFiles.length > 0,
+        installedPaths: installedFiles.map((entry) => entry.key),
+        modified: installedFiles.some((entry) => entry.modified),
+      },
+      text,
+    };
+  });
 
-  log("\n✅ Uninstallation complete!");
-  log(`  ${removed} file(s) removed`);
+  return catalog.sort((a, b) => a.item.id.localeCompare(b.item.id));
 }
 
 /**
- * Check if everything-cursor is currently installed
+ * List the agents, skills, commands and rules of the content, with whether
+ * each one is installed and locally modified
  *
  * @example
  * ```ts
- * import { isInstalled } from "@yoshixmk/everything-cursor";
+ * import { listCatalog } from "@yoshixmk/everything-cursor";
  *
- * const status = isInstalled();
- * if (status.isInstalled) {
- *   console.log(`Installed at: ${status.location}`);
- *   console.log(`Version: ${status.version}`);
+ * for (const item of await listCatalog({ category: "agents" })) {
+ *   console.log(`${item.name}: ${item.description ?? ""}`);
  * }
  * ```
  */
-export function isInstalled(cwd: string = process.cwd()): InstallStatus {
-  const localManifestPath = path.join(cwd, ".cursor", MANIFEST_FILE);
-  if (fs.existsSync(localManifestPath)) {
-    return parseManifestStatus(localManifestPath, "local");
-  }
-
-  const homeManifestPath = path.join(os.homedir(), ".cursor", MANIFEST_FILE);
-  if (fs.existsSync(homeManifestPath)) {
-    return parseManifestStatus(homeManifestPath, "home");
-  }
-
-  return { isInstalled: false };
+export async function listCatalog(
+  options: CatalogOptions = {},
+): Promise<CatalogItem[]> {
+  const catalog = await buildCatalog(options);
+  return catalog
+    .map(({ item }) => item)
+    .filter((item) => !options.category || item.category === options.category);
 }
 
 /**
- * Parse manifest file and return installation status
- * @internal
+ * Search the content for items containing every word of a query. Matches in
+ * the id or name rank first, then the description, then the headings, then
+ * the rest of the text.
+ *
+ * @example
+ * ```ts
+ * import { searchCatalog } from "@yoshixmk/everything-cursor";
+ *
+ * const results = await searchCatalog("postgres");
+ * console.log(results.map((item) => item.id));
+ * ```
  */
-function parseManifestStatus(
-  manifestPath: string,
-  location: "local" | "home",
-): InstallStatus {
-  try {
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
-    return {
-      isInstalled: true,
-      location,
-      manifestPath,
-      version: manifest.version,
-      installedAt: manifest.installedAt,
-      fileCount: Object.keys(manifest.files || {}).length,
-    };
-  } catch {
-    return { isInstalled: false };
-  }
-}
+export async function searchCatalog(
+  query: string,
+  options: CatalogOptions = {},
+): Promise<CatalogItem[]> {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) throw new UsageError("Search query is empty");
 
-/**
- * Load and validate manifest from a specific path
- * @internal
- */
-function loadManifestFromPath(manifestPath: string): {
-  version: string;
-  files: Record<string, ManifestFileInfo>;
-} | null {
-  if (!fs.existsSync(manifestPath)) return null;
-  try {
-    const content = fs.readFileSync(manifestPath, "utf-8");
-    const manifest = JSON.parse(content);
-    if (!manifest.version || typeof manifest.files !== "object") return null;
-    return manifest;
-  } catch {
-    return null;
+  const scored: Array<{ item: CatalogItem; score: number }> = [];
+  for (const { item, text } of await buildCatalog(options, true)) {
+    if (options.category && item.category !== options.category) continue;
+    const fields = [
+      { text: `${item.id} ${item.name}`.toLowerCase(), weight: 8 },
+      { text: (item.description ?? "").toLowerCase(), weight: 4 },
+      {
+        text: [...item.headings, ...(item.tools ?? [])].join(" ").toLowerCase(),
+        weight: 2,
+      },
+      { text, weight: 1 },
+    ];
+    let score = 0;
+    for (const term of terms) {
+      const termScore = Math.max(
+        ...fields.map((field) => field.text.includes(term) ? field.weight : 0),
+      );
+      if (termScore === 0) {
+        score = 0;
+        break;
+      }
+      score += termScore;
+    }
+    if (score > 0) scored.push({ item, score });
   }
+
+  return scored
+    .sort((a, b) => b.score - a.score || a.item.id.localeCompare(b.item.id))
+    .map(({ item }) => item);
 }
 
 /**
- * Get paths of all installed files
+ * Look up one item by id ("skills/postgres-patterns", "agents/planner.md")
+ * or, when unambiguous, by name alone ("postgres-patterns")
  *
  * @example
  * ```ts
- * import { getInstalledPaths } from "@yoshixmk/everything-cursor";
+ * import { getCatalogItem } from "@yoshixmk/everything-cursor";
  *
- * const files = getInstalledPaths();
- * for (const file of files) {
- *   console.log(`${file.relativePath} (installed at ${file.installedAt})`);
- * }
+ * const item = await getCatalogItem("skills/postgres-patterns");
+ * console.log(item.description, item.installed, item.modified);
  * ```
  */
-export function getInstalledPaths(
-  cwd: string = process.cwd(),
-): InstalledFile[] {
-  const status = isInstalled(cwd);
-
-  if (!status.isInstalled || !status.manifestPath || !status.location) {
-    return [];
-  }
+export async function getCatalogItem(
+  id: string,
+  options: CatalogOptions = {},
+): Promise<CatalogItem> {
+  const items = (await buildCatalog(options)).map(({ item }) => item);
+  const wanted = itemIdOf(id.replace(/\/+$/, ""));
+  const exact = items.find((item) => item.id === wanted);
+  if (exact) return exact;
 
-  try {
-    const manifest = JSON.parse(fs.readFileSync(status.manifestPath, "utf-8"));
-    const cursorDir = status.location === "local"
-      ? path.join(cwd, ".cursor")
-      : path.join(os.homedir(), ".cursor");
-
-    return Object.entries<ManifestFileInfo>(manifest.files || {}).map((
-      [key, fileInfo],
-    ) => ({
-      path: path.join(cursorDir, key),
-      relativePath: key,
-      installedAt: fileInfo.installedAt,
-      checksum: fileInfo.checksum,
-    }));
-  } catch {
-    return [];
+  const named = items.filter((item) =>
+    item.name === id || item.id.split("/").pop() === id
+  );
+  if (named.length === 1) return named[0];
+  if (named.length > 1) {
+    throw new UsageError(
+      `"${id}" is ambiguous: ${named.map((item) => item.id).join(", ")}`,
+    );
   }
+  throw new UsageError(`No agent, skill, command or rule named "${id}"`);
 }
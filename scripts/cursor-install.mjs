@@ -58,6 +58,8 @@ const CURSOR_DIR_LOCAL = path.join(REPO_ROOT, ".cursor");
 const CURSOR_DIR_HOME = path.join(os.homedir(), ".cursor");
 const MANIFEST_FILE = ".everything-cursor-manifest.json";
 const MANIFEST_BACKUP_FILE = ".everything-cursor-manifest.backup.json";
+// Shared with mod.ts; see docs/MANIFEST_SPEC.md
+const MANIFEST_SCHEMA_VERSION = 1;
 const DIRS_TO_COPY = ["agents", "skills", "commands", "rules"];
 
 // Statistics tracking
@@ -117,8 +119,8 @@ async function installWithPreservation() {
   const manifestPath = getManifestPath(selectedLocation);
 
   // Check if update is needed
-  if (manifest && manifest.submoduleGitHash === currentHash) {
-    const version = manifest.submoduleGitTag || currentHash.slice(0, 7);
+  if (manifest && getInstalledRevision(manifest) === currentHash) {
+    const version = describeVersion(manifest);
     console.log(color.green("✓ Already up to date"));
     console.log(color.blue(`  Submodule version: ${version}`));
     console.log(color.blue(`  Location: ${selectedLocation}`));
@@ -126,9 +128,7 @@ async function installWithPreservation() {
   }
 
   // Display update information
-  const oldVersion = manifest?.submoduleGitTag ||
-    manifest?.submoduleGitHash?.slice(0, 7) ||
-    "initial";
+  const oldVersion = describeVersion(manifest) || "initial";
   const newVersion = currentTag || currentHash.slice(0, 7);
   console.log(color.cyan(`🔄 Updating: ${oldVersion} → ${newVersion}`));
   console.log(
@@ -147,12 +147,12 @@ async function installWithPreservation() {
 
   // Create new manifest
   const newManifest = {
-    version: "1.0.0",
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    version: getPackageVersion(),
     selectedLocation: selectedLocation,
     installPath: installDir,
     installedAt: new Date().toISOString(),
-    submoduleGitHash: currentHash,
-    submoduleGitTag: currentTag || undefined,
+    source: { name: "submodule", version: currentHash },
     files: {},
   };
 
@@ -198,7 +198,7 @@ async function installWithPreservation() {
 
         // Add to manifest
         newManifest.files[manifestKey] = {
-          source: path.relative(PACKAGE_ROOT, file),
+          source: manifestKey,
           installedAt: new Date().toISOString(),
           checksum: calculateChecksum(file),
         };
@@ -316,10 +316,8 @@ function performRollback() {
     : null;
 
   // Display version information
-  const currentVersion = currentManifest?.submoduleGitTag ||
-    currentManifest?.submoduleGitHash?.slice(0, 7) || "unknown";
-  const backupVersion = backupManifest.submoduleGitTag ||
-    backupManifest.submoduleGitHash?.slice(0, 7) || "unknown";
+  const currentVersion = describeVersion(currentManifest) || "unknown";
+  const backupVersion = describeVersion(backupManifest) || "unknown";
 
   console.log(color.blue(`  Current: ${currentVersion}`));
   console.log(color.blue(`  Rollback to: ${backupVersion}`));
@@ -494,6 +492,38 @@ function getGitHash() {
   }
 }
 
+/**
+ * Get the package version, recorded as the manifest version
+ */
+function getPackageVersion() {
+  try {
+    const packageJsonPath = path.join(PACKAGE_ROOT, "package.json");
+    return JSON.parse(fs.readFileSync(packageJsonPath, "utf-8")).version;
+  } catch (_error) {
+    return "unknown";
+  }
+}
+
+/**
+ * Get the submodule revision a manifest was installed from, in either the
+ * current schema or the format written before schema versions existed
+ */
+function getInstalledRevision(manifest) {
+  return manifest?.source?.name === "submodule"
+    ? manifest.source.version
+    : manifest?.submoduleGitHash;
+}
+
+/**
+ * Describe the installed submodule revision for display
+ */
+function describeVersion(manifest) {
+  const revision = getInstalledRevision(manifest);
+  if (!revision) return undefined;
+  return manifest.submoduleGitTag ||
+    (/^[a-f0-9]{40}$/i.test(revision) ? revision.slice(0, 7) : revision);
+}
+
 /**
  * Get git tag from submodule (if available)
  */
@@ -618,6 +648,12 @@ function loadManifestFromPath(manifestPath) {
       throw new Error("Invalid manifest structure");
     }
 
+    if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+      throw new Error(
+        `Unsupported manifest schema version: ${manifest.schemaVersion}`,
+      );
+    }
+
     // Validate selectedLocation field
     if (
       manifest.selectedLocation &&
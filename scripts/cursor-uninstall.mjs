@@ -82,8 +82,10 @@ try {
 }
 
 // Display version information
+// Manifests written before schema versions recorded the submodule directly
+const revision = manifest.source?.version ?? manifest.submoduleGitHash;
 const version = manifest.submoduleGitTag ||
-  manifest.submoduleGitHash?.slice(0, 7) || "unknown";
+  revision?.slice(0, 7) || "unknown";
 console.log(color.blue(`Installed version: ${version}`));
 console.log(
   color.cyan(`Removing ${Object.keys(manifest.files).length} file(s)...\n`),
@@ -1,19 +1,34 @@
 #!/usr/bin/env node
 /**
  * generate-file-list.mjs
- * Generates file-list.json with all .md files published to JSR
+ * Validates the content and generates file-list.json with all .md files
+ * published to JSR, plus content-index.json with per-file metadata
  * Run this script before publishing to JSR
+ *
+ * Usage: node scripts/generate-file-list.mjs [--check]
+ *   --check  Validate only, without writing any file
  */
 
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { parseFrontmatter } from "../frontmatter.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const REPO_ROOT = path.resolve(__dirname, "..");
 const DIRS = ["agents", "skills", "commands", "rules"];
 const SUBMODULE_PATH = path.join(REPO_ROOT, "everything-claude-code");
+const INDEX_VERSION = 1;
+
+// Frontmatter fields every file of a category must declare
+const REQUIRED_FIELDS = {
+  agents: ["name", "description"],
+  skills: ["name", "description"],
+  commands: ["description"],
+  rules: [],
+};
 
 function getMdFiles(dir, baseDir) {
   const files = [];
@@ -32,16 +47,123 @@ function getMdFiles(dir, baseDir) {
   return files;
 }
 
-const result = {};
-for (const dir of DIRS) {
-  const sourceDir = path.join(SUBMODULE_PATH, dir);
-  const files = getMdFiles(sourceDir, SUBMODULE_PATH);
-  for (const f of files) {
-    result[f] = true;
+// "agents/planner", "skills/tdd-workflow" for any file of that skill
+function itemIdOf(relativePath) {
+  const parts = relativePath.split("/");
+  if (parts[0] === "skills") return `skills/${parts[1]}`;
+  return relativePath.replace(/\.md$/, "");
+}
+
+// Section headings outside fenced code blocks
+function headingsOf(body) {
+  return [
+    ...body.replace(/^```[\s\S]*?^```/gm, "").matchAll(/^#{1,3}\s+(.+?)\s*$/gm),
+  ].map((match) => match[1]);
+}
+
+const fileList = DIRS.flatMap((dir) =>
+  getMdFiles(path.join(SUBMODULE_PATH, dir), SUBMODULE_PATH)
+).sort();
+const published = new Set(fileList);
+
+const problems = [];
+const report = (file, message) => problems.push(`${file}: ${message}`);
+
+const files = {};
+const names = new Map();
+for (const relativePath of fileList) {
+  const raw = fs.readFileSync(path.join(SUBMODULE_PATH, relativePath));
+  const content = raw.toString("utf-8");
+  const category = relativePath.split("/")[0];
+  const item = itemIdOf(relativePath);
+  // Only the SKILL.md of a skill describes it; other files are resources
+  const isMain = category !== "skills" ||
+    path.posix.basename(relativePath) === "SKILL.md";
+
+  const { data, body, problems } = parseFrontmatter(content);
+  if (problems.length > 0) {
+    for (const problem of problems) report(relativePath, problem);
+  } else {
+    if (body.trim() === "") report(relativePath, "file has no content");
+    if (isMain) {
+      for (const field of REQUIRED_FIELDS[category]) {
+        if (typeof data[field] !== "string" || data[field] === "") {
+          report(relativePath, `missing required frontmatter field "${field}"`);
+        }
+      }
+    }
+
+    // Names are how Cursor and other items refer to agents and skills
+    if (
+      isMain && typeof data.name === "string" &&
+      (category === "agents" || category === "skills")
+    ) {
+      const key = `${category}/${data.name}`;
+      if (names.has(key)) {
+        report(relativePath, `duplicate ${category} name "${data.name}" (also in ${names.get(key)})`);
+      } else {
+        names.set(key, relativePath);
+      }
+    }
+
+    // Relative links must point at files that are published too
+    for (const [, target] of body.matchAll(/\]\((\.{1,2}\/[^)\s#]+\.md)(?:#[^)\s]*)?\)/g)) {
+      const resolved = path.posix.normalize(
+        path.posix.join(path.posix.dirname(relativePath), target),
+      );
+      if (DIRS.includes(resolved.split("/")[0]) && !published.has(resolved)) {
+        report(relativePath, `broken link to ${target}`);
+      }
+    }
+  }
+
+  const tools = typeof data?.tools === "string"
+    ? data.tools.split(",").map((tool) => tool.trim()).filter(Boolean)
+    : data?.tools;
+  files[relativePath] = {
+    sha256: crypto.createHash("sha256").update(raw).digest("hex"),
+    size: raw.length,
+    category,
+    item,
+    ...(isMain && typeof data?.name === "string" ? { name: data.name } : {}),
+    ...(isMain && typeof data?.description === "string"
+      ? { description: data.description }
+      : {}),
+    ...(isMain && tools?.length ? { tools } : {}),
+    ...(isMain && body ? { headings: headingsOf(body) } : {}),
+  };
+}
+
+// Every skill directory needs a SKILL.md describing it
+const skillsDir = path.join(SUBMODULE_PATH, "skills");
+if (fs.existsSync(skillsDir)) {
+  for (const entry of fs.readdirSync(skillsDir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    if (!published.has(`skills/${entry.name}/SKILL.md`)) {
+      report(`skills/${entry.name}/`, "skill directory has no SKILL.md");
+    }
   }
 }
 
-const fileList = Object.keys(result).sort();
+if (problems.length > 0) {
+  console.error(`✗ ${problems.length} content problem(s) found:`);
+  for (const problem of problems) console.error(`  ${problem}`);
+  process.exit(1);
+}
+
+if (process.argv.includes("--check")) {
+  console.log(`✓ ${fileList.length} files validated`);
+  process.exit(0);
+}
+
+const packageVersion = JSON.parse(
+  fs.readFileSync(path.join(REPO_ROOT, "package.json"), "utf-8"),
+).version;
+
 const output = path.join(REPO_ROOT, "file-list.json");
 fs.writeFileSync(output, JSON.stringify(fileList, null, 2) + "\n");
-console.log(`Generated file-list.json with ${fileList.length} files`);
+const indexOutput = path.join(REPO_ROOT, "content-index.json");
+const index =
+  JSON.stringify({ version: INDEX_VERSION, packageVersion, files }, null, 2) + "\n";
+fs.writeFileSync(indexOutput, index);
+console.log(`Generated file-list.json and content-index.json with ${fileList.length} files`);
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * pin-content-index.mjs
+ * Writes the SHA-256 of content-index.json into content-pin.ts, which ships
+ * with the release, so JSR installs can check the index they download
+ * Run this script after generate-file-list.mjs when preparing a release
+ *
+ * Usage: node scripts/pin-content-index.mjs [--check]
+ *   --check  Fail unless content-pin.ts pins the current content-index.json
+ */
+
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const INDEX_PATH = path.join(REPO_ROOT, "content-index.json");
+const PIN_PATH = path.join(REPO_ROOT, "content-pin.ts");
+
+if (!fs.existsSync(INDEX_PATH)) {
+  console.error("✗ content-index.json not found; run npm run generate first");
+  process.exit(1);
+}
+const sha256 = crypto.createHash("sha256")
+  .update(fs.readFileSync(INDEX_PATH))
+  .digest("hex");
+
+if (process.argv.includes("--check")) {
+  const pinned = fs.readFileSync(PIN_PATH, "utf-8")
+    .match(/^export const contentIndexSha256 = "([0-9a-f]*)";$/m)?.[1];
+  if (!pinned) {
+    console.error("✗ content-pin.ts pins no content index; run npm run pin and commit it");
+    process.exit(1);
+  }
+  if (pinned !== sha256) {
+    console.error(
+      `✗ content-pin.ts pins ${pinned}, but content-index.json is ${sha256}; run npm run pin and commit it`,
+    );
+    process.exit(1);
+  }
+  console.log(`✓ content-index.json is pinned (sha256 ${sha256})`);
+  process.exit(0);
+}
+
+fs.writeFileSync(
+  PIN_PATH,
+  `/**
+ * SHA-256 of the content-index.json published with this version, written by
+ * scripts/pin-content-index.mjs when a release is prepared. JSR installs
+ * check the downloaded index against it; empty means unpinned, as in a
+ * checkout, where the content is read from disk.
+ * @module
+ */
+export const contentIndexSha256 = "${sha256}";
+`,
+);
+console.log(`Pinned content-index.json in content-pin.ts (sha256 ${sha256})`);
@@ -0,0 +1,157 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  type CatalogOptions,
+  getCatalogItem,
+  install,
+  listCatalog,
+  searchCatalog,
+  UsageError,
+} from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const PLANNER = `---
+name: planner
+description: Plans features
+tools: Read, Grep
+---
+# Planning
+Check the schema with postgres first.
+
+\`\`\`sh
+# not a heading
+\`\`\`
+
+## Steps
+`;
+
+// Content with every kind of item; the agents are installed and the
+// planner is modified afterwards
+async function createCatalog(fixture: Fixture): Promise<CatalogOptions> {
+  fixture.writeSource("agents/planner.md", PLANNER);
+  fixture.writeSource("agents/reviewer.md", agent("reviewer", "review"));
+  fixture.writeSource("commands/plan.md", "# Plan\n");
+  fixture.writeSource("skills/postgres/SKILL.md", agent("postgres", "# Queries"));
+  fixture.writeSource("skills/postgres/examples/join.md", "select 1;\n");
+  fixture.writeSource("rules/common/testing.md", "# Testing\n");
+  fixture.writeSource("rules/golang/testing.md", "# Go testing\n");
+  await install({
+    location: "local",
+    cwd: fixture.project,
+    source: fixture.source,
+    include: ["agents/**"],
+  });
+  fixture.writeInstalled("agents/planner.md", "edited\n");
+  return { source: fixture.source, cwd: fixture.project };
+}
+
+describe("catalog", () => {
+  it("reads folded, literal and continued descriptions", async () => {
+    const fixture = createFixture();
+    fixture.writeSource(
+      "agents/folded.md",
+      "---\nname: folded\ndescription: >\n  Plans the work\n  step by step.\n\n  Then reviews it.\n---\n\nBody\n",
+    );
+    fixture.writeSource(
+      "agents/literal.md",
+      "---\nname: literal\ndescription: |-\n  First line\n  Second line\n---\n\nBody\n",
+    );
+    fixture.writeSource(
+      "agents/plain.md",
+      "---\nname: plain\ndescription: Reviews code\n  for security issues\ntools:\n- Read\n- Grep\n---\n\nBody\n",
+    );
+
+    const items = await listCatalog({ source: fixture.source, cwd: fixture.project });
+
+    assert.deepEqual(
+      items.map(({ name, description, tools }) => ({ name, description, tools })),
+      [
+        {
+          name: "folded",
+          description: "Plans the work step by step.\nThen reviews it.",
+          tools: undefined,
+        },
+        { name: "literal", description: "First line\nSecond line", tools: undefined },
+        {
+          name: "plain",
+          description: "Reviews code for security issues",
+          tools: ["Read", "Grep"],
+        },
+      ],
+    );
+  });
+
+  it("lists every item with its details and install status", async () => {
+    const fixture = createFixture();
+    const options = await createCatalog(fixture);
+
+    const items = await listCatalog(options);
+    assert.deepEqual(items.map((item) => item.id), [
+      "agents/planner",
+      "agents/reviewer",
+      "commands/plan",
+      "rules/common/testing",
+      "rules/golang/testing",
+      "skills/postgres",
+    ]);
+
+    const [planner, reviewer, , , , postgres] = items;
+    assert.equal(planner.description, "Plans features");
+    assert.deepEqual(planner.tools, ["Read", "Grep"]);
+    assert.deepEqual(planner.headings, ["Planning", "Steps"]);
+    assert.equal(planner.size, Buffer.byteLength(PLANNER));
+    assert.deepEqual(
+      [planner.installed, planner.modified, planner.installedPaths],
+      [true, true, ["agents/planner.md"]],
+    );
+    assert.deepEqual([reviewer.installed, reviewer.modified], [true, false]);
+    assert.deepEqual(postgres.files, [
+      "skills/postgres/SKILL.md",
+      "skills/postgres/examples/join.md",
+    ]);
+    assert.equal(postgres.installed, false);
+
+    assert.deepEqual(
+      (await listCatalog({ ...options, category: "agents" })).map((item) => item.id),
+      ["agents/planner", "agents/reviewer"],
+    );
+  });
+
+  it("ranks matches in the name above matches in the text", async () => {
+    const fixture = createFixture();
+    const options = await createCatalog(fixture);
+
+    assert.deepEqual(
+      (await searchCatalog("postgres", options)).map((item) => item.id),
+      ["skills/postgres", "agents/planner"],
+    );
+    assert.deepEqual(
+      (await searchCatalog("plan FEATURES", options)).map((item) => item.id),
+      ["agents/planner"],
+    );
+    assert.deepEqual(
+      (await searchCatalog("plan", { ...options, category: "commands" }))
+        .map((item) => item.id),
+      ["commands/plan"],
+    );
+    await assert.rejects(searchCatalog("  ", options), UsageError);
+  });
+
+  it("looks up an item by id or unambiguous name", async () => {
+    const fixture = createFixture();
+    const options = await createCatalog(fixture);
+
+    assert.equal((await getCatalogItem("postgres", options)).id, "skills/postgres");
+    assert.equal(
+      (await getCatalogItem("agents/planner.md", options)).id,
+      "agents/planner",
+    );
+    assert.equal((await getCatalogItem("skills/postgres/", options)).id, "skills/postgres");
+    assert.equal((await getCatalogItem("plan", options)).id, "commands/plan");
+    await assert.rejects(
+      getCatalogItem("testing", options),
+      /"testing" is ambiguous: rules\/common\/testing, rules\/golang\/testing/,
+    );
+    await assert.rejects(getCatalogItem("nope", options), UsageError);
+  });
+});
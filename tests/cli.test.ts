@@ -0,0 +1,210 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describe, it } from "node:test";
+import { install } from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const CLI = fileURLToPath(new URL("../cli.js", import.meta.url));
+
+// Run the CLI with the fixture's environment; stdin is not a terminal
+function runCli(args: string[]) {
+  const child = spawnSync(process.execPath, [CLI, ...args], {
+    env: process.env,
+    encoding: "utf-8",
+    timeout: 60_000,
+  });
+  return { status: child.status, stdout: child.stdout, stderr: child.stderr };
+}
+
+describe("cli", () => {
+  it("applies the install flags to dev syncs", () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "Use the Bash tool."));
+    fixture.writeSource("agents/b.md", agent("b", "b"));
+
+    const { status, stderr } = runCli([
+      "dev",
+      "--source",
+      fixture.source,
+      "--cwd",
+      fixture.project,
+      "--deny",
+      "agents/b.md",
+      "--no-transform",
+      "--silent",
+    ]);
+
+    assert.equal(status, 0, stderr);
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "Use the Bash tool."));
+    assert.equal(fixture.readInstalled("agents/b.md"), null);
+  });
+
+  it("exits non-zero from verify when the installation drifted", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+
+    assert.equal(runCli(["verify", "--cwd", fixture.project]).status, 0);
+    fixture.writeInstalled("agents/mine.md", "mine\n");
+    assert.equal(runCli(["verify", "--cwd", fixture.project]).status, 0);
+    assert.equal(runCli(["doctor", "--strict", "--cwd", fixture.project]).status, 1);
+
+    fixture.writeInstalled("agents/a.md", "edited\n");
+    const { status, stdout } = runCli(["verify", "--json", "--cwd", fixture.project]);
+    assert.equal(status, 1);
+    assert.deepEqual(JSON.parse(stdout).modified, ["agents/a.md"]);
+  });
+
+  it("prints the install plan as JSON with --dry-run", () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+
+    const { status, stdout, stderr } = runCli([
+      "install",
+      "--dry-run",
+      "--json",
+      "--location",
+      "local",
+      "--source",
+      fixture.source,
+      "--cwd",
+      fixture.project,
+    ]);
+    assert.equal(status, 0, stderr);
+    const plan = JSON.parse(stdout);
+    assert.deepEqual(
+      plan.files.map((file: { action: string; relativePath: string }) =>
+        `${file.action} ${file.relativePath}`
+      ),
+      ["add agents/a.md"],
+    );
+    assert.equal(plan.files[0].content, undefined);
+    assert.equal(fixture.readInstalled("agents/a.md"), null);
+  });
+
+  it("fails install --workspaces when any workspace fails", () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    const write = (relativePath: string, content: string) => {
+      const filePath = path.join(fixture.project, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+    write("package.json", JSON.stringify({ workspaces: ["apps/*"] }));
+    write("apps/web/package.json", "{}");
+    write("apps/api/package.json", "{}");
+    write("apps/api/.cursor", "not a directory\n");
+
+    const run = () =>
+      runCli([
+        "install",
+        "--workspaces",
+        "--json",
+        "--source",
+        fixture.source,
+        "--cwd",
+        fixture.project,
+      ]);
+    const failed = run();
+    assert.equal(failed.status, 1, failed.stderr);
+    assert.deepEqual(
+      JSON.parse(failed.stdout).map((result: { status: string }) => result.status),
+      ["failed", "installed"],
+    );
+
+    fs.rmSync(path.join(fixture.project, "apps/api/.cursor"));
+    const { status, stderr } = run();
+    assert.equal(status, 0, stderr);
+  });
+
+  it("suggests the closest command or flag for a typo", () => {
+    const command = runCli(["instal"]);
+    assert.equal(command.status, 1);
+    assert.match(command.stderr, /Unknown command: instal\. Did you mean install\?/);
+
+    const flag = runCli(["install", "--dry-rn"]);
+    assert.equal(flag.status, 1);
+    assert.match(flag.stderr, /Unknown flag for install: --dry-rn\. Did you mean --dry-run\?/);
+
+    const value = runCli(["install", "--on-conflict", "ask"]);
+    assert.equal(value.status, 1);
+    assert.match(value.stderr, /Invalid --on-conflict: ask \(expected /);
+  });
+
+  it("prints the options and examples of a command", () => {
+    const { status, stdout } = runCli(["install", "--help"]);
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: everything-cursor install \[options\]/);
+    assert.match(stdout, /--dry-run/);
+    assert.match(stdout, /--\[no-\]transform/);
+    assert.match(stdout, /Examples:\n {2}everything-cursor install/);
+    assert.equal(runCli(["help", "install"]).stdout, stdout);
+  });
+
+  it("fails instead of prompting when stdin is not a terminal", () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+
+    const { status, stderr } = runCli([
+      "install",
+      "--source",
+      fixture.source,
+      "--cwd",
+      fixture.project,
+    ]);
+    assert.equal(status, 1);
+    assert.match(stderr, /stdin is not a terminal; pass --location local\|home/);
+    assert.equal(fixture.readInstalled("agents/a.md"), null);
+  });
+
+  it("prints completion scripts with the commands and flags", () => {
+    const bash = runCli(["completion", "bash"]);
+    assert.equal(bash.status, 0);
+    assert.match(bash.stdout, /complete -F _everything_cursor everything-cursor$/m);
+    assert.match(bash.stdout, /--dry-run/);
+
+    const zsh = runCli(["completion", "zsh"]);
+    assert.equal(zsh.status, 0);
+    assert.match(zsh.stdout, /^#compdef everything-cursor/);
+    assert.match(zsh.stdout, /'--on-conflict\[[^\]]*\]:[^:]+:\(/);
+
+    const fish = runCli(["completion", "fish"]);
+    assert.equal(fish.status, 0);
+    assert.match(fish.stdout, /-l dry-run/);
+    assert.match(fish.stdout, /-a install /);
+
+    assert.equal(runCli(["completion", "powershell"]).status, 1);
+  });
+
+  it("prints catalog items as JSON", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    fixture.writeSource("agents/b.md", agent("b", "b"));
+    await install({
+      location: "local",
+      cwd: fixture.project,
+      source: fixture.source,
+      include: ["agents/a.md"],
+    });
+    const catalogArgs = ["--json", "--source", fixture.source, "--cwd", fixture.project];
+
+    const list = runCli(["list", "agents", "--installed", ...catalogArgs]);
+    assert.equal(list.status, 0, list.stderr);
+    assert.deepEqual(
+      JSON.parse(list.stdout).map((item: { id: string }) => item.id),
+      ["agents/a"],
+    );
+
+    const info = runCli(["info", "b", ...catalogArgs]);
+    assert.equal(info.status, 0, info.stderr);
+    assert.deepEqual(
+      (({ id, description, installed }) => ({ id, description, installed }))(
+        JSON.parse(info.stdout),
+      ),
+      { id: "agents/b", description: "The b agent", installed: false },
+    );
+  });
+});
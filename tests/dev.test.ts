@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { dev, install, type InstallResult } from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+const SNAPSHOTS = ".everything-cursor-snapshots";
+
+describe("dev", () => {
+  it("syncs only what changed, without snapshots", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    fixture.writeSource("agents/b.md", agent("b", "b"));
+    fixture.writeSource("agents/c.md", agent("c", "c"));
+    const options = {
+      location: "local" as const,
+      cwd: fixture.project,
+      source: fixture.source,
+    };
+    await install(options);
+    fixture.writeSource("agents/b.md", agent("b", "b, v2"));
+    const readManifest = () =>
+      JSON.parse(fs.readFileSync(path.join(fixture.installDir, MANIFEST), "utf-8"));
+
+    const syncs: Array<{ result: InstallResult; changed: string[] }> = [];
+    let synced = () => {};
+    const session = await dev({
+      ...options,
+      watch: true,
+      debounceMs: 50,
+      onSync: (result, changed) => {
+        syncs.push({ result, changed });
+        synced();
+      },
+    });
+    const nextSync = () => new Promise<void>((resolve) => (synced = resolve));
+    const before = readManifest().files;
+
+    try {
+      let sync = nextSync();
+      fixture.writeSource("agents/a.md", agent("a", "a, v2"));
+      await sync;
+      sync = nextSync();
+      fs.rmSync(path.join(fixture.source, "agents/b.md"));
+      await sync;
+    } finally {
+      await session.close();
+    }
+
+    assert.deepEqual(session.initial.updated, ["agents/b.md"]);
+    assert.deepEqual(syncs[1].result.updated, ["agents/a.md"]);
+    assert.deepEqual(syncs[1].result.unchanged, []);
+    assert.deepEqual(syncs[2].result.removed, ["agents/b.md"]);
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a, v2"));
+    const { files } = readManifest();
+    assert.deepEqual(Object.keys(files).sort(), ["agents/a.md", "agents/c.md"]);
+    assert.notEqual(files["agents/a.md"].checksum, before["agents/a.md"].checksum);
+    assert.deepEqual(files["agents/c.md"], before["agents/c.md"]);
+    assert.deepEqual(
+      fs.readdirSync(path.join(fixture.installDir, SNAPSHOTS))
+        .filter((entry) => entry.endsWith(".json")),
+      [],
+    );
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import { describe, it } from "node:test";
+import {
+  add,
+  ConfigError,
+  createContentSource,
+  EverythingCursorError,
+  install,
+  isInstalled,
+  move,
+  MoveConflictError,
+  remove,
+  rollback,
+  SourceFetchError,
+  UnsupportedManifestError,
+  UsageError,
+} from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+async function installOne(fixture: Fixture) {
+  fixture.writeSource("agents/a.md", agent("a", "a"));
+  await install({ location: "local", cwd: fixture.project, source: fixture.source });
+}
+
+describe("errors", () => {
+  it("reports an unreadable project config as a ConfigError", async () => {
+    const fixture = createFixture();
+    fs.writeFileSync(path.join(fixture.project, ".everything-cursor.json"), "{");
+    await assert.rejects(
+      installOne(fixture),
+      (error: unknown) =>
+        error instanceof ConfigError &&
+        error.configPath === path.join(fixture.project, ".everything-cursor.json"),
+    );
+  });
+
+  it("reports a manifest of a newer release as unsupported", async () => {
+    const fixture = createFixture();
+    await installOne(fixture);
+    const manifestPath = path.join(fixture.installDir, MANIFEST);
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, schemaVersion: 99 }));
+
+    assert.throws(
+      () => isInstalled(fixture.project, "local"),
+      (error: unknown) =>
+        error instanceof UnsupportedManifestError && error.schemaVersion === 99,
+    );
+  });
+
+  it("reports archives that cannot be unpacked as a SourceFetchError", () => {
+    const fixture = createFixture();
+    const notGzip = path.join(fixture.root, "broken.tar.gz");
+    fs.writeFileSync(notGzip, "not an archive");
+    const truncated = path.join(fixture.root, "truncated.tgz");
+    const header = Buffer.alloc(512);
+    header.write("agents/a.md");
+    header.write("00000001000", 124);
+    header.write("0", 156);
+    fs.writeFileSync(truncated, zlib.gzipSync(header));
+
+    for (const archive of [notGzip, truncated]) {
+      assert.throws(
+        () => createContentSource(archive, fixture.project),
+        (error: unknown) =>
+          error instanceof SourceFetchError && error.source === archive,
+      );
+    }
+  });
+
+  it("reports requests that cannot be carried out as a UsageError", async () => {
+    const fixture = createFixture();
+    await installOne(fixture);
+    const cwd = fixture.project;
+
+    await assert.rejects(add(["agents/nope"], { cwd }), UsageError);
+    await assert.rejects(add(["nope"], { cwd }), UsageError);
+    await assert.rejects(remove([], { cwd }), UsageError);
+    await assert.rejects(rollback({ cwd }), UsageError);
+    await assert.rejects(rollback({ cwd }), EverythingCursorError);
+  });
+
+  it("lists the files a move would overwrite", async () => {
+    const fixture = createFixture();
+    await installOne(fixture);
+    const homeAgent = path.join(fixture.root, "home", ".cursor", "agents", "a.md");
+    fs.mkdirSync(path.dirname(homeAgent), { recursive: true });
+    fs.writeFileSync(homeAgent, "mine\n");
+
+    await assert.rejects(
+      move({ to: "home", cwd: fixture.project }),
+      (error: unknown) =>
+        error instanceof MoveConflictError &&
+        error.paths.join() === "agents/a.md",
+    );
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Shared fixtures for the tests: a content source directory and a project
+ * directory inside a fresh temporary directory, with HOME pointed into it so
+ * no test touches the real ~/.cursor
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+export interface Fixture {
+  root: string;
+  /** Directory content source, laid out like the package */
+  source: string;
+  /** Project directory; its install dir is `<project>/.cursor` */
+  project: string;
+  installDir: string;
+  /** Write a file of the content source */
+  writeSource(relativePath: string, content: string): void;
+  /** Read a file of the install dir, or null when it does not exist */
+  readInstalled(relativePath: string): string | null;
+  writeInstalled(relativePath: string, content: string): void;
+}
+
+export function createFixture(): Fixture {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "everything-cursor-"));
+  const source = path.join(root, "source");
+  const project = path.join(root, "project");
+  const home = path.join(root, "home");
+  fs.mkdirSync(source);
+  fs.mkdirSync(project);
+  fs.mkdirSync(home);
+  process.env.HOME = home;
+  process.env.EVERYTHING_CURSOR_CACHE_DIR = path.join(root, "cache");
+
+  const installDir = path.join(project, ".cursor");
+  const write = (filePath: string, content: string) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  return {
+    root,
+    source,
+    project,
+    installDir,
+    writeSource: (relativePath, content) =>
+      write(path.join(source, relativePath), content),
+    readInstalled: (relativePath) => {
+      const filePath = path.join(installDir, relativePath);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf-8") : null;
+    },
+    writeInstalled: (relativePath, content) =>
+      write(path.join(installDir, relativePath), content),
+  };
+}
+
+/** Frontmatter and body of a minimal agent */
+export function agent(name: string, body: string): string {
+  return `---\nname: ${name}\ndescription: The ${name} agent\n---\n${body}\n`;
+}
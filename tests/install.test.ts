@@ -0,0 +1,309 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, mock } from "node:test";
+import {
+  install,
+  type InstallOptions,
+  LockTimeoutError,
+  MissingReferenceError,
+  listSnapshots,
+  type ProgressEvent,
+  rollback,
+  uninstall,
+} from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+const JOURNAL = ".everything-cursor-journal.json";
+const STAGING = ".everything-cursor-staging";
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+  transforms: [],
+});
+
+// A v1 install of two agents, then v2 content that changes one, adds one
+// and drops the other
+async function installVersions(fixture: Fixture) {
+  fixture.writeSource("agents/a.md", agent("a", "a v1"));
+  fixture.writeSource("agents/b.md", agent("b", "b v1"));
+  await install(optionsFor(fixture));
+
+  fixture.writeSource("agents/a.md", agent("a", "a v2"));
+  fixture.writeSource("agents/c.md", agent("c", "c v2"));
+  fs.rmSync(path.join(fixture.source, "agents/b.md"));
+}
+
+// Run an install in a child process that dies once the commit has applied
+// `after` file changes, leaving the journal behind
+function crashDuringCommit(fixture: Fixture, after: number) {
+  const modUrl = new URL("../mod.js", import.meta.url).href;
+  const script = `
+    const { install } = await import(${JSON.stringify(modUrl)});
+    let applied = 0;
+    await install({
+      ...${JSON.stringify(optionsFor(fixture))},
+      onConflict: "overwrite",
+      onEvent: (event) => {
+        if (event.type === "file" && event.action !== "unchanged" &&
+            ++applied === ${after}) {
+          process.exit(70);
+        }
+      },
+    });
+  `;
+  const child = spawnSync(
+    process.execPath,
+    ["--input-type=module", "-e", script],
+    { env: process.env, encoding: "utf-8", timeout: 60_000 },
+  );
+  assert.equal(child.status, 70, child.stderr);
+  assert.ok(fs.existsSync(path.join(fixture.installDir, JOURNAL)));
+}
+
+describe("install commit", () => {
+  it("reverts a failed commit, including untracked files it overwrote", async () => {
+    const fixture = createFixture();
+    await installVersions(fixture);
+    fixture.writeInstalled("agents/c.md", "my own c\n");
+    const manifestBefore = fixture.readInstalled(MANIFEST);
+
+    let applied = 0;
+    await assert.rejects(
+      install({
+        ...optionsFor(fixture),
+        onConflict: "overwrite",
+        onEvent: (event) => {
+          if (event.type === "file" && event.action !== "unchanged") {
+            applied++;
+            if (applied === 3) throw new Error("disk full");
+          }
+        },
+      }),
+      /disk full/,
+    );
+
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a v1"));
+    assert.equal(fixture.readInstalled("agents/b.md"), agent("b", "b v1"));
+    assert.equal(fixture.readInstalled("agents/c.md"), "my own c\n");
+    assert.equal(fixture.readInstalled(MANIFEST), manifestBefore);
+    assert.equal(fixture.readInstalled(JOURNAL), null);
+    assert.ok(!fs.existsSync(path.join(fixture.installDir, STAGING)));
+  });
+
+  it("removes the manifest when a first install fails", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a v1"));
+    fixture.writeSource("agents/b.md", agent("b", "b v1"));
+
+    await assert.rejects(
+      install({
+        ...optionsFor(fixture),
+        onEvent: (event) => {
+          if (event.type === "file" && event.action === "added") {
+            throw new Error("disk full");
+          }
+        },
+      }),
+      /disk full/,
+    );
+
+    assert.equal(fixture.readInstalled("agents/a.md"), null);
+    assert.equal(fixture.readInstalled("agents/b.md"), null);
+    assert.equal(fixture.readInstalled(MANIFEST), null);
+  });
+
+  it("completes a commit interrupted by a crash", async () => {
+    const fixture = createFixture();
+    await installVersions(fixture);
+    fixture.writeInstalled("agents/c.md", "my own c\n");
+
+    crashDuringCommit(fixture, 1);
+    const result = await install(optionsFor(fixture));
+
+    // The recovered commit already installed v2
+    assert.equal(result.status, "up-to-date");
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a v2"));
+    assert.equal(fixture.readInstalled("agents/b.md"), null);
+    assert.equal(fixture.readInstalled("agents/c.md"), agent("c", "c v2"));
+    assert.equal(fixture.readInstalled(JOURNAL), null);
+  });
+
+  it("reverts an interrupted commit whose staged content is gone", async () => {
+    const fixture = createFixture();
+    await installVersions(fixture);
+    fixture.writeInstalled("agents/c.md", "my own c\n");
+    const manifestBefore = fixture.readInstalled(MANIFEST);
+
+    crashDuringCommit(fixture, 2);
+    const journal = JSON.parse(fixture.readInstalled(JOURNAL) ?? "");
+    const write = journal.operations.find((operation: { path: string }) =>
+      operation.path === "agents/c.md"
+    );
+    fs.rmSync(path.join(fixture.installDir, STAGING, write.object));
+
+    // Back to the v1 content: once reverted, the install is up to date
+    fixture.writeSource("agents/a.md", agent("a", "a v1"));
+    fixture.writeSource("agents/b.md", agent("b", "b v1"));
+    fs.rmSync(path.join(fixture.source, "agents/c.md"));
+    const result = await install(optionsFor(fixture));
+
+    assert.equal(result.status, "up-to-date");
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a v1"));
+    assert.equal(fixture.readInstalled("agents/b.md"), agent("b", "b v1"));
+    assert.equal(fixture.readInstalled("agents/c.md"), "my own c\n");
+    assert.equal(fixture.readInstalled(MANIFEST), manifestBefore);
+  });
+});
+
+describe("rollback commit", () => {
+  it("restores the snapshot through the journal", async () => {
+    const fixture = createFixture();
+    await installVersions(fixture);
+    await install(optionsFor(fixture));
+
+    const events: ProgressEvent[] = [];
+    await rollback({ cwd: fixture.project, onEvent: (event) => events.push(event) });
+
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a v1"));
+    assert.equal(fixture.readInstalled("agents/b.md"), agent("b", "b v1"));
+    assert.equal(fixture.readInstalled("agents/c.md"), null);
+    assert.deepEqual(
+      events.flatMap((event) => event.type === "file" ? [`${event.action} ${event.path}`] : []),
+      ["removed agents/c.md", "updated agents/a.md", "added agents/b.md"],
+    );
+    assert.equal(fixture.readInstalled(JOURNAL), null);
+    assert.ok(!fs.existsSync(path.join(fixture.installDir, STAGING)));
+  });
+
+  it("reverts a failed rollback and keeps its snapshot", async () => {
+    const fixture = createFixture();
+    await installVersions(fixture);
+    await install(optionsFor(fixture));
+    const manifestBefore = fixture.readInstalled(MANIFEST);
+
+    let applied = 0;
+    await assert.rejects(
+      rollback({
+        cwd: fixture.project,
+        onEvent: (event) => {
+          if (event.type === "file" && ++applied === 2) {
+            throw new Error("disk full");
+          }
+        },
+      }),
+      /disk full/,
+    );
+
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "a v2"));
+    assert.equal(fixture.readInstalled("agents/b.md"), null);
+    assert.equal(fixture.readInstalled("agents/c.md"), agent("c", "c v2"));
+    assert.equal(fixture.readInstalled(MANIFEST), manifestBefore);
+    assert.equal(fixture.readInstalled(JOURNAL), null);
+    assert.equal(listSnapshots(fixture.project, "local").length, 1);
+  });
+});
+
+describe("install output", () => {
+  it("reports progress through events and prints nothing", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a v1"));
+    const log = mock.method(console, "log", () => {});
+    const events: ProgressEvent[] = [];
+    try {
+      await install({ ...optionsFor(fixture), onEvent: (event) => events.push(event) });
+    } finally {
+      log.mock.restore();
+    }
+
+    assert.equal(log.mock.callCount(), 0);
+    assert.deepEqual(events.map((event) => event.type), [
+      "start",
+      "info",
+      "file",
+      "done",
+    ]);
+  });
+
+  it("fails on missing references with a MissingReferenceError", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "See ~/.claude/agents/gone.md"));
+
+    await assert.rejects(
+      install({ ...optionsFor(fixture), onMissingReference: "fail" }),
+      (error: unknown) =>
+        error instanceof MissingReferenceError && error.references.length === 1,
+    );
+    assert.equal(fixture.readInstalled(MANIFEST), null);
+  });
+
+  it("gives up on a held lock with a LockTimeoutError", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a v1"));
+    // Held by this live process, so it is not taken over as stale
+    fixture.writeInstalled(
+      ".everything-cursor.lock",
+      JSON.stringify({
+        pid: process.pid,
+        hostname: os.hostname(),
+        createdAt: new Date().toISOString(),
+      }),
+    );
+    // Every look at the clock moves it on, so the wait runs out quickly
+    let now = Date.now();
+    mock.method(Date, "now", () => now += 5_000);
+    try {
+      await assert.rejects(install(optionsFor(fixture)), LockTimeoutError);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
+
+describe("uninstall", () => {
+  // An upgrade over a local edit leaves a snapshot, a report and a backup
+  async function installWithHistory(fixture: Fixture) {
+    await installVersions(fixture);
+    fixture.writeInstalled("agents/a.md", "edited\n");
+    await install({ ...optionsFor(fixture), onConflict: "backup", report: true });
+  }
+
+  it("removes snapshots, reports and backups with the files", async () => {
+    const fixture = createFixture();
+    await installWithHistory(fixture);
+
+    const [result] = await uninstall({ cwd: fixture.project });
+    assert.deepEqual(result.removed.sort(), ["agents/a.md", "agents/c.md"]);
+    assert.equal(result.removedState.length, 4);
+    assert.deepEqual(
+      result.removedState.slice(0, 3),
+      [
+        ".everything-cursor-snapshots",
+        ".everything-cursor-report.md",
+        ".everything-cursor-report.json",
+      ],
+    );
+    assert.match(result.removedState[3], /^agents\/a\.md\..*\.bak$/);
+    assert.deepEqual(fs.readdirSync(fixture.installDir), ["agents"]);
+    assert.deepEqual(fs.readdirSync(path.join(fixture.installDir, "agents")), []);
+  });
+
+  it("keeps them with keepHistory", async () => {
+    const fixture = createFixture();
+    await installWithHistory(fixture);
+
+    const [result] = await uninstall({ cwd: fixture.project, keepHistory: true });
+    assert.deepEqual(result.removedState, []);
+    assert.deepEqual(fs.readdirSync(fixture.installDir).sort(), [
+      ".everything-cursor-report.json",
+      ".everything-cursor-report.md",
+      ".everything-cursor-snapshots",
+      "agents",
+    ]);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { add, install, type ProgressEvent, remove } from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+const readManifest = (fixture: Fixture) =>
+  JSON.parse(fs.readFileSync(path.join(fixture.installDir, MANIFEST), "utf-8"));
+
+const installedFiles = (fixture: Fixture) =>
+  Object.keys(readManifest(fixture).files).sort();
+
+// The planner needs the reviewer, which needs the tdd skill; only the
+// other agent is installed
+async function installSubset(fixture: Fixture) {
+  fixture.writeSource("agents/other.md", agent("other", "other"));
+  fixture.writeSource("agents/planner.md", agent("planner", "Ask the reviewer agent."));
+  fixture.writeSource("agents/reviewer.md", agent("reviewer", "Follow the tdd skill."));
+  fixture.writeSource("skills/tdd/SKILL.md", agent("tdd", "tdd"));
+  fixture.writeSource("skills/tdd/examples/go.md", "example\n");
+  await install({
+    location: "local",
+    cwd: fixture.project,
+    source: fixture.source,
+    include: ["agents/other.md"],
+  });
+}
+
+describe("add and remove", () => {
+  it("adds an item and warns about what it references", async () => {
+    const fixture = createFixture();
+    await installSubset(fixture);
+
+    const events: ProgressEvent[] = [];
+    const result = await add(["agents/planner"], {
+      cwd: fixture.project,
+      onEvent: (event) => events.push(event),
+    });
+    assert.deepEqual(result.added, ["agents/planner.md"]);
+    assert.ok(
+      events.some((event) =>
+        event.type === "warning" &&
+        event.message.startsWith("Referenced item(s) not added: agents/reviewer")
+      ),
+    );
+    assert.deepEqual(installedFiles(fixture), ["agents/other.md", "agents/planner.md"]);
+  });
+
+  it("adds the items referenced, directly or not, with withDependencies", async () => {
+    const fixture = createFixture();
+    await installSubset(fixture);
+
+    await add(["agents/planner"], { cwd: fixture.project, withDependencies: true });
+    assert.deepEqual(installedFiles(fixture), [
+      "agents/other.md",
+      "agents/planner.md",
+      "agents/reviewer.md",
+      "skills/tdd/SKILL.md",
+      "skills/tdd/examples/go.md",
+    ]);
+    assert.deepEqual(readManifest(fixture).items, {
+      added: ["agents/planner", "agents/reviewer", "skills/tdd"],
+      removed: [],
+    });
+  });
+
+  it("removes every file of a skill and keeps it out of later installs", async () => {
+    const fixture = createFixture();
+    await installSubset(fixture);
+    await add(["agents/planner"], { cwd: fixture.project, withDependencies: true });
+
+    const result = await remove(["skills/tdd"], { cwd: fixture.project });
+    assert.deepEqual(result.removed.sort(), [
+      "skills/tdd/SKILL.md",
+      "skills/tdd/examples/go.md",
+    ]);
+    assert.deepEqual(readManifest(fixture).items, {
+      added: ["agents/planner", "agents/reviewer"],
+      removed: ["skills/tdd"],
+    });
+
+    // A full install keeps the added items and leaves the removed one out
+    fixture.writeSource("skills/tdd/SKILL.md", agent("tdd", "tdd v2"));
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+    assert.deepEqual(installedFiles(fixture), [
+      "agents/other.md",
+      "agents/planner.md",
+      "agents/reviewer.md",
+    ]);
+  });
+
+  it("keeps locally modified files of removed items", async () => {
+    const fixture = createFixture();
+    await installSubset(fixture);
+    fixture.writeInstalled("agents/other.md", "edited\n");
+
+    const result = await remove(["agents/other"], { cwd: fixture.project });
+    assert.deepEqual(result.skipped, ["agents/other.md"]);
+    assert.equal(fixture.readInstalled("agents/other.md"), "edited\n");
+
+    await assert.rejects(
+      remove(["agents/planner"], { cwd: fixture.project }),
+      /Not installed: agents\/planner/,
+    );
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { install, isInstalled, ManifestCorruptError, verify } from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+describe("manifests", () => {
+  it("skips a corrupt manifest in the other scope", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    const homeDir = path.join(os.homedir(), ".cursor");
+    fs.mkdirSync(homeDir);
+    fs.writeFileSync(path.join(homeDir, MANIFEST), "{ not json");
+
+    const warnings: string[] = [];
+    const result = await install({
+      location: "local",
+      cwd: fixture.project,
+      source: fixture.source,
+      onEvent: (event) => {
+        if (event.type === "warning") warnings.push(event.message);
+      },
+    });
+
+    assert.equal(result.status, "installed");
+    assert.match(warnings.join("\n"), /Skipped the duplicate check/);
+    const status = isInstalled(fixture.project);
+    assert.deepEqual(
+      status.installations.map((installation) => installation.location),
+      ["local"],
+    );
+    assert.match(status.warnings.join("\n"), /Skipped the home installation/);
+    assert.throws(
+      () => isInstalled(fixture.project, "home"),
+      ManifestCorruptError,
+    );
+  });
+
+  it("migrates legacy file keys written with backslashes", () => {
+    const fixture = createFixture();
+    const content = agent("a", "a");
+    fixture.writeInstalled("agents/a.md", content);
+    fixture.writeInstalled(
+      MANIFEST,
+      JSON.stringify({
+        version: "1.0.0",
+        files: {
+          "agents\\a.md": {
+            checksum: createHash("sha256").update(content).digest("hex"),
+            installedAt: "2025-01-01T00:00:00.000Z",
+            source: "agents\\a.md",
+          },
+        },
+      }),
+    );
+
+    assert.deepEqual(verify(fixture.project, "local").intact, ["agents/a.md"]);
+  });
+
+  it("migrates an unversioned manifest on the next install", async () => {
+    const fixture = createFixture();
+    const content = agent("a", "a");
+    fixture.writeSource("agents/a.md", content);
+    fixture.writeInstalled("agents/a.md", content);
+    fixture.writeInstalled(
+      MANIFEST,
+      JSON.stringify({
+        version: "0.0.5",
+        installedAt: "2025-01-01T00:00:00.000Z",
+        files: {
+          "agents/a.md": {
+            checksum: createHash("sha256").update(content).digest("hex"),
+            installedAt: "2025-01-01T00:00:00.000Z",
+            source: "agents/a.md",
+          },
+        },
+      }),
+    );
+    assert.equal(isInstalled(fixture.project, "local").version, "0.0.5");
+
+    const notes: string[] = [];
+    const result = await install({
+      location: "local",
+      cwd: fixture.project,
+      source: fixture.source,
+      transforms: [],
+      onEvent: (event) => {
+        if (event.type === "info") notes.push(event.message);
+      },
+    });
+    assert.ok(
+      notes.includes("Migrated manifest from the unversioned format to schema version 1"),
+    );
+    assert.deepEqual(result.modified, []);
+    const manifest = JSON.parse(fixture.readInstalled(MANIFEST)!);
+    assert.equal(manifest.schemaVersion, 1);
+    assert.equal(manifest.migratedFrom, undefined);
+  });
+
+  it("reports a manifest that does not match the schema as corrupt", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+    const manifest = JSON.parse(fixture.readInstalled(MANIFEST)!);
+    fixture.writeInstalled(MANIFEST, JSON.stringify({ ...manifest, schemaVersion: "1" }));
+
+    assert.throws(
+      () => isInstalled(fixture.project, "local"),
+      (error: unknown) =>
+        error instanceof ManifestCorruptError &&
+        /invalid "schemaVersion"/.test(error.message),
+    );
+  });
+});
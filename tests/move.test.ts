@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  AlreadyInstalledError,
+  install,
+  move,
+  rollback,
+  verify,
+} from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const SNAPSHOTS = ".everything-cursor-snapshots";
+const BACKUP = "agents/b.md.2026-01-01T00-00-00-000Z.bak";
+
+describe("move", () => {
+  it("takes backups and rollback history to the new location", async () => {
+    const fixture = createFixture();
+    const options = {
+      location: "local" as const,
+      cwd: fixture.project,
+      source: fixture.source,
+    };
+    fixture.writeSource("agents/a.md", agent("a", "See ~/.claude/agents/b.md"));
+    fixture.writeSource("agents/b.md", agent("b", "b"));
+    await install(options);
+    fixture.writeSource("agents/a.md", agent("a", "See ~/.claude/agents/b.md, v2"));
+    await install(options);
+    fixture.writeInstalled(BACKUP, "my own b\n");
+
+    await move({ to: "home", cwd: fixture.project });
+
+    const homeDir = path.join(os.homedir(), ".cursor");
+    assert.deepEqual(fs.readdirSync(fixture.installDir, { recursive: true }), [
+      "agents",
+    ]);
+    assert.equal(
+      fs.readFileSync(path.join(homeDir, BACKUP), "utf-8"),
+      "my own b\n",
+    );
+    const snapshotDir = path.join(homeDir, SNAPSHOTS);
+    for (const entry of fs.readdirSync(snapshotDir)) {
+      if (!entry.endsWith(".json")) continue;
+      const record = JSON.parse(
+        fs.readFileSync(path.join(snapshotDir, entry), "utf-8"),
+      );
+      assert.equal(record.manifest.selectedLocation, "home");
+      assert.equal(record.manifest.installPath, homeDir);
+    }
+
+    await rollback({ cwd: fixture.project, location: "home" });
+    assert.equal(
+      fs.readFileSync(path.join(homeDir, "agents/a.md"), "utf-8"),
+      agent("a", "See ~/.cursor/agents/b.md"),
+    );
+    assert.equal(verify(fixture.project, "home").ok, true);
+  });
+
+  it("refuses to move onto an installation", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    for (const location of ["local", "home"] as const) {
+      await install({ location, cwd: fixture.project, source: fixture.source });
+    }
+
+    await assert.rejects(
+      move({ to: "home", cwd: fixture.project }),
+      (error: unknown) =>
+        error instanceof AlreadyInstalledError && error.location === "home",
+    );
+  });
+});
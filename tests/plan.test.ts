@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { install, type InstallOptions, planInstall } from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+  transforms: [],
+});
+
+// Every file below a directory with its content
+const readTree = (dir: string): Record<string, string> =>
+  Object.fromEntries(
+    fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+      .filter((entry) => entry.isFile())
+      .map((entry) => {
+        const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+        return [path.relative(dir, filePath), fs.readFileSync(filePath, "utf-8")];
+      }),
+  );
+
+describe("planInstall", () => {
+  it("plans every action without touching disk, and install executes it", async () => {
+    const fixture = createFixture();
+    for (const name of ["a", "b", "d", "e"]) {
+      fixture.writeSource(`agents/${name}.md`, agent(name, `${name} v1`));
+    }
+    await install(optionsFor(fixture));
+    fixture.writeSource("agents/a.md", agent("a", "a v2"));
+    fs.rmSync(path.join(fixture.source, "agents/b.md"));
+    fixture.writeSource("agents/c.md", agent("c", "c v2"));
+    fixture.writeSource("agents/d.md", agent("d", "d v2"));
+    fixture.writeInstalled("agents/d.md", "edited\n");
+    const before = readTree(fixture.installDir);
+
+    const plan = await planInstall(optionsFor(fixture));
+    assert.deepEqual(readTree(fixture.installDir), before);
+    assert.equal(plan.upToDate, false);
+
+    const files = Object.fromEntries(
+      plan.files.map((file) => [file.relativePath, file]),
+    );
+    assert.equal(files["agents/a.md"].action, "update");
+    assert.equal(files["agents/a.md"].changed, true);
+    assert.match(files["agents/a.md"].diff!, /^-a v1$/m);
+    assert.match(files["agents/a.md"].diff!, /^\+a v2$/m);
+    assert.equal(files["agents/b.md"].action, "remove");
+    assert.equal(files["agents/b.md"].listed, false);
+    assert.equal(files["agents/c.md"].action, "add");
+    assert.equal(files["agents/c.md"].content, agent("c", "c v2"));
+    assert.equal(files["agents/d.md"].action, "skip");
+    assert.equal(files["agents/d.md"].modified, true);
+    assert.equal(files["agents/e.md"].action, "update");
+    assert.equal(files["agents/e.md"].changed, false);
+
+    const result = await install(optionsFor(fixture));
+    assert.deepEqual(result.added, ["agents/c.md"]);
+    assert.deepEqual(result.updated, ["agents/a.md"]);
+    assert.deepEqual(result.removed, ["agents/b.md"]);
+    assert.deepEqual(result.skipped, ["agents/d.md"]);
+    assert.deepEqual(result.unchanged, ["agents/e.md"]);
+  });
+
+  it("reports an up-to-date installation", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    await install(optionsFor(fixture));
+
+    const plan = await planInstall(optionsFor(fixture));
+    assert.equal(plan.upToDate, true);
+  });
+});
@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  findDependencies,
+  install,
+  type InstallOptions,
+  MissingReferenceError,
+} from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+  transforms: [],
+});
+
+function writeContent(fixture: Fixture) {
+  fixture.writeSource(
+    "agents/planner.md",
+    agent(
+      "planner",
+      "Read ~/.claude/skills/tdd/SKILL.md and the [testing rule](../rules/common/testing.md).\n" +
+        "Hand off to the reviewer agent, then see ~/.claude/agents/ghost.md.",
+    ),
+  );
+  fixture.writeSource("agents/reviewer.md", agent("reviewer", "review"));
+  fixture.writeSource("skills/tdd/SKILL.md", agent("tdd", "tdd"));
+  fixture.writeSource("rules/common/testing.md", "# Testing\n");
+}
+
+describe("cross-references", () => {
+  it("points Claude paths and links at the install location", async () => {
+    const fixture = createFixture();
+    writeContent(fixture);
+
+    await install(optionsFor(fixture));
+    const local = fixture.readInstalled("agents/planner.md")!;
+    assert.match(local, /Read \.cursor\/skills\/tdd\/SKILL\.md /);
+    assert.match(local, /\[testing rule\]\(\.\.\/rules\/common\/testing\.mdc\)/);
+
+    await install({ ...optionsFor(fixture), location: "home" });
+    const home = fs.readFileSync(
+      path.join(fixture.root, "home", ".cursor", "agents", "planner.md"),
+      "utf-8",
+    );
+    assert.match(home, /Read ~\/\.cursor\/skills\/tdd\/SKILL\.md /);
+  });
+
+  it("reports references to items that are not installed", async () => {
+    const fixture = createFixture();
+    writeContent(fixture);
+
+    const result = await install({
+      ...optionsFor(fixture),
+      exclude: ["agents/reviewer.md"],
+    });
+    assert.deepEqual(
+      result.missingReferences.map(({ target, kind, status }) =>
+        `${target} ${kind} ${status}`
+      ).sort(),
+      ["agents/ghost path unknown", "agents/reviewer agent excluded"],
+    );
+
+    assert.deepEqual(
+      await findDependencies(["agents/planner"], { cwd: fixture.project }),
+      ["agents/reviewer"],
+    );
+  });
+
+  it("writes nothing when missing references fail the install", async () => {
+    const fixture = createFixture();
+    writeContent(fixture);
+
+    await assert.rejects(
+      install({
+        ...optionsFor(fixture),
+        exclude: ["agents/reviewer.md"],
+        onMissingReference: "fail",
+      }),
+      (error: unknown) =>
+        error instanceof MissingReferenceError && error.references.length === 2,
+    );
+    assert.equal(fixture.readInstalled("agents/planner.md"), null);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { formatInstallReport, install, type InstallOptions } from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+  transforms: [],
+});
+
+// Install a, b and d, then update a, drop b, add c, update d over a local
+// edit and create a file of the user's own
+async function installAndChange(fixture: Fixture) {
+  for (const name of ["a", "b", "d"]) {
+    fixture.writeSource(`agents/${name}.md`, agent(name, `${name} v1`));
+  }
+  await install(optionsFor(fixture));
+  fixture.writeSource("agents/a.md", agent("a", "```\na v2\n```"));
+  fs.rmSync(path.join(fixture.source, "agents/b.md"));
+  fixture.writeSource("agents/c.md", agent("c", "c v2"));
+  fixture.writeSource("agents/d.md", agent("d", "d v2"));
+  fixture.writeInstalled("agents/d.md", "edited\n");
+  fixture.writeInstalled("agents/mine.md", "mine\n");
+}
+
+describe("change reports", () => {
+  it("writes what an install changed as Markdown and JSON", async () => {
+    const fixture = createFixture();
+    await installAndChange(fixture);
+
+    const { report } = await install({ ...optionsFor(fixture), report: true });
+    assert.deepEqual(report.added, ["agents/c.md"]);
+    assert.deepEqual(report.updated.map((file) => file.path), ["agents/a.md"]);
+    assert.match(report.updated[0].diff, /^-a v1$/m);
+    assert.match(report.updated[0].diff, /^\+a v2$/m);
+    assert.deepEqual(report.removed, ["agents/b.md"]);
+    assert.deepEqual(report.skippedModified, ["agents/d.md"]);
+    assert.deepEqual(report.preservedUser, ["agents/mine.md"]);
+    assert.equal(report.previousVersion, report.version);
+    assert.deepEqual(report.files, [
+      path.join(fixture.installDir, ".everything-cursor-report.md"),
+      path.join(fixture.installDir, ".everything-cursor-report.json"),
+    ]);
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(report.files[1], "utf-8")), report);
+    const markdown = fs.readFileSync(report.files[0], "utf-8");
+    assert.equal(markdown, formatInstallReport(report));
+    assert.match(markdown, /^## Added \(1\)\n\n- `agents\/c\.md`$/m);
+    assert.match(markdown, /^## Skipped, modified locally \(1\)\n\n- `agents\/d\.md`$/m);
+    // The diff contains a code fence, so it is fenced with four backticks
+    assert.match(markdown, /^### `agents\/a\.md`\n\n````diff\n[\s\S]*\n````$/m);
+  });
+
+  it("writes one report to a given path, and none when up to date", async () => {
+    const fixture = createFixture();
+    await installAndChange(fixture);
+
+    const { report } = await install({
+      ...optionsFor(fixture),
+      report: "reports/update.json",
+    });
+    const reportPath = path.join(fixture.project, "reports", "update.json");
+    assert.deepEqual(report.files, [reportPath]);
+    assert.equal(JSON.parse(fs.readFileSync(reportPath, "utf-8")).added[0], "agents/c.md");
+    assert.equal(fixture.readInstalled(".everything-cursor-report.md"), null);
+
+    const upToDate = await install({ ...optionsFor(fixture), report: "reports/again.md" });
+    assert.equal(upToDate.status, "up-to-date");
+    assert.equal(fs.existsSync(path.join(fixture.project, "reports", "again.md")), false);
+  });
+});
@@ -0,0 +1,96 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { install, type InstallOptions, uninstall } from "../mod.js";
+import { createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+});
+
+const readManifest = (fixture: Fixture) =>
+  JSON.parse(fs.readFileSync(path.join(fixture.installDir, MANIFEST), "utf-8"));
+
+function writeRules(fixture: Fixture) {
+  fixture.writeSource("rules/common/style.md", "# Coding Style\n\nKeep it simple.\n");
+  fixture.writeSource(
+    "rules/golang/testing.md",
+    "---\ndescription: Go testing: table tests\n---\n# Go Testing\n\nUse t.Run.\n",
+  );
+}
+
+describe("rule-mdc", () => {
+  it("installs rules as Cursor project rules scoped by pack", async () => {
+    const fixture = createFixture();
+    writeRules(fixture);
+    await install(optionsFor(fixture));
+
+    assert.equal(fixture.readInstalled("rules/common/style.md"), null);
+    assert.equal(
+      fixture.readInstalled("rules/common/style.mdc"),
+      "---\ndescription: Coding Style\nglobs:\nalwaysApply: true\n---\n# Coding Style\n\nKeep it simple.\n",
+    );
+    assert.equal(
+      fixture.readInstalled("rules/golang/testing.mdc"),
+      '---\ndescription: "Go testing: table tests"\nglobs: **/*.go\nalwaysApply: false\n---\n# Go Testing\n\nUse t.Run.\n',
+    );
+
+    const entry = readManifest(fixture).files["rules/golang/testing.mdc"];
+    assert.equal(entry.source, "rules/golang/testing.md");
+    assert.ok(entry.transforms.includes("rule-mdc"));
+    assert.equal(
+      entry.checksum,
+      createHash("sha256")
+        .update(fixture.readInstalled("rules/golang/testing.mdc")!)
+        .digest("hex"),
+    );
+  });
+
+  it("lets mapRule override the generated frontmatter", async () => {
+    const fixture = createFixture();
+    writeRules(fixture);
+    await install({
+      ...optionsFor(fixture),
+      mapRule: (relativePath, metadata) =>
+        relativePath.startsWith("rules/golang/")
+          ? { ...metadata, globs: ["services/**/*.go"] }
+          : metadata,
+    });
+
+    assert.match(
+      fixture.readInstalled("rules/golang/testing.mdc")!,
+      /^globs: services\/\*\*\/\*\.go$/m,
+    );
+  });
+
+  it("switches formats and uninstalls the generated files", async () => {
+    const fixture = createFixture();
+    writeRules(fixture);
+    await install(optionsFor(fixture));
+
+    const result = await install({ ...optionsFor(fixture), ruleFormat: "md" });
+    assert.deepEqual(result.removed.sort(), [
+      "rules/common/style.mdc",
+      "rules/golang/testing.mdc",
+    ]);
+    assert.equal(fixture.readInstalled("rules/common/style.mdc"), null);
+    assert.equal(
+      fixture.readInstalled("rules/common/style.md"),
+      "# Coding Style\n\nKeep it simple.\n",
+    );
+    assert.equal(readManifest(fixture).ruleFormat, "md");
+
+    await install({ ...optionsFor(fixture), ruleFormat: "mdc" });
+    const [removed] = await uninstall({ cwd: fixture.project });
+    assert.deepEqual(removed.removed.sort(), [
+      "rules/common/style.mdc",
+      "rules/golang/testing.mdc",
+    ]);
+  });
+});
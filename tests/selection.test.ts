@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { detectStack, install, type InstallOptions } from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+const readManifest = (fixture: Fixture) =>
+  JSON.parse(fs.readFileSync(path.join(fixture.installDir, MANIFEST), "utf-8"));
+
+const installedFiles = (fixture: Fixture) =>
+  Object.keys(readManifest(fixture).files).sort();
+
+const optionsFor = (fixture: Fixture): InstallOptions => ({
+  location: "local",
+  cwd: fixture.project,
+  source: fixture.source,
+});
+
+describe("include and exclude", () => {
+  it("installs the selected subset and keeps it on later installs", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/planner.md", agent("planner", "plan"));
+    fixture.writeSource("agents/go-reviewer.md", agent("go-reviewer", "go"));
+    fixture.writeSource("skills/tdd/SKILL.md", agent("tdd", "tdd"));
+    fixture.writeSource("skills/swift-ui/SKILL.md", agent("swift-ui", "swift"));
+
+    await install({
+      ...optionsFor(fixture),
+      include: ["agents/**", "skills/tdd/**"],
+      exclude: ["agents/go-*"],
+    });
+    assert.deepEqual(installedFiles(fixture), [
+      "agents/planner.md",
+      "skills/tdd/SKILL.md",
+    ]);
+    assert.deepEqual(readManifest(fixture).selection, {
+      include: ["agents/**", "skills/tdd/**"],
+      exclude: ["agents/go-*"],
+    });
+
+    // New upstream files are filtered by the recorded selection
+    fixture.writeSource("agents/go-build.md", agent("go-build", "go"));
+    fixture.writeSource("agents/architect.md", agent("architect", "arch"));
+    const reinstalled = await install(optionsFor(fixture));
+    assert.deepEqual(reinstalled.added, ["agents/architect.md"]);
+    assert.deepEqual(installedFiles(fixture), [
+      "agents/architect.md",
+      "agents/planner.md",
+      "skills/tdd/SKILL.md",
+    ]);
+
+    // Files that leave the selection are removed
+    const narrowed = await install({ ...optionsFor(fixture), exclude: ["agents/**"] });
+    assert.deepEqual(narrowed.removed.sort(), [
+      "agents/architect.md",
+      "agents/planner.md",
+    ]);
+    assert.equal(fixture.readInstalled("agents/planner.md"), null);
+    assert.deepEqual(installedFiles(fixture), ["skills/tdd/SKILL.md"]);
+  });
+
+  it("treats a trailing slash as everything below a directory", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("skills/tdd/SKILL.md", agent("tdd", "tdd"));
+    fixture.writeSource("skills/tdd/examples/go.md", "example\n");
+    fixture.writeSource("skills/tdd-extra/SKILL.md", agent("tdd-extra", "x"));
+
+    await install({ ...optionsFor(fixture), include: ["skills/tdd/"] });
+    assert.deepEqual(installedFiles(fixture), [
+      "skills/tdd/SKILL.md",
+      "skills/tdd/examples/go.md",
+    ]);
+  });
+});
+
+describe("stack detection", () => {
+  it("finds the stacks of a project from its marker files", () => {
+    const fixture = createFixture();
+    fs.writeFileSync(path.join(fixture.project, "go.mod"), "module example\n");
+    fs.writeFileSync(path.join(fixture.project, "package.json"), "{}\n");
+
+    assert.deepEqual(detectStack(fixture.project), {
+      stacks: ["golang", "typescript"],
+      markers: ["go.mod", "package.json"],
+      packs: ["common", "golang", "typescript"],
+    });
+  });
+
+  it("installs only the detected packs with autoDetect and re-detects later", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/planner.md", agent("planner", "plan"));
+    fixture.writeSource("agents/python-reviewer.md", agent("python-reviewer", "py"));
+    fixture.writeSource("rules/common/style.md", "# Style\n");
+    fixture.writeSource("rules/golang/testing.md", "# Go testing\n");
+    fixture.writeSource("rules/python/testing.md", "# Python testing\n");
+    fs.writeFileSync(path.join(fixture.project, "go.mod"), "module example\n");
+    const options = { ...optionsFor(fixture), ruleFormat: "md" as const };
+
+    await install({ ...options, autoDetect: true });
+    assert.deepEqual(installedFiles(fixture), [
+      "agents/planner.md",
+      "rules/common/style.md",
+      "rules/golang/testing.md",
+    ]);
+    assert.deepEqual(readManifest(fixture).stack, {
+      detected: ["golang"],
+      packs: ["common", "golang"],
+    });
+
+    // The recorded detection is applied again on the next install
+    fs.writeFileSync(path.join(fixture.project, "pyproject.toml"), "");
+    const result = await install(options);
+    assert.deepEqual(result.added.sort(), [
+      "agents/python-reviewer.md",
+      "rules/python/testing.md",
+    ]);
+    assert.deepEqual(readManifest(fixture).stack.packs, ["common", "golang", "python"]);
+  });
+
+  it("only suggests the packs without autoDetect", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/python-reviewer.md", agent("python-reviewer", "py"));
+    fs.writeFileSync(path.join(fixture.project, "go.mod"), "module example\n");
+
+    const notes: string[] = [];
+    await install({
+      ...optionsFor(fixture),
+      onEvent: (event) => {
+        if (event.type === "info") notes.push(event.message);
+      },
+    });
+    assert.deepEqual(installedFiles(fixture), ["agents/python-reviewer.md"]);
+    assert.equal(readManifest(fixture).stack, undefined);
+    assert.match(notes.join("\n"), /Detected project stack: golang \(go\.mod\)/);
+  });
+});
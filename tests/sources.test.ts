@@ -0,0 +1,303 @@
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import { createContentSource, install, planInstall, SourceFetchError } from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const git = (cwd: string, ...args: string[]) =>
+  execFileSync(
+    "git",
+    [
+      "-c",
+      "user.name=test",
+      "-c",
+      "user.email=test@example.com",
+      "-c",
+      "protocol.file.allow=always",
+      ...args,
+    ],
+    { cwd, stdio: "pipe", encoding: "utf-8" },
+  );
+
+// A content repository added as the everything-claude-code submodule of a
+// superproject, like a checkout of this package
+function createSuperproject(root: string) {
+  const content = path.join(root, "content");
+  fs.mkdirSync(path.join(content, "agents"), { recursive: true });
+  fs.writeFileSync(path.join(content, "agents/a.md"), agent("a", "from git"));
+  git(root, "init", "-q", content);
+  git(content, "add", "-A");
+  git(content, "commit", "-q", "-m", "content");
+
+  const superproject = path.join(root, "super");
+  git(root, "init", "-q", superproject);
+  git(superproject, "submodule", "add", "-q", content, "everything-claude-code");
+  git(superproject, "commit", "-q", "-m", "add content");
+  return superproject;
+}
+
+describe("git sources", () => {
+  it("reads content from a submodule at the recorded commit", async () => {
+    const fixture = createFixture();
+    const superproject = createSuperproject(fixture.root);
+
+    const source = createContentSource(`${superproject}#HEAD`);
+    assert.deepEqual(await source.listFiles(), ["agents/a.md"]);
+    assert.equal(await source.readFile("agents/a.md"), agent("a", "from git"));
+  });
+
+  it("explains how to get an uninitialized submodule", () => {
+    const fixture = createFixture();
+    const superproject = createSuperproject(fixture.root);
+    const clone = path.join(fixture.root, "clone");
+    git(fixture.root, "clone", "-q", superproject, clone);
+
+    assert.throws(
+      () => createContentSource(`${clone}#HEAD`),
+      (error: unknown) =>
+        error instanceof SourceFetchError &&
+        /git submodule update --init/.test(error.message),
+    );
+  });
+
+  it("reads a repository at a ref, not its working tree", async () => {
+    const fixture = createFixture();
+    const repo = path.join(fixture.root, "repo");
+    fs.mkdirSync(path.join(repo, "agents"), { recursive: true });
+    git(fixture.root, "init", "-q", repo);
+    fs.writeFileSync(path.join(repo, "agents/a.md"), agent("a", "v1"));
+    git(repo, "add", "-A");
+    git(repo, "commit", "-q", "-m", "v1");
+    git(repo, "tag", "v1");
+    const commit = git(repo, "rev-parse", "HEAD").trim();
+    fs.writeFileSync(path.join(repo, "agents/a.md"), agent("a", "v2"));
+    git(repo, "commit", "-q", "-am", "v2");
+    fs.writeFileSync(path.join(repo, "agents/b.md"), agent("b", "uncommitted"));
+
+    const source = createContentSource("repo#v1", fixture.root);
+    assert.deepEqual(await source.listFiles(), ["agents/a.md"]);
+    assert.equal(await source.readFile("agents/a.md"), agent("a", "v1"));
+    assert.equal(await source.getVersion(), `git:${commit}`);
+
+    assert.throws(
+      () => createContentSource(`${repo}#v9`),
+      (error: unknown) =>
+        error instanceof SourceFetchError && error.source === `${repo}#v9`,
+    );
+  });
+
+  it("treats an existing path with # as a directory", async () => {
+    const fixture = createFixture();
+    const directory = path.join(fixture.root, "team#content");
+    fs.mkdirSync(path.join(directory, "agents"), { recursive: true });
+    fs.writeFileSync(path.join(directory, "agents/a.md"), agent("a", "dir"));
+
+    const source = createContentSource(directory);
+    assert.equal(await source.readFile("agents/a.md"), agent("a", "dir"));
+  });
+});
+
+describe("archives", () => {
+  it("reads a .tar.gz, stripping its single top-level directory", async () => {
+    const fixture = createFixture();
+    const content = path.join(fixture.root, "pkg-1.0.0", "everything-claude-code");
+    fs.mkdirSync(path.join(content, "agents"), { recursive: true });
+    fs.mkdirSync(path.join(content, "skills", "tdd"), { recursive: true });
+    fs.writeFileSync(path.join(content, "agents/a.md"), agent("a", "archived"));
+    fs.writeFileSync(path.join(content, "skills/tdd/SKILL.md"), agent("tdd", "tdd"));
+    execFileSync("tar", ["-czf", "content.tgz", "pkg-1.0.0"], { cwd: fixture.root });
+
+    const source = createContentSource("content.tgz", fixture.root);
+    assert.deepEqual(await source.listFiles(), ["agents/a.md", "skills/tdd/SKILL.md"]);
+    assert.equal(await source.readFile("agents/a.md"), agent("a", "archived"));
+    assert.match(await source.getVersion(), /^sha256:[0-9a-f]{12}$/);
+  });
+});
+
+describe("overlays", () => {
+  it("replaces, amends, adds and denies files from the project config", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "upstream"));
+    fixture.writeSource("agents/b.md", agent("b", "upstream"));
+    fixture.writeSource("agents/c.md", agent("c", "upstream"));
+    const write = (relativePath: string, content: string) => {
+      const filePath = path.join(fixture.root, relativePath);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    };
+    write("team/agents/a.md", agent("a", "team"));
+    write("team/agents/b.append.md", "Team note\n");
+    write("team/agents/team.md", agent("team", "team"));
+    write("extra/agents/b.append.md", "Extra note\n");
+    write(
+      "project/.everything-cursor.json",
+      JSON.stringify({
+        overlays: [{ name: "team", source: "../team" }, "../extra"],
+        deny: ["agents/c.md"],
+      }),
+    );
+
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "team"));
+    assert.equal(
+      fixture.readInstalled("agents/b.md"),
+      `${agent("b", "upstream")}\nTeam note\n\nExtra note\n`,
+    );
+    assert.equal(fixture.readInstalled("agents/team.md"), agent("team", "team"));
+    assert.equal(fixture.readInstalled("agents/c.md"), null);
+
+    const manifest = JSON.parse(
+      fixture.readInstalled(".everything-cursor-manifest.json")!,
+    );
+    assert.deepEqual(
+      manifest.overlays.map(({ name, spec }: { name: string; spec: string }) => ({ name, spec })),
+      [
+        { name: "team", spec: path.join(fixture.root, "team") },
+        { name: "extra", spec: path.join(fixture.root, "extra") },
+      ],
+    );
+    assert.deepEqual(manifest.deny, ["agents/c.md"]);
+    assert.deepEqual(manifest.files["agents/a.md"].layers, ["team"]);
+    assert.deepEqual(manifest.files["agents/b.md"].layers, ["upstream", "team", "extra"]);
+    assert.deepEqual(manifest.files["agents/team.md"].layers, ["team"]);
+
+    // A change to an overlay alone updates the installation
+    write("team/agents/a.md", agent("a", "team v2"));
+    const result = await install({
+      location: "local",
+      cwd: fixture.project,
+      source: fixture.source,
+    });
+    assert.deepEqual(result.updated, ["agents/a.md"]);
+  });
+
+  it("warns about amendments whose target is missing or denied", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "upstream"));
+    fixture.writeSource("agents/b.md", agent("b", "upstream"));
+    const overlay = path.join(fixture.root, "overlay");
+    fs.mkdirSync(path.join(overlay, "agents"), { recursive: true });
+    fs.writeFileSync(path.join(overlay, "agents/a.append.md"), "Team note\n");
+    fs.writeFileSync(path.join(overlay, "agents/b.append.md"), "Team note\n");
+    fs.writeFileSync(path.join(overlay, "agents/gone.append.md"), "Team note\n");
+
+    const plan = await planInstall({
+      location: "local",
+      cwd: fixture.project,
+      source: fixture.source,
+      overlays: [{ name: "team", source: overlay }],
+      deny: ["agents/b.md"],
+    });
+
+    assert.deepEqual(plan.warnings, [
+      'Overlay "team": agents/b.append.md is ignored, as agents/b.md is denied',
+      'Overlay "team": agents/gone.append.md is ignored, as agents/gone.md does not exist in an earlier layer',
+    ]);
+    const amended = plan.files.find((file) => file.relativePath === "agents/a.md");
+    assert.deepEqual(amended?.layers, ["upstream", "team"]);
+  });
+});
+
+// A server with the package layout; each path answers with the statuses
+// queued for it, then 200. A status of 0 never answers.
+async function serveContent(files: Record<string, string>) {
+  const index = {
+    version: 1,
+    packageVersion: "0.0.0",
+    files: Object.fromEntries(
+      Object.entries(files).map(([file, content]) => [
+        file,
+        { sha256: createHash("sha256").update(content).digest("hex") },
+      ]),
+    ),
+  };
+  const routes = new Map(
+    Object.entries({
+      "/file-list.json": JSON.stringify(Object.keys(files)),
+      "/content-index.json": JSON.stringify(index),
+      ...Object.fromEntries(
+        Object.entries(files).map((
+          [file, content],
+        ) => [`/everything-claude-code/${file}`, content]),
+      ),
+    }),
+  );
+  const failures = new Map<string, number[]>();
+  const requests: string[] = [];
+  const server = http.createServer((request, response) => {
+    const url = request.url!;
+    requests.push(url);
+    const status = failures.get(url)?.shift() ?? 200;
+    if (status === 0) return;
+    const body = routes.get(url);
+    response.statusCode = body === undefined ? 404 : status;
+    response.end(status === 200 ? body : "");
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const { port } = server.address() as AddressInfo;
+  return {
+    url: `http://127.0.0.1:${port}/`,
+    requests,
+    fail: (url: string, ...statuses: number[]) => failures.set(url, statuses),
+  };
+}
+
+describe("downloads", () => {
+  it("retries server errors and timeouts", async () => {
+    const fixture = createFixture();
+    const server = await serveContent({ "agents/a.md": agent("a", "remote") });
+    server.fail("/file-list.json", 503);
+    server.fail("/everything-claude-code/agents/a.md", 0);
+
+    const source = createContentSource(server.url, fixture.project, {
+      timeout: 200,
+    });
+    assert.deepEqual(await source.listFiles(), ["agents/a.md"]);
+    assert.equal(await source.readFile("agents/a.md"), agent("a", "remote"));
+    assert.equal(
+      server.requests.filter((url) => url === "/file-list.json").length,
+      2,
+    );
+    assert.equal(
+      server.requests.filter((url) => url.endsWith("/a.md")).length,
+      2,
+    );
+  });
+
+  it("reads the cache offline and names what it lacks", async () => {
+    const fixture = createFixture();
+    const server = await serveContent({ "agents/a.md": agent("a", "remote") });
+    const online = createContentSource(server.url, fixture.project);
+    await online.listFiles();
+    await online.readFile("agents/a.md");
+    const served = server.requests.length;
+
+    const offline = createContentSource(server.url, fixture.project, {
+      offline: true,
+    });
+    assert.deepEqual(await offline.listFiles(), ["agents/a.md"]);
+    assert.equal(await offline.readFile("agents/a.md"), agent("a", "remote"));
+    assert.equal(server.requests.length, served);
+
+    const empty = createContentSource(server.url, fixture.project, {
+      offline: true,
+      cacheDir: path.join(fixture.root, "empty-cache"),
+    });
+    await assert.rejects(
+      empty.listFiles(),
+      (error: unknown) =>
+        error instanceof SourceFetchError &&
+        /file-list\.json .* is not in the cache/.test(error.message),
+    );
+    assert.equal(server.requests.length, served);
+  });
+});
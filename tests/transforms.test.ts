@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyTransforms, defaultTransforms } from "../mod.js";
+
+// Run a single default transform on a file
+const run = (name: string, relativePath: string, content: string) =>
+  applyTransforms(
+    relativePath,
+    content,
+    defaultTransforms.filter((transform) => transform.name === name),
+  );
+
+describe("claude-frontmatter", () => {
+  it("drops Claude-only keys and their list items", () => {
+    const input = [
+      "---",
+      "name: planner",
+      "description: Plans work",
+      "tools:",
+      "  - Read",
+      "  - Grep",
+      "model: opus",
+      "---",
+      "Body",
+      "",
+    ].join("\n");
+    assert.deepEqual(run("claude-frontmatter", "agents/planner.md", input), {
+      content: "---\nname: planner\ndescription: Plans work\n---\nBody\n",
+      applied: ["claude-frontmatter"],
+    });
+  });
+
+  it("drops list items written at the start of the line", () => {
+    const input = [
+      "---",
+      "name: planner",
+      "tools:",
+      "- Read",
+      "- Grep",
+      "description: Plans work",
+      "---",
+      "Body",
+      "",
+    ].join("\n");
+    assert.equal(
+      run("claude-frontmatter", "agents/planner.md", input).content,
+      "---\nname: planner\ndescription: Plans work\n---\nBody\n",
+    );
+  });
+
+  it("leaves rules alone", () => {
+    const input = "---\nmodel: opus\n---\nBody\n";
+    assert.deepEqual(run("claude-frontmatter", "rules/common/a.md", input), {
+      content: input,
+      applied: [],
+    });
+  });
+});
+
+describe("arguments", () => {
+  it("replaces the placeholder in prose", () => {
+    assert.equal(
+      run("arguments", "commands/plan.md", "Plan: $ARGUMENTS and ${ARGUMENTS}\n")
+        .content,
+      "Plan: the input given with the command and the input given with the command\n",
+    );
+  });
+
+  it("leaves fenced and inline code as written", () => {
+    const input = [
+      "Run `echo $ARGUMENTS` first.",
+      "",
+      "```bash",
+      "./plan.sh $ARGUMENTS",
+      "```",
+      "",
+      "~~~",
+      "$ARGUMENTS",
+      "~~~",
+      "",
+    ].join("\n");
+    assert.deepEqual(run("arguments", "commands/plan.md", input), {
+      content: input,
+      applied: [],
+    });
+  });
+
+  it("only applies to commands", () => {
+    assert.deepEqual(run("arguments", "agents/a.md", "$ARGUMENTS\n").applied, []);
+  });
+});
+
+describe("tool-names", () => {
+  it("names Cursor tools in prose", () => {
+    assert.equal(
+      run("tool-names", "agents/a.md", "Use the Bash tool, then TodoWrite.\n")
+        .content,
+      "Use the terminal tool, then todo list.\n",
+    );
+  });
+
+  it("leaves fenced and inline code as written", () => {
+    const input = [
+      "Call `TodoWrite` with the `Bash` tool.",
+      "",
+      "```ts",
+      'const tools = ["Bash", "WebFetch"]; // Read tool',
+      "```",
+      "",
+      "Use the Read tool.",
+      "",
+    ].join("\n");
+    assert.equal(
+      run("tool-names", "skills/x/SKILL.md", input).content,
+      input.replace("Use the Read tool.", "Use the read file tool."),
+    );
+  });
+
+  it("does not treat a longer fence as closed by a shorter one", () => {
+    const input = "````\n```\nBash tool\n```\n````\nBash tool\n";
+    assert.equal(
+      run("tool-names", "agents/a.md", input).content,
+      "````\n```\nBash tool\n```\n````\nterminal tool\n",
+    );
+  });
+});
+
+describe("slash-commands", () => {
+  it("drops the plugin namespace", () => {
+    assert.equal(
+      run("slash-commands", "agents/a.md", "Run /everything-claude-code:plan.\n")
+        .content,
+      "Run /plan.\n",
+    );
+  });
+
+  it("leaves fenced and inline code as written", () => {
+    const input = [
+      "Type `/everything-claude-code:plan` to plan.",
+      "",
+      "```",
+      "/everything-claude-code:plan",
+      "```",
+      "",
+      "Then run /everything-claude-code:tdd.",
+      "",
+    ].join("\n");
+    assert.equal(
+      run("slash-commands", "commands/a.md", input).content,
+      input.replace("run /everything-claude-code:tdd", "run /tdd"),
+    );
+  });
+
+  it("leaves paths that contain the namespace alone", () => {
+    const input = "See docs/everything-claude-code:plan\n";
+    assert.deepEqual(run("slash-commands", "agents/a.md", input).applied, []);
+  });
+});
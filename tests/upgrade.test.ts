@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import type { AddressInfo } from "node:net";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+import {
+  install,
+  isInstalled,
+  listSnapshots,
+  name,
+  NotUpgradableError,
+  outdated,
+  planUpgrade,
+  rollback,
+  upgrade,
+} from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+// A registry serving releases in the layout of JSR; the last is the latest
+async function serveRegistry(releases: Record<string, Record<string, string>>) {
+  const routes = new Map<string, string>([[
+    `/${name}/meta.json`,
+    JSON.stringify({
+      latest: Object.keys(releases).at(-1),
+      versions: Object.fromEntries(Object.keys(releases).map((release) => [release, {}])),
+    }),
+  ]]);
+  for (const [release, files] of Object.entries(releases)) {
+    const index = {
+      version: 1,
+      packageVersion: release,
+      files: Object.fromEntries(
+        Object.entries(files).map(([file, content]) => [
+          file,
+          { sha256: createHash("sha256").update(content).digest("hex") },
+        ]),
+      ),
+    };
+    const base = `/${name}/${release}`;
+    routes.set(`${base}/file-list.json`, JSON.stringify(Object.keys(files)));
+    routes.set(`${base}/content-index.json`, JSON.stringify(index));
+    for (const [file, content] of Object.entries(files)) {
+      routes.set(`${base}/everything-claude-code/${file}`, content);
+    }
+  }
+
+  const server = http.createServer((request, response) => {
+    const body = routes.get(request.url!);
+    response.statusCode = body === undefined ? 404 : 200;
+    response.end(body ?? "");
+  });
+  await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${(server.address() as AddressInfo).port}/`;
+}
+
+describe("upgrades", () => {
+  it("records the release installed, for status and rollback", async () => {
+    const fixture = createFixture();
+    const registry = await serveRegistry({
+      "90.0.0": { "agents/a.md": agent("a", "90") },
+      "91.0.0": { "agents/a.md": agent("a", "91") },
+    });
+    const options = { location: "local" as const, cwd: fixture.project, registry };
+    await install({ ...options, source: "package@90.0.0" });
+
+    const result = await upgrade({ ...options, version: "91.0.0" });
+    assert.equal(result.version, "91.0.0");
+    assert.equal(result.previousVersion, "90.0.0");
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "91"));
+    assert.equal(isInstalled(fixture.project, "local").installations[0].version, "91.0.0");
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(fixture.installDir, MANIFEST), "utf-8"),
+    );
+    assert.equal(manifest.version, "91.0.0");
+    assert.deepEqual(
+      listSnapshots(fixture.project, "local").map((snapshot) => snapshot.version),
+      ["90.0.0"],
+    );
+
+    const restored = await rollback({ cwd: fixture.project, to: "90.0.0" });
+    assert.equal(restored.version, "90.0.0");
+    assert.equal(fixture.readInstalled("agents/a.md"), agent("a", "90"));
+    assert.equal(isInstalled(fixture.project, "local").installations[0].version, "90.0.0");
+  });
+});
+
+describe("upgrades of other sources", () => {
+  it("reports a fork as not comparable and refuses to upgrade it", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "fork"));
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+
+    const [info] = await outdated({
+      cwd: fixture.project,
+      registry: await serveRegistry({ "99.0.0": {} }),
+    });
+    assert.equal(info.comparable, false);
+    assert.equal(info.outdated, false);
+    assert.match(info.installed, /^sha256:/);
+
+    await assert.rejects(
+      planUpgrade({ cwd: fixture.project, version: "99.0.0" }),
+      (error: unknown) =>
+        error instanceof NotUpgradableError && error.source === fixture.source,
+    );
+  });
+});
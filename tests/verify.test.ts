@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { install, verify } from "../mod.js";
+import { agent, createFixture } from "./helpers.js";
+
+describe("verify", () => {
+  it("classifies tracked files and lists what the manifest does not know", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    fixture.writeSource("agents/b.md", agent("b", "b"));
+    fixture.writeSource("agents/c.md", agent("c", "c"));
+    await install({ location: "local", cwd: fixture.project, source: fixture.source });
+
+    assert.equal(verify(fixture.project).ok, true);
+
+    fixture.writeInstalled("agents/b.md", "edited\n");
+    fs.rmSync(path.join(fixture.installDir, "agents/c.md"));
+    fixture.writeInstalled("agents/mine.md", "my own agent\n");
+    fixture.writeInstalled(".everything-cursor-manifest.backup.json", "{}");
+
+    const result = verify(fixture.project, "local");
+    assert.equal(result.location, "local");
+    assert.deepEqual(result.intact, ["agents/a.md"]);
+    assert.deepEqual(result.modified, ["agents/b.md"]);
+    assert.deepEqual(result.missing, ["agents/c.md"]);
+    assert.deepEqual(result.untracked, ["agents/mine.md"]);
+    assert.deepEqual(result.staleBackups, [
+      path.join(fixture.installDir, ".everything-cursor-manifest.backup.json"),
+    ]);
+    assert.equal(result.legacyManifest, false);
+    assert.equal(result.ok, false);
+  });
+
+  it("flags a manifest migrated from the legacy install script", async () => {
+    const fixture = createFixture();
+    fixture.writeInstalled("agents/a.md", agent("a", "a"));
+    fixture.writeInstalled(
+      ".everything-cursor-manifest.json",
+      JSON.stringify({
+        version: "1.0.0",
+        installedAt: "2025-01-01T00:00:00.000Z",
+        submoduleGitHash: "0123456789abcdef0123456789abcdef01234567",
+        files: {
+          "agents/a.md": {
+            source: "everything-claude-code/agents/a.md",
+            installedAt: "2025-01-01T00:00:00.000Z",
+            checksum: "0".repeat(64),
+          },
+        },
+      }),
+    );
+
+    const result = verify(fixture.project, "local");
+    assert.equal(result.legacyManifest, true);
+    assert.deepEqual(result.modified, ["agents/a.md"]);
+  });
+});
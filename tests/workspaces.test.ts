@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import {
+  discoverWorkspaces,
+  install,
+  installWorkspaces,
+  isInstalled,
+  uninstall,
+} from "../mod.js";
+import { agent, createFixture, type Fixture } from "./helpers.js";
+
+const MANIFEST = ".everything-cursor-manifest.json";
+
+// Write a file of the fixture project
+function writeProject(fixture: Fixture, relativePath: string, content: string) {
+  const filePath = path.join(fixture.project, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+// A monorepo with a TypeScript app, a Go service and a package that cannot
+// be installed into, as its .cursor is a file
+function createMonorepo(fixture: Fixture) {
+  writeProject(
+    fixture,
+    "pnpm-workspace.yaml",
+    "packages:\n  - 'apps/*'\n  - '!apps/legacy'\n",
+  );
+  writeProject(
+    fixture,
+    "package.json",
+    JSON.stringify({ workspaces: ["packages/broken"] }),
+  );
+  writeProject(fixture, "go.work", "go 1.22\n\nuse (\n\t./services/api\n)\n");
+  writeProject(fixture, "apps/web/package.json", "{}");
+  writeProject(fixture, "apps/legacy/package.json", "{}");
+  writeProject(fixture, "apps/notes/README.md", "not a project\n");
+  writeProject(fixture, "services/api/go.mod", "module api\n");
+  writeProject(fixture, "packages/broken/package.json", "{}");
+  writeProject(fixture, "packages/broken/.cursor", "not a directory\n");
+
+  fixture.writeSource("agents/a.md", agent("a", "a"));
+  fixture.writeSource("rules/golang/testing.md", "# Go testing\n");
+  fixture.writeSource("rules/typescript/testing.md", "# TS testing\n");
+}
+
+describe("explicit install directories", () => {
+  it("installs into, finds and uninstalls a given directory", async () => {
+    const fixture = createFixture();
+    fixture.writeSource("agents/a.md", agent("a", "a"));
+    const installDir = path.join(fixture.project, "apps", "web", ".cursor");
+
+    await install({ location: installDir, source: fixture.source, cwd: fixture.root });
+    assert.ok(fs.existsSync(path.join(installDir, "agents", "a.md")));
+    assert.ok(fs.existsSync(path.join(installDir, MANIFEST)));
+    assert.equal(fixture.readInstalled("agents/a.md"), null);
+    assert.equal(isInstalled(path.dirname(installDir), "local").isInstalled, true);
+
+    await uninstall({ location: installDir, cwd: fixture.root });
+    assert.equal(fs.existsSync(path.join(installDir, "agents", "a.md")), false);
+  });
+});
+
+describe("workspaces", () => {
+  it("discovers workspaces from every workspace file", () => {
+    const fixture = createFixture();
+    createMonorepo(fixture);
+
+    assert.deepEqual(
+      discoverWorkspaces(fixture.project).map((dir) =>
+        path.relative(fixture.project, dir)
+      ),
+      ["apps/web", "packages/broken", "services/api"],
+    );
+  });
+
+  it("installs the packs of each workspace's stack and keeps going past failures", async () => {
+    const fixture = createFixture();
+    createMonorepo(fixture);
+
+    const results = await installWorkspaces({
+      cwd: fixture.project,
+      source: fixture.source,
+      ruleFormat: "md",
+    });
+    const byName = Object.fromEntries(
+      results.map((result) => [path.relative(fixture.project, result.workspace), result]),
+    );
+    assert.equal(byName["apps/web"].status, "installed");
+    assert.deepEqual(byName["apps/web"].packs, ["common", "typescript"]);
+    assert.equal(byName["services/api"].status, "installed");
+    assert.deepEqual(byName["services/api"].packs, ["common", "golang"]);
+    assert.equal(byName["packages/broken"].status, "failed");
+    assert.ok(byName["packages/broken"].error);
+    assert.ok(
+      fs.existsSync(path.join(fixture.project, "services/api/.cursor/rules/golang/testing.md")),
+    );
+    assert.equal(
+      fs.existsSync(path.join(fixture.project, "services/api/.cursor/rules/typescript")),
+      false,
+    );
+
+    const again = await installWorkspaces({ cwd: fixture.project, source: fixture.source });
+    assert.equal(
+      again.find((result) => result.workspace.endsWith("web"))?.status,
+      "up-to-date",
+    );
+  });
+});